@@ -0,0 +1,160 @@
+/**
+ * Apply Payment - how a payment settles its invoices
+ *
+ * An invoice is closed by cash applied, plus the early-pay discount taken, plus
+ * deductions the payer withheld (see deductions.js):
+ *
+ *   remaining = open balance - (applied + discount + deductions)
+ *
+ * Cash that isn't applied to any invoice stays on the customer as a credit.
+ *
+ * Row amounts are in the row's currency and the amount received in the payment's
+ * (see currency.js). A row in another currency is turned into the payment currency at
+ * the payment's exchange rate for it; the realized FX difference is what that rate
+ * makes of the cash applied compared with the rate on the invoice date:
+ *
+ *   realized = applied x (payment rate - booked rate)   (in the payment currency)
+ */
+
+import { totalDeductions } from './deductions.js';
+
+// Differences smaller than this are rounding
+export const TOLERANCE = 0.005;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Amount of the open balance a row settles: cash + discount + deductions
+ */
+export function settledAmount(row) {
+  return round2(Number(row.applied || 0) + Number(row.discount || 0) + totalDeductions(row));
+}
+
+/**
+ * Open balance left on an invoice after this payment (negative when overpaid)
+ */
+export function remainingBalance(row) {
+  return round2(Number(row.open || 0) - settledAmount(row));
+}
+
+/**
+ * Payment currency per unit of a row's currency: 1 when they're the same,
+ * the payment's exchange rate otherwise (null until one is entered)
+ */
+export function rowRate(row, payment) {
+  if (!row.currency || !payment.currency || row.currency === payment.currency) return 1;
+  return Number(payment.fxRates?.[row.currency]) || null;
+}
+
+/**
+ * Column and summary totals for a payment. Column totals are in the invoices' currency;
+ * `unapplied` is in the payment currency. When invoices are in another currency, `fx`
+ * has the applied and unapplied amounts in both currencies and the realized difference.
+ */
+export function paymentTotals(payment) {
+  const totals = { open: 0, applied: 0, discounts: 0, deductions: 0, settled: 0, remaining: 0 };
+
+  for (const row of payment.invoices) {
+    totals.open += Number(row.open || 0);
+    totals.applied += Number(row.applied || 0);
+    totals.discounts += Number(row.discount || 0);
+    totals.deductions += totalDeductions(row);
+    totals.settled += settledAmount(row);
+    totals.remaining += remainingBalance(row);
+  }
+
+  Object.keys(totals).forEach(key => { totals[key] = round2(totals[key]); });
+  totals.fx = fxTotals(payment);
+  totals.unapplied = round2(Number(payment.amountReceived || 0) - (totals.fx ? totals.fx.applied : totals.applied));
+  return totals;
+}
+
+/**
+ * Cash applied to invoices in other currencies, in the payment currency.
+ * null when every invoice is in the payment currency.
+ * @returns {Object|null} { currencies, missingRates, applied, unapplied, invoiceUnapplied, realized, unbooked }
+ *   applied/unapplied/realized are in the payment currency; invoiceUnapplied is the credit in
+ *   the invoices' currency (when they share one); unbooked counts rows without a booked rate
+ */
+export function fxTotals(payment) {
+  const foreign = payment.invoices.filter(row => rowRate(row, payment) !== 1);
+  if (!foreign.length) return null;
+
+  const currencies = [...new Set(foreign.map(row => row.currency))];
+  const missingRates = currencies.filter(cur => !rowRate({ currency: cur }, payment));
+  const fx = { currencies, missingRates, applied: 0, realized: 0, unbooked: 0 };
+
+  for (const row of payment.invoices) {
+    const applied = Number(row.applied || 0);
+    const rate = rowRate(row, payment);
+    fx.applied += applied * (rate || 0);
+
+    if (rate === 1 || !applied) continue;
+    if (rate && row.bookedRate) fx.realized += applied * (rate - row.bookedRate);
+    else fx.unbooked++;
+  }
+
+  fx.applied = round2(fx.applied);
+  fx.realized = round2(fx.realized);
+  fx.unapplied = round2(Number(payment.amountReceived || 0) - fx.applied);
+
+  // The credit in the invoices' currency, when all of them are in the same one
+  const invoiceRate = currencies.length === 1 && foreign.length === payment.invoices.length
+    ? rowRate(foreign[0], payment) : null;
+  fx.invoiceUnapplied = invoiceRate ? round2(fx.unapplied / invoiceRate) : null;
+  return fx;
+}
+
+/**
+ * Check that cash, discounts and deductions add up.
+ * Errors block recording the payment; warnings are shown for review.
+ * @returns {Array<{level: 'error'|'warning', message: string}>}
+ */
+export function validatePayment(payment, fmtMoney = (n) => n.toFixed(2)) {
+  const issues = [];
+  const totals = paymentTotals(payment);
+
+  // Cash can't be compared with invoices in another currency without a rate
+  if (totals.fx?.missingRates.length) {
+    issues.push({
+      level: 'error',
+      message: `Enter the exchange rate from ${totals.fx.missingRates.join(', ')} to ${payment.currency}`
+    });
+  } else if (totals.unapplied < -TOLERANCE) {
+    const applied = totals.fx ? totals.fx.applied : totals.applied;
+    issues.push({
+      level: 'error',
+      message: `Cash applied (${fmtMoney(applied)}) is more than the amount received (${fmtMoney(payment.amountReceived || 0)})`
+    });
+  }
+
+  for (const row of payment.invoices) {
+    const settled = settledAmount(row);
+    if (!settled) continue;
+
+    const remaining = remainingBalance(row);
+    if (remaining < -TOLERANCE) {
+      issues.push({
+        level: 'warning',
+        message: `Invoice ${row.invoice}: cash + discount + deductions (${fmtMoney(settled, row.currency)}) exceed the open balance by ${fmtMoney(-remaining, row.currency)}`
+      });
+    } else if (remaining > TOLERANCE) {
+      issues.push({
+        level: 'warning',
+        message: `Invoice ${row.invoice}: ${fmtMoney(remaining, row.currency)} stays open`
+      });
+    }
+  }
+
+  return issues;
+}
+
+export default {
+  TOLERANCE,
+  settledAmount,
+  remainingBalance,
+  rowRate,
+  paymentTotals,
+  fxTotals,
+  validatePayment
+};
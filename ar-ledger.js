@@ -0,0 +1,308 @@
+/**
+ * AR Ledger - open-invoice aging report imported from CSV/XLSX and kept in localStorage
+ *
+ * Ledger shape:
+ *   {
+ *     source: 'aging-2024-05.xlsx',
+ *     importedAt: '2024-05-02T14:03:00.000Z',
+ *     invoices: [{ invoice, customer, date, dueDate, original, open }]
+ *   }
+ *
+ * Remittance rows are matched to ledger invoices by number (see invoice-matcher.js) so
+ * the form can show the real original/open amounts and flag unknown invoices,
+ * ambiguous matches, short-pays and overpayments.
+ */
+
+import logger from './logger.js';
+import { UserFriendlyError } from './error-handler.js';
+import { saveArLedger, loadArLedger, clearArLedger } from './data-persistence.js';
+import { InvoiceMatcher, DEFAULT_RULES } from './invoice-matcher.js';
+import { settledAmount, TOLERANCE } from './apply-payment.js';
+import { readCSV } from './csv-reader.js';
+import { parseDate, dateOrderOf, getDateOrder } from './locale.js';
+
+// Header names for each ledger column, most specific first.
+// Columns are claimed in this order, so "Due Date" is taken before "Date" can grab it.
+const LEDGER_COLUMNS = {
+  invoice: ['invoice #', 'invoice no', 'invoice number', 'invoice', 'inv', 'document', 'num'],
+  customer: ['customer', 'client', 'name', 'bill to'],
+  dueDate: ['due date', 'due'],
+  date: ['invoice date', 'inv date', 'date'],
+  open: ['open balance', 'open amount', 'balance due', 'amount due', 'open', 'balance', 'remaining'],
+  original: ['original amount', 'original', 'invoice amount', 'amount', 'total']
+};
+
+export const LEDGER_STATUS = {
+  MATCHED: 'matched',
+  UNKNOWN: 'unknown',
+  AMBIGUOUS: 'ambiguous',
+  SHORT: 'short',
+  OVER: 'over'
+};
+
+/**
+ * Map ledger columns to header indexes; each header is used once.
+ * Exact header names win over partial ones ("Invoice" over "Invoice Date").
+ */
+function mapColumns(headers) {
+  const used = new Set();
+  const colMap = {};
+  const find = (names, test) => {
+    for (const name of names) {
+      const index = headers.findIndex((h, idx) => !used.has(idx) && test(h, name));
+      if (index >= 0) return index;
+    }
+    return -1;
+  };
+
+  for (const [column, names] of Object.entries(LEDGER_COLUMNS)) {
+    let index = find(names, (h, name) => h === name);
+    if (index < 0) index = find(names, (h, name) => h.includes(name));
+    colMap[column] = index;
+    if (index >= 0) used.add(index);
+  }
+
+  return colMap;
+}
+
+/**
+ * Build ledger invoices from spreadsheet rows (array of arrays)
+ * @param {Array<Array>} rows - Sheet rows, header row included
+ * @param {Object} parser - RemittanceParser, for parseMoney
+ */
+export function readLedgerRows(rows, parser) {
+  // Aging reports often have a title block above the header row
+  const headerRow = rows.slice(0, 20).findIndex(row => {
+    const joined = row.map(cell => String(cell ?? '').toLowerCase()).join(' ');
+    return /invoice|inv\b|document|num\b/.test(joined) && /open|balance|due|amount/.test(joined);
+  });
+
+  if (headerRow === -1) {
+    throw new UserFriendlyError(
+      'Could not find the invoice table in this report',
+      'No header row with invoice and balance columns',
+      ['The report needs an invoice number column and an open balance (or amount) column']
+    );
+  }
+
+  const headers = rows[headerRow].map(h => String(h ?? '').toLowerCase().trim());
+  const colMap = mapColumns(headers);
+  if (colMap.invoice < 0 || (colMap.open < 0 && colMap.original < 0)) {
+    throw new UserFriendlyError(
+      'The report is missing an invoice number or balance column',
+      `Columns found: ${headers.filter(Boolean).join(', ')}`,
+      ['Export the open-invoice (A/R aging) report with invoice numbers and open balances']
+    );
+  }
+
+  const cell = (row, column) => (colMap[column] >= 0 ? row[colMap[column]] : undefined);
+  // The report's own dates settle day/month order; else the order saved for all payers
+  const dateOrder = dateOrderOf(rows.slice(headerRow + 1)) || getDateOrder();
+  const invoices = [];
+  let customer = '';
+
+  for (let i = headerRow + 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const invoice = String(cell(row, 'invoice') ?? '').trim();
+
+    // Aging reports group invoices under customer heading rows
+    if (!invoice) {
+      const heading = String(cell(row, 'customer') ?? row[0] ?? '').trim();
+      if (heading && !/total/i.test(heading) && row.filter(c => String(c ?? '').trim()).length === 1) {
+        customer = heading;
+      }
+      continue;
+    }
+    if (/total/i.test(invoice)) continue;
+
+    const original = parser.parseMoney(cell(row, 'original') ?? cell(row, 'open'));
+    const open = colMap.open >= 0 ? parser.parseMoney(cell(row, 'open')) : original;
+
+    invoices.push({
+      invoice,
+      customer: String(cell(row, 'customer') ?? '').trim() || customer,
+      date: parseDate(cell(row, 'date'), { dateOrder }),
+      dueDate: parseDate(cell(row, 'dueDate'), { dateOrder }),
+      original,
+      open
+    });
+  }
+
+  return invoices;
+}
+
+/**
+ * Read an aging report file into a ledger (not saved)
+ * @param {File} file - CSV or XLSX export
+ * @param {Object} parser - RemittanceParser (already initialised for XLSX)
+ */
+export async function readLedgerFile(file, parser) {
+  await parser.init();
+  const ext = parser.getExtension(file.name);
+  let rows;
+
+  if (ext === 'csv' || file.type === 'text/csv') {
+    ({ rows } = await readCSV(file));
+  } else {
+    if (!parser.XLSX) {
+      throw new Error('XLSX library not loaded. Please include SheetJS library.');
+    }
+    const workbook = parser.XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    rows = parser.XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+  }
+
+  const invoices = readLedgerRows(rows, parser);
+  logger.info(`Read ${invoices.length} open invoice(s) from ${file.name}`);
+
+  return { source: file.name, importedAt: new Date().toISOString(), invoices };
+}
+
+// Matchers for the saved ledger (one per rule set), rebuilt after every save
+let cache = null;
+
+/**
+ * Saved ledger
+ */
+export function getLedger() {
+  return loadArLedger();
+}
+
+export function saveLedger(ledger) {
+  if (!saveArLedger(ledger)) {
+    throw new Error('The ledger is too large to store in this browser');
+  }
+  cache = null;
+  logger.info(`Saved AR ledger with ${ledger.invoices.length} invoice(s)`);
+  return ledger;
+}
+
+export function clearLedger() {
+  clearArLedger();
+  cache = null;
+  logger.info('Cleared AR ledger');
+}
+
+// The saved ledger, parsed once per save
+function loaded() {
+  if (!cache) cache = { ledger: getLedger(), matchers: new Map() };
+  return cache;
+}
+
+function getMatcher(rules) {
+  const key = JSON.stringify(rules);
+  const { ledger, matchers } = loaded();
+  if (!matchers.has(key)) {
+    matchers.set(key, new InvoiceMatcher(ledger?.invoices || [], rules));
+  }
+  return matchers.get(key);
+}
+
+/**
+ * Find the ledger invoice for a remittance invoice number
+ * @param {string} invoice - Invoice number from the remittance
+ * @param {Object} [rules] - Matching rules for the payer (see invoice-matcher.js)
+ * @returns {Object|null} Match with `entry`, `reason`, `ambiguous` and `candidates`
+ */
+export function findInvoice(invoice, rules = DEFAULT_RULES) {
+  return getMatcher(rules).match(invoice);
+}
+
+/**
+ * Take original/open amounts from a ledger entry
+ */
+function useEntry(row, entry, reason, confirmed = false) {
+  row.original = entry.original;
+  row.open = entry.open;
+  if (!row.date) row.date = entry.dueDate || entry.date;
+  row.ledger = { matched: true, invoice: entry.invoice, customer: entry.customer, reason, confirmed };
+}
+
+/**
+ * Fill original/open amounts on payment rows from the ledger.
+ * Each row gets `ledger: { matched, invoice, customer, reason }`, or `candidates` when the
+ * match has to be confirmed. Rows stay untouched when no ledger is loaded, and matches the
+ * user confirmed are kept.
+ * @param {Array<Object>} rows - Payment rows
+ * @param {Object} [rules] - Matching rules for the payer
+ * @returns {boolean} Whether a ledger was applied
+ */
+export function applyLedger(rows, rules = DEFAULT_RULES) {
+  if (!loaded().ledger?.invoices?.length) return false;
+
+  for (const row of rows) {
+    if (row.ledger?.confirmed) continue;
+
+    const match = findInvoice(row.invoice, rules);
+    if (!match) {
+      row.ledger = { matched: false };
+    } else if (match.ambiguous) {
+      row.ledger = {
+        matched: false,
+        candidates: match.candidates.map(({ entry, reason }) => ({ invoice: entry.invoice, reason }))
+      };
+    } else {
+      useEntry(row, match.entry, match.reason);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Resolve an ambiguous row: match it to the chosen ledger invoice, or to none
+ * @param {Object} row - Payment row
+ * @param {string|null} invoice - Ledger invoice number the user picked; null for "not in ledger"
+ */
+export function confirmMatch(row, invoice) {
+  const entry = invoice ? loaded().ledger?.invoices.find(e => e.invoice === invoice) : null;
+
+  if (entry) {
+    useEntry(row, entry, 'confirmed by user', true);
+  } else {
+    row.ledger = { matched: false, confirmed: true };
+  }
+}
+
+/**
+ * Compare what a row settles (applied + discount + deductions) with its open balance in the ledger.
+ * A short-pay explained by recorded deductions is not flagged again.
+ * @returns {{status: string, difference: number}|null} null when the row wasn't checked against a ledger
+ */
+export function reconcile(row) {
+  if (!row.ledger) return null;
+  if (row.ledger.candidates) return { status: LEDGER_STATUS.AMBIGUOUS, difference: 0 };
+  if (!row.ledger.matched) return { status: LEDGER_STATUS.UNKNOWN, difference: 0 };
+
+  const difference = Math.round((settledAmount(row) - Number(row.open || 0)) * 100) / 100;
+
+  if (difference < -TOLERANCE) return { status: LEDGER_STATUS.SHORT, difference };
+  if (difference > TOLERANCE) return { status: LEDGER_STATUS.OVER, difference };
+  return { status: LEDGER_STATUS.MATCHED, difference: 0 };
+}
+
+/**
+ * Count rows by reconciliation status
+ */
+export function summarize(rows) {
+  const counts = Object.fromEntries(Object.values(LEDGER_STATUS).map(status => [status, 0]));
+  rows.forEach(row => {
+    const result = reconcile(row);
+    if (result) counts[result.status]++;
+  });
+  return counts;
+}
+
+export default {
+  LEDGER_STATUS,
+  readLedgerRows,
+  readLedgerFile,
+  getLedger,
+  saveLedger,
+  clearLedger,
+  findInvoice,
+  applyLedger,
+  confirmMatch,
+  reconcile,
+  summarize
+};
@@ -0,0 +1,259 @@
+/**
+ * BAI2 Parser - reads BAI2 cash management / lockbox files from the bank
+ *
+ * File shape:
+ *   {
+ *     sender, receiver, created,                         // 01 - file header
+ *     groups: [{                                         // 02 - group header
+ *       originator, receiver, asOfDate, currency,
+ *       accounts: [{                                     // 03 - account identifier
+ *         number, currency,
+ *         transactions: [{                               // 16 - transaction detail
+ *           typeCode, amount, credit, bankReference, customerReference, text, line
+ *         }]
+ *       }]
+ *     }]
+ *   }
+ *
+ * 88 records continue the record before them. Trailers (49, 98, 99) only carry control
+ * totals and are not needed to read the file. bai2Payments() turns each credit detail
+ * into a candidate payment, with the check number and invoice references read from
+ * the reference and text fields.
+ */
+
+import logger from './logger.js';
+import { CONFIDENCE, fromRow } from './provenance.js';
+import { findInvoiceReferences } from './invoice-matcher.js';
+
+// Detail type codes 100-399 are credits, 400-699 debits
+const isCreditCode = (code) => code >= 100 && code < 400;
+
+// Lockbox deposit total and the items (checks) it is made of
+const LOCKBOX_DEPOSIT = 115;
+const LOCKBOX_ITEM = 116;
+
+// Type codes -> description and payment method in the form
+const TYPE_CODES = {
+  115: ['Lockbox deposit', 'Check'],
+  116: ['Lockbox item', 'Check'],
+  118: ['Lockbox adjustment credit', 'Check'],
+  142: ['ACH credit received', 'ACH'],
+  165: ['Preauthorized ACH credit', 'ACH'],
+  169: ['Miscellaneous ACH credit', 'ACH'],
+  195: ['Incoming money transfer', 'Wire'],
+  301: ['Commercial deposit', ''],
+  399: ['Miscellaneous credit', '']
+};
+
+// "CHECK NO 10234" / "CHK#10234" in the text field
+const CHECK_NUMBER = /\b(?:CHECK|CHK|CK)\s*(?:NO\.?|NUM(?:BER)?|#)?\s*[:#]?\s*(\d{3,})/i;
+
+// "ORIG CO NAME:ACME CORP" (ACH) / "REMITTER: ACME CORP" / "BY ORDER OF ACME CORP";
+// the name ends at a wide gap, the next "LABEL:" or an invoice/check reference
+const PAYER_NAME = /\b(?:ORIG(?:INATOR)? CO NAME|REMITTER|PAYER|BY ORDER OF)\s*[:=]?\s*(.+?)(?=\s{2,}|\s+(?:[A-Z]+\s)?[A-Z]+\s?[:=]|\s+(?:INV(?:OICE)?S?|CHECK|CHK)\b|$)/i;
+
+/**
+ * Does this text look like a BAI2 file? (file header record first)
+ */
+export function isBAI2(text) {
+  const str = String(text || '').replace(/^﻿/, '').trimStart();
+  return /^01,/.test(str) && /^02,/m.test(str);
+}
+
+// YYMMDD -> YYYY-MM-DD
+function baiDate(yymmdd) {
+  const m = String(yymmdd || '').trim().match(/^(\d{2})(\d{2})(\d{2})$/);
+  return m ? `20${m[1]}-${m[2]}-${m[3]}` : '';
+}
+
+// Amounts have two implied decimals
+const baiAmount = (value) => (Number(String(value || '').trim()) || 0) / 100;
+
+/**
+ * Join 88 continuation records onto the record they continue.
+ * A record ending in "/" is complete, so its continuation adds fields; a 16 record's
+ * free text runs to the end of the line, so its continuation adds more text.
+ * @returns {Array<{text: string, line: number}>}
+ */
+function logicalRecords(text) {
+  const records = [];
+
+  String(text || '').replace(/^﻿/, '').split(/\r?\n/).forEach((raw, idx) => {
+    const record = raw.trim();
+    if (!record) return;
+
+    const previous = records[records.length - 1];
+    if (record.startsWith('88,') && previous) {
+      const rest = record.slice(3);
+      previous.text = previous.text.endsWith('/')
+        ? `${previous.text.slice(0, -1)},${rest}`
+        : `${previous.text} ${rest}`;
+    } else {
+      records.push({ text: record, line: idx + 1 });
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Read a 16 record: type, amount, funds type (with its availability fields),
+ * bank reference, customer reference, then free text (which may contain commas)
+ */
+function readDetail(record, line) {
+  const fields = record.replace(/\/$/, '').split(',');
+  const typeCode = Number(fields[1]);
+
+  // Funds type S has three availability amounts, V a date and time, D a count of (days, amount) pairs
+  let next = 4;
+  const fundsType = (fields[3] || '').trim().toUpperCase();
+  if (fundsType === 'S') next += 3;
+  else if (fundsType === 'V') next += 2;
+  else if (fundsType === 'D') next += 1 + 2 * (Number(fields[4]) || 0);
+
+  return {
+    typeCode,
+    amount: baiAmount(fields[2]),
+    credit: isCreditCode(typeCode),
+    bankReference: (fields[next] || '').trim(),
+    customerReference: (fields[next + 1] || '').trim(),
+    text: fields.slice(next + 2).join(',').replace(/^[,\s]+|[\s/]+$/g, ''),
+    line
+  };
+}
+
+/**
+ * Read the records of a BAI2 file
+ * @param {string} text - File contents
+ * @returns {Object} File (see shape above)
+ */
+export function parseBAI2(text) {
+  const file = { sender: '', receiver: '', created: '', groups: [] };
+  let group = null;
+  let account = null;
+
+  for (const { text: record, line } of logicalRecords(text)) {
+    const fields = record.replace(/\/$/, '').split(',').map(f => f.trim());
+
+    switch (fields[0]) {
+      case '01':
+        file.sender = fields[1] || '';
+        file.receiver = fields[2] || '';
+        file.created = baiDate(fields[3]);
+        break;
+      case '02':
+        group = {
+          receiver: fields[1] || '',
+          originator: fields[2] || '',
+          asOfDate: baiDate(fields[4]),
+          currency: fields[6] || '',
+          accounts: []
+        };
+        file.groups.push(group);
+        account = null;
+        break;
+      case '03':
+        if (!group) {
+          logger.warn(`BAI2 record ${line}: account outside a group`);
+          break;
+        }
+        account = { number: fields[1] || '', currency: fields[2] || group.currency, transactions: [] };
+        group.accounts.push(account);
+        break;
+      case '16':
+        if (!account) {
+          logger.warn(`BAI2 record ${line}: transaction detail outside an account`);
+          break;
+        }
+        account.transactions.push(readDetail(record, line));
+        break;
+      case '49':
+        account = null;
+        break;
+      case '98':
+        group = null;
+        account = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return file;
+}
+
+/**
+ * Turn each credit detail of a BAI2 file into a candidate payment.
+ * A lockbox deposit total is left out when its items are listed, so checks aren't counted twice.
+ * @param {Object} file - From parseBAI2()
+ * @returns {Array<Object>} Remittance results, in file order
+ */
+export function bai2Payments(file) {
+  const results = [];
+
+  for (const group of file.groups) {
+    for (const account of group.accounts) {
+      const hasItems = account.transactions.some(tx => tx.typeCode === LOCKBOX_ITEM);
+
+      for (const tx of account.transactions) {
+        if (!tx.credit || (hasItems && tx.typeCode === LOCKBOX_DEPOSIT)) continue;
+
+        const [description = `Type ${tx.typeCode} credit`, method = ''] = TYPE_CODES[tx.typeCode] || [];
+        const locate = (rule, confidence) => fromRow(rule, confidence, tx.line);
+        const checkMatch = tx.text.match(CHECK_NUMBER);
+        const payerMatch = tx.text.match(PAYER_NAME);
+
+        // Lockbox items carry the check number as the customer reference
+        const paymentNumber = tx.customerReference || checkMatch?.[1] || tx.bankReference;
+        const numberRule = tx.customerReference ? ['customer reference', CONFIDENCE.LABELED]
+          : checkMatch ? ['check number in detail text', CONFIDENCE.PATTERN]
+            : ['bank reference', CONFIDENCE.HEURISTIC];
+
+        const numbers = findInvoiceReferences(tx.text);
+        const invoices = numbers.map(number => ({
+          invoice: number,
+          // The whole amount only belongs to an invoice when it is the only one
+          paidAmount: numbers.length === 1 ? tx.amount : 0,
+          amount: numbers.length === 1 ? tx.amount : 0,
+          provenance: locate('invoice number in detail text', CONFIDENCE.HEURISTIC)
+        }));
+
+        results.push({
+          paymentNumber,
+          paymentDate: group.asOfDate,
+          // A credit to our own account: the payee is us
+          payer: payerMatch ? payerMatch[1].trim() : '',
+          customer: payerMatch ? payerMatch[1].trim() : '',
+          vendor: '',
+          paymentAmount: tx.amount,
+          currency: account.currency,
+          paymentMethod: method,
+          invoices,
+          format: 'bai2',
+          rawText: tx.text,
+          memo: [`BAI2 ${tx.typeCode} ${description}`, account.number && `account ${account.number}`,
+            tx.bankReference && `bank ref ${tx.bankReference}`, tx.text]
+            .filter(Boolean).join(' · '),
+          provenance: {
+            paymentNumber: locate(...numberRule),
+            paymentDate: locate('group as-of date', CONFIDENCE.LABELED),
+            ...(payerMatch ? {
+              payer: locate('payer name in detail text', CONFIDENCE.HEURISTIC),
+              customer: locate('payer name in detail text', CONFIDENCE.HEURISTIC)
+            } : {}),
+            paymentAmount: locate('detail amount', CONFIDENCE.FORMAT)
+          }
+        });
+      }
+    }
+  }
+
+  logger.info(`BAI2 file: ${results.length} credit detail(s) in ${file.groups.length} group(s)`);
+  return results;
+}
+
+export default {
+  isBAI2,
+  parseBAI2,
+  bai2Payments
+};
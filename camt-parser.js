@@ -0,0 +1,278 @@
+/**
+ * camt Parser - reads ISO 20022 bank statements (camt.053) and debit/credit
+ * notifications (camt.054) downloaded as XML
+ *
+ * Statement shape:
+ *   {
+ *     type: 'camt.053',
+ *     id, account, owner,              // statement id, IBAN (or other id), account owner name
+ *     entries: [{                      // <Ntry>
+ *       amount, currency, credit, bookingDate, valueDate, reference,
+ *       transactions: [{               // <TxDtls>; entries booked as a batch have several
+ *         amount, debtor, creditor, endToEndId, reference,
+ *         unstructured: ['INV 4411 4412'],                 // <RmtInf/Ustrd>
+ *         documents: [{ number, type, date, due, paid, discount, creditNote, adjustments: [{ amount, reason, text }] }],
+ *         creditorReference                                 // <RmtInf/Strd/CdtrRefInf/Ref>
+ *       }]
+ *     }]
+ *   }
+ *
+ * Elements are matched by local name, so every camt version (001.02 to 001.08+) and
+ * namespace prefix reads the same. camtPayments() turns each credit transaction into a
+ * standard remittance result with invoice rows from the referenced documents.
+ */
+
+import logger from './logger.js';
+import { CONFIDENCE, fromRow } from './provenance.js';
+import { deduction } from './deductions.js';
+import { findInvoiceReferences } from './invoice-matcher.js';
+
+// Referenced document types that reduce what is owed (credit notes)
+const CREDIT_NOTE_TYPES = ['CREN'];
+
+// "NOTPROVIDED" is what banks put in mandatory references they don't have
+const isReference = (value) => !!value && !/^NOT ?PROVIDED$/i.test(value);
+
+/**
+ * Does this text look like a camt.053/camt.054 document?
+ */
+export function isCamt(text) {
+  return /<(\w+:)?Document\b[^>]*camt\.05[34]/.test(String(text || '').slice(0, 2000)) ||
+    /<(\w+:)?(BkToCstmrStmt|BkToCstmrDbtCdtNtfctn)\b/.test(String(text || '').slice(0, 4000));
+}
+
+// Child elements by local name (namespace prefixes ignored)
+function children(el, name) {
+  return el ? Array.from(el.children).filter(child => child.localName === name) : [];
+}
+
+/**
+ * Follow a path of local names: find(ntry, 'ValDt/Dt') -> the first matching element
+ */
+function find(el, path) {
+  return path.split('/').reduce((node, name) => children(node, name)[0] || null, el);
+}
+
+function findAll(el, path) {
+  const names = path.split('/');
+  const last = names.pop();
+  return children(names.length ? find(el, names.join('/')) : el, last);
+}
+
+const text = (el, path) => (find(el, path)?.textContent || '').trim();
+
+// First of several paths that has a value
+const firstText = (el, ...paths) => paths.map(path => text(el, path)).find(Boolean) || '';
+
+// Amounts with a type (e.g. <DscntApldAmt> in newer versions) hold the value in <Amt>
+const amountOf = (el) => Number(((children(el, 'Amt')[0] || el)?.textContent || '').trim()) || 0;
+
+// Dt or DtTm -> YYYY-MM-DD
+const dateOf = (el, path) => firstText(el, `${path}/Dt`, `${path}/DtTm`).slice(0, 10);
+
+// Party name: <Nm> directly (001.02) or under <Pty> (001.08+)
+const partyName = (el, path) => firstText(el, `${path}/Nm`, `${path}/Pty/Nm`);
+
+/**
+ * Read the referenced documents of one <Strd> block
+ */
+function readStructured(strd) {
+  const amounts = find(strd, 'RfrdDocAmt');
+  const adjustments = findAll(amounts, 'AdjstmntAmtAndRsn').map(adj => ({
+    // A credit adjustment raises what is paid; only debits are deductions
+    amount: amountOf(find(adj, 'Amt')) * (text(adj, 'CdtDbtInd') === 'CRDT' ? -1 : 1),
+    reason: firstText(adj, 'Rsn/Cd', 'Rsn/Prtry', 'Rsn'),
+    text: text(adj, 'AddtlInf')
+  }));
+  const docAmounts = {
+    due: amountOf(find(amounts, 'DuePyblAmt')),
+    paid: amountOf(find(amounts, 'RmtdAmt')),
+    discount: amountOf(find(amounts, 'DscntApldAmt')),
+    creditNote: amountOf(find(amounts, 'CdtNoteAmt')),
+    adjustments
+  };
+
+  // Newer versions allow several documents in one block; its amounts go on the first
+  const docs = findAll(strd, 'RfrdDocInf').map(doc => ({
+    number: text(doc, 'Nb'),
+    type: firstText(doc, 'Tp/CdOrPrtry/Cd', 'Tp/CdOrPrtry/Prtry'),
+    // A plain date in older versions; a date with a type (<Tp>, <Dt>) in newer ones
+    date: (text(doc, 'RltdDt/Dt') || text(doc, 'RltdDt')).slice(0, 10)
+  })).filter(doc => doc.number);
+
+  const noAmounts = { due: 0, paid: 0, discount: 0, creditNote: 0, adjustments: [] };
+  return docs.map((doc, idx) => ({ ...doc, ...(idx === 0 ? docAmounts : noAmounts) }));
+}
+
+function readTransaction(tx, entry) {
+  const rmtInf = find(tx, 'RmtInf');
+  const structured = findAll(rmtInf, 'Strd');
+
+  return {
+    // Older versions put the transaction amount under AmtDtls
+    amount: amountOf(find(tx, 'Amt') || find(tx, 'AmtDtls/TxAmt/Amt')) || entry.amount,
+    debtor: partyName(tx, 'RltdPties/Dbtr') || partyName(tx, 'RltdPties/UltmtDbtr'),
+    creditor: partyName(tx, 'RltdPties/Cdtr'),
+    endToEndId: text(tx, 'Refs/EndToEndId'),
+    reference: firstText(tx, 'Refs/AcctSvcrRef', 'Refs/TxId', 'Refs/InstrId'),
+    unstructured: findAll(rmtInf, 'Ustrd').map(el => el.textContent.trim()).filter(Boolean),
+    documents: structured.flatMap(readStructured),
+    creditorReference: structured.map(strd => text(strd, 'CdtrRefInf/Ref')).find(Boolean) || ''
+  };
+}
+
+/**
+ * Read a camt.053 statement or camt.054 notification
+ * @param {string} xml - File contents
+ * @returns {Object} Statement (see shape above)
+ */
+export function parseCamt(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('This camt file is not valid XML');
+  }
+
+  const root = doc.documentElement;
+  const message = children(root, 'BkToCstmrStmt')[0] || children(root, 'BkToCstmrDbtCdtNtfctn')[0];
+  if (!message) {
+    throw new Error('No camt.053 statement or camt.054 notification found in this XML file');
+  }
+
+  const type = message.localName === 'BkToCstmrStmt' ? 'camt.053' : 'camt.054';
+  // A file may hold several statements (accounts); their entries are read in order
+  const reports = [...children(message, 'Stmt'), ...children(message, 'Ntfctn')];
+  const statement = { type, id: '', account: '', owner: '', entries: [] };
+
+  for (const report of reports) {
+    statement.id = statement.id || text(report, 'Id');
+    statement.account = statement.account || firstText(report, 'Acct/Id/IBAN', 'Acct/Id/Othr/Id');
+    statement.owner = statement.owner || partyName(report, 'Acct/Ownr');
+
+    for (const ntry of children(report, 'Ntry')) {
+      const amountEl = find(ntry, 'Amt');
+      const entry = {
+        amount: amountOf(amountEl),
+        currency: amountEl?.getAttribute('Ccy') || '',
+        credit: text(ntry, 'CdtDbtInd') === 'CRDT' && text(ntry, 'RvslInd') !== 'true',
+        bookingDate: dateOf(ntry, 'BookgDt'),
+        valueDate: dateOf(ntry, 'ValDt'),
+        reference: firstText(ntry, 'AcctSvcrRef', 'NtryRef'),
+        transactions: []
+      };
+      entry.transactions = findAll(ntry, 'NtryDtls/TxDtls').map(tx => readTransaction(tx, entry));
+      statement.entries.push(entry);
+    }
+  }
+
+  return statement;
+}
+
+/**
+ * Invoice rows from a transaction's referenced documents. Without any, invoice
+ * numbers are looked for in the free-text remittance information.
+ */
+function transactionInvoices(tx, rowProvenance) {
+  const invoices = tx.documents.map(doc => {
+    const sign = CREDIT_NOTE_TYPES.includes(doc.type) ? -1 : 1;
+    // A lone document without a remitted amount was paid with the whole transaction
+    const paid = doc.paid || (tx.documents.length === 1 ? tx.amount : 0);
+    const deductions = [
+      ...(doc.creditNote ? [deduction(doc.creditNote, 'Credit note')] : []),
+      ...doc.adjustments.filter(adj => adj.amount > 0).map(adj =>
+        deduction(adj.amount, [adj.reason && `Adjustment ${adj.reason}`, adj.text].filter(Boolean).join(' - ')))
+    ];
+    const invoice = {
+      invoice: doc.number,
+      date: doc.date,
+      amount: sign * (doc.due || paid),
+      paidAmount: sign * paid,
+      discount: doc.discount,
+      deductions,
+      provenance: rowProvenance('RfrdDocInf referenced document', CONFIDENCE.FORMAT)
+    };
+    if (doc.type && !['CINV', ...CREDIT_NOTE_TYPES].includes(doc.type)) invoice.notes = `${doc.type} document`;
+    return invoice;
+  });
+  if (invoices.length) return invoices;
+
+  if (tx.creditorReference) {
+    return [{
+      invoice: tx.creditorReference,
+      paidAmount: tx.amount,
+      amount: tx.amount,
+      provenance: rowProvenance('CdtrRefInf creditor reference', CONFIDENCE.LABELED)
+    }];
+  }
+
+  const numbers = findInvoiceReferences(tx.unstructured.join(' '));
+  return numbers.map(number => ({
+    invoice: number,
+    // The whole amount only belongs to an invoice when it is the only one
+    paidAmount: numbers.length === 1 ? tx.amount : 0,
+    amount: numbers.length === 1 ? tx.amount : 0,
+    provenance: rowProvenance('invoice number in Ustrd remittance text', CONFIDENCE.HEURISTIC)
+  }));
+}
+
+/**
+ * Turn every credit transaction of a statement into a remittance result.
+ * The debtor is the payer (also `customer`); the creditor, or the account owner, the
+ * payee (`vendor`).
+ * @param {Object} statement - From parseCamt()
+ * @returns {Array<Object>} Remittance results, in statement order
+ */
+export function camtPayments(statement) {
+  const results = [];
+
+  statement.entries.forEach((entry, idx) => {
+    if (!entry.credit) return;
+
+    // An entry without transaction details is one payment
+    const transactions = entry.transactions.length
+      ? entry.transactions
+      : [{ amount: entry.amount, debtor: '', creditor: '', endToEndId: '', reference: entry.reference, unstructured: [], documents: [], creditorReference: '' }];
+
+    // Values are located by entry number within the file
+    const locate = (rule, confidence = CONFIDENCE.FORMAT) => fromRow(rule, confidence, idx + 1);
+
+    for (const tx of transactions) {
+      const reference = isReference(tx.endToEndId) ? tx.endToEndId : (tx.reference || entry.reference);
+      const invoices = transactionInvoices(tx, locate);
+      const payee = tx.creditor || statement.owner || statement.account;
+      const payeeSource = tx.creditor ? locate('Cdtr creditor name') : locate('account owner', CONFIDENCE.LABELED);
+
+      results.push({
+        paymentNumber: reference,
+        paymentDate: entry.valueDate || entry.bookingDate,
+        payer: tx.debtor,
+        payee,
+        customer: tx.debtor,
+        vendor: payee,
+        paymentAmount: tx.amount,
+        currency: entry.currency,
+        invoices,
+        format: statement.type,
+        rawText: tx.unstructured.join('\n'),
+        memo: [`${statement.type} entry ${reference}`.trim(), entry.currency, ...tx.unstructured].filter(Boolean).join(' · '),
+        provenance: {
+          paymentNumber: locate(isReference(tx.endToEndId) ? 'EndToEndId reference' : 'bank reference'),
+          paymentDate: locate(entry.valueDate ? 'ValDt value date' : 'BookgDt booking date'),
+          payer: locate('Dbtr debtor name'),
+          payee: payeeSource,
+          customer: locate('Dbtr debtor name'),
+          vendor: payeeSource,
+          paymentAmount: locate('transaction amount')
+        }
+      });
+    }
+  });
+
+  logger.info(`${statement.type}: ${results.length} credit transaction(s) in ${statement.entries.length} entr${statement.entries.length === 1 ? 'y' : 'ies'}`);
+  return results;
+}
+
+export default {
+  isCamt,
+  parseCamt,
+  camtPayments
+};
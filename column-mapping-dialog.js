@@ -0,0 +1,173 @@
+/**
+ * Column Mapping Dialog - lets the user pick the header row and assign columns
+ * when a CSV/XLSX remittance's columns weren't recognized.
+ * The mapping is saved for that header row (see column-mappings.js), so the next
+ * file with the same columns is read without asking.
+ */
+
+import logger from './logger.js';
+import ui from './ui-utils.js';
+import { MAPPING_FIELDS, saveColumnMapping } from './column-mappings.js';
+
+const $ = (q) => document.querySelector(q);
+
+// Data rows shown under the header row
+const PREVIEW_ROWS = 8;
+
+// Table being mapped: { rows, sheet, onSave }
+let pending = null;
+
+const cellText = (cell) => String(cell ?? '').trim();
+
+// Column letters as in a spreadsheet: A..Z, AA..
+function columnName(idx) {
+  let name = '';
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * First row that reads like a header: at least two labels and no amounts
+ * (else the first row with anything in it)
+ */
+function guessHeaderRow(rows) {
+  const cellsOf = (row) => (row || []).map(cellText).filter(Boolean);
+  const idx = rows.findIndex(row => {
+    const cells = cellsOf(row);
+    return cells.length >= 2 && !cells.some(cell => /^[-($]*[\d,.]+\)?$/.test(cell));
+  });
+  return idx >= 0 ? idx : Math.max(rows.findIndex(row => cellsOf(row).length), 0);
+}
+
+const headerRow = () => Number($('#cmHeaderRow').value);
+const headers = () => (pending.rows[headerRow()] || []).map(cellText);
+
+function fillHeaderRows(selected) {
+  const select = $('#cmHeaderRow');
+  select.innerHTML = '';
+
+  pending.rows.forEach((row, idx) => {
+    const cells = (row || []).map(cellText).filter(Boolean);
+    if (!cells.length) return;
+    const option = document.createElement('option');
+    option.value = String(idx);
+    option.textContent = `Row ${idx + 1}: ${cells.join(' · ').slice(0, 60)}`;
+    select.appendChild(option);
+  });
+
+  select.value = String(selected);
+}
+
+/**
+ * One column select per remittance field, listing the header row's columns
+ */
+function fillFields() {
+  const box = $('#cmFields');
+  const columns = headers();
+  box.innerHTML = '';
+
+  MAPPING_FIELDS.forEach(({ key, label }) => {
+    const labelEl = document.createElement('label');
+    labelEl.textContent = label;
+    const select = document.createElement('select');
+    select.dataset.field = key;
+    select.innerHTML = '<option value="-1">(not in this file)</option>';
+    columns.forEach((name, idx) => {
+      const option = document.createElement('option');
+      option.value = String(idx);
+      option.textContent = `${columnName(idx)}: ${name || '(blank)'}`;
+      select.appendChild(option);
+    });
+    select.onchange = renderPreview;
+    box.append(labelEl, select);
+  });
+}
+
+function readFields() {
+  return Object.fromEntries(
+    Array.from(document.querySelectorAll('#cmFields select')).map(select => [select.dataset.field, Number(select.value)])
+  );
+}
+
+/**
+ * The header row and the rows under it, with the assigned field above each column
+ */
+function renderPreview() {
+  const table = $('#cmPreview');
+  const start = headerRow();
+  const rows = pending.rows.slice(start, start + PREVIEW_ROWS + 1);
+  const width = Math.max(0, ...rows.map(row => (row || []).length));
+  const fieldOf = Object.fromEntries(
+    Object.entries(readFields()).filter(([, idx]) => idx >= 0).map(([key, idx]) => [idx, MAPPING_FIELDS.find(f => f.key === key).label])
+  );
+
+  const row = (cells, tag, className = '') => {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    cells.forEach(cell => {
+      const td = document.createElement(tag);
+      td.textContent = cell;
+      tr.appendChild(td);
+    });
+    return tr;
+  };
+
+  const columns = Array.from({ length: width }, (_, idx) => idx);
+  table.innerHTML = '';
+  table.appendChild(row(columns.map(idx => fieldOf[idx] ? `${columnName(idx)} → ${fieldOf[idx]}` : columnName(idx)), 'th'));
+  rows.forEach((cells, idx) => {
+    table.appendChild(row(columns.map(col => cellText((cells || [])[col])), 'td', idx === 0 ? 'mapping-header' : ''));
+  });
+}
+
+/**
+ * Wire up the column mapping dialog
+ */
+export function initColumnMappingDialog() {
+  const dialog = $('#columnMappingDialog');
+  if (!dialog) return;
+
+  $('#cmHeaderRow').onchange = () => {
+    fillFields();
+    renderPreview();
+  };
+
+  $('#cmSave').onclick = () => {
+    try {
+      saveColumnMapping(headers(), readFields());
+    } catch (error) {
+      logger.warn('Column mapping not saved:', error.message);
+      $('#cmResult').textContent = `⚠️ ${error.message}`;
+      return;
+    }
+
+    dialog.close();
+    ui.toast('Column mapping saved - files with these columns are read automatically', 'success');
+    pending.onSave();
+  };
+}
+
+/**
+ * Ask the user to map the columns of a table
+ * @param {Object} table - `unmappedTable` of a parse result: { rows, sheet }
+ * @param {Object} options
+ * @param {string} options.name - File name, for the dialog title
+ * @param {Function} options.onSave - Called once the mapping is saved (to read the file again)
+ */
+export function openColumnMappingDialog(table, { name, onSave }) {
+  const dialog = $('#columnMappingDialog');
+  if (!dialog || !table?.rows?.length) return;
+
+  pending = { ...table, onSave };
+  $('#cmTitle').textContent = `Map columns - ${name}${table.sheet ? ` (${table.sheet})` : ''}`;
+  $('#cmResult').textContent = 'Choose the row with the column headings, then the column holding each value. Invoice number and an amount are required.';
+
+  fillHeaderRows(guessHeaderRow(table.rows));
+  fillFields();
+  renderPreview();
+  dialog.showModal();
+}
+
+export default { initColumnMappingDialog, openColumnMappingDialog };
@@ -0,0 +1,85 @@
+/**
+ * Column Mappings - column assignments the user made for CSV/XLSX layouts the
+ * parser couldn't read on its own
+ *
+ * Saved as { [signature]: { headers, fields, savedAt } }, where the signature is the
+ * header row's normalized cells ("doc no|doc date|gross|net") and fields map each
+ * remittance field to a column index:
+ *   { invoice: 0, date: 1, amount: 2, discount: -1, deduction: 4, reason: 5, paid: 3,
+ *     paymentDate: -1, paymentNumber: -1 }
+ * A file whose header row has the same signature, e.g. the next export from the same
+ * payer, is read with the saved columns.
+ */
+
+import logger from './logger.js';
+import { saveColumnMappings, loadColumnMappings } from './data-persistence.js';
+
+// Fields a column can be assigned to, in dialog order
+export const MAPPING_FIELDS = [
+  { key: 'invoice', label: 'Invoice number' },
+  { key: 'date', label: 'Invoice date' },
+  { key: 'amount', label: 'Invoice amount' },
+  { key: 'discount', label: 'Discount' },
+  { key: 'deduction', label: 'Deduction' },
+  { key: 'reason', label: 'Deduction reason' },
+  { key: 'paid', label: 'Paid amount' },
+  { key: 'paymentDate', label: 'Payment date' },
+  { key: 'paymentNumber', label: 'Payment/check number' }
+];
+
+/**
+ * Signature of a header row: its cells lowercased with spacing collapsed;
+ * blank cells at the end don't count
+ */
+export function headerSignature(cells) {
+  const names = Array.from(cells || []).map(cell => String(cell ?? '').toLowerCase().replace(/\s+/g, ' ').trim());
+  while (names.length && !names[names.length - 1]) names.pop();
+  return names.some(Boolean) ? names.join('|') : '';
+}
+
+/**
+ * Find a row with a saved mapping among the first rows of a table
+ * @param {Array<Array>} rows - Table rows (cells)
+ * @param {number} [limit] - Rows to look at
+ * @returns {{headerRow: number, colMap: Object}|null} colMap has -1 for unassigned fields
+ */
+export function findSavedMapping(rows, limit = 50) {
+  const saved = loadColumnMappings();
+  if (!Object.keys(saved).length) return null;
+
+  for (let i = 0; i < Math.min(limit, rows.length); i++) {
+    const mapping = saved[headerSignature(rows[i])];
+    if (mapping) {
+      const colMap = Object.fromEntries(MAPPING_FIELDS.map(({ key }) => [key, mapping.fields[key] ?? -1]));
+      return { headerRow: i, colMap };
+    }
+  }
+  return null;
+}
+
+/**
+ * Save the columns assigned for a header row
+ * @param {Array} headers - Header row cells
+ * @param {Object} fields - Field key -> column index (-1 or missing when unassigned)
+ */
+export function saveColumnMapping(headers, fields) {
+  const signature = headerSignature(headers);
+  if (!signature) throw new Error('The header row is empty');
+  if (!(fields.invoice >= 0)) throw new Error('Choose the invoice number column');
+  if (!(fields.amount >= 0) && !(fields.paid >= 0)) throw new Error('Choose an invoice amount or paid amount column');
+
+  const cleaned = Object.fromEntries(MAPPING_FIELDS.map(({ key }) => [key, Number.isInteger(fields[key]) ? fields[key] : -1]));
+  saveColumnMappings({
+    ...loadColumnMappings(),
+    [signature]: { headers: signature.split('|'), fields: cleaned, savedAt: new Date().toISOString() }
+  });
+  logger.info(`Saved column mapping for "${signature}"`);
+  return cleaned;
+}
+
+export default {
+  MAPPING_FIELDS,
+  headerSignature,
+  findSavedMapping,
+  saveColumnMapping
+};
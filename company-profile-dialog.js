@@ -0,0 +1,74 @@
+/**
+ * Company Profile Dialog - our legal name and the other names documents print for us
+ * (see company-profile.js). A name can be tried before saving to see whether it would
+ * be recognized as us.
+ */
+
+import ui from './ui-utils.js';
+import { getCompanyProfile, saveProfile, clearProfile, isOurCompany, normalizeName } from './company-profile.js';
+
+const $ = (q) => document.querySelector(q);
+
+function readForm() {
+  return {
+    name: $('#cpName').value,
+    aliases: $('#cpAliases').value.split(/\r?\n/).map(alias => alias.trim()).filter(Boolean)
+  };
+}
+
+function fillForm(profile) {
+  $('#cpName').value = profile?.name || '';
+  $('#cpAliases').value = (profile?.aliases || []).join('\n');
+  $('#cpResult').textContent = 'Enter a name as a document prints it and press "Test".';
+}
+
+/**
+ * Wire up the company profile dialog
+ * @param {Object} options
+ * @param {Function} options.onSave - Called after the profile is saved or cleared
+ */
+export function initCompanyProfileDialog({ onSave }) {
+  const dialog = $('#companyDialog');
+  if (!dialog) return;
+
+  $('#btnCompany').onclick = () => {
+    fillForm(getCompanyProfile());
+    dialog.showModal();
+  };
+
+  $('#cpTest').onclick = () => {
+    const name = $('#cpTestName').value.trim();
+    if (!name) return;
+
+    const { name: legalName, aliases } = readForm();
+    const profile = { name: legalName.trim(), aliases };
+    $('#cpResult').textContent = isOurCompany(name, profile)
+      ? `"${name}" is recognized as ${profile.name || 'your company'}.`
+      : `"${name}" (compared as "${normalizeName(name)}") is not one of your names.`;
+  };
+
+  $('#cpSave').onclick = () => {
+    let profile;
+    try {
+      profile = saveProfile(readForm());
+    } catch (error) {
+      $('#cpResult').textContent = `⚠️ ${error.message}`;
+      return;
+    }
+
+    dialog.close();
+    ui.toast(`Company profile saved for ${profile.name}`, 'success');
+    onSave();
+  };
+
+  $('#cpClear').onclick = async () => {
+    const confirmed = await ui.confirm('Remove your company profile?', 'Clear company profile');
+    if (!confirmed) return;
+
+    clearProfile();
+    fillForm(null);
+    onSave();
+  };
+}
+
+export default { initCompanyProfileDialog };
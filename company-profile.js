@@ -0,0 +1,173 @@
+/**
+ * Company Profile - our own legal name and the other names documents use for us, so
+ * a parse can tell which party is us and which way the money went
+ *
+ * Profile shape (kept in localStorage):
+ *   {
+ *     name: 'Artec Industries, Inc.',
+ *     aliases: ['ARTEC INDUSTRIES', 'Artec Ind']
+ *   }
+ *
+ * Names are compared without case, punctuation or legal suffixes ("Artec Industries,
+ * Inc." = "ARTEC INDUSTRIES"), and an alias also matches as whole words inside a longer
+ * name ("ARTEC INDUSTRIES DBA ARTEC TRAILERS").
+ *
+ * A payment is either received from a customer (AR: the customer is the payer, we are
+ * the payee) or sent to a vendor (AP: we are the payer). assignRoles() decides which
+ * from the parties a parse result names:
+ *   - `payer`/`payee` where the file says who paid whom (bank and EDI files, and the
+ *     labels a document type hint reads);
+ *   - otherwise a remittance advice is issued by the payer (`vendor`) and names the
+ *     party paid (`customer`: Meyer's "Vendor Name", an AP report's business partner).
+ * The party that is us settles the direction; when neither is, the document type hint
+ * does, and an advice naming only the party paid is one of our own (AP).
+ */
+
+import logger from './logger.js';
+import { saveCompanyProfile, loadCompanyProfile, clearCompanyProfile } from './data-persistence.js';
+
+export const DIRECTIONS = ['AR', 'AP'];
+
+// Legal forms dropped when comparing names
+const LEGAL_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'plc', 'gmbh', 'ag', 'sa', 'sarl', 'bv', 'nv', 'pty', 'ulc'
+]);
+
+/**
+ * Name reduced for comparison ('Artec Industries, Inc.' -> 'artec industries')
+ */
+export function normalizeName(name) {
+  const words = String(name ?? '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) words.pop();
+  return words.join(' ');
+}
+
+/**
+ * Saved profile, or null when none has been set up
+ */
+export function getCompanyProfile() {
+  const profile = loadCompanyProfile();
+  return profile?.name ? profile : null;
+}
+
+/**
+ * Save the profile; aliases are trimmed and de-duplicated
+ * @param {Object} profile - { name, aliases }
+ */
+export function saveProfile({ name, aliases = [] }) {
+  const legalName = String(name ?? '').trim();
+  if (!legalName) throw new Error('Enter your company\'s legal name');
+
+  const seen = new Set([normalizeName(legalName)]);
+  const unique = aliases.map(alias => String(alias ?? '').trim()).filter(alias => {
+    const key = normalizeName(alias);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const profile = { name: legalName, aliases: unique };
+  saveCompanyProfile(profile);
+  logger.info(`Company profile saved: ${legalName} (${unique.length} alias(es))`);
+  return profile;
+}
+
+export function clearProfile() {
+  clearCompanyProfile();
+  logger.info('Company profile cleared');
+}
+
+/**
+ * Our legal name, or '' without a profile
+ */
+export function ourName() {
+  return getCompanyProfile()?.name || '';
+}
+
+/**
+ * Is this name one of ours?
+ */
+export function isOurCompany(name, profile = getCompanyProfile()) {
+  const key = normalizeName(name);
+  if (!key || !profile) return false;
+
+  const padded = ` ${key} `;
+  return [profile.name, ...(profile.aliases || [])].some(ours => {
+    const oursKey = normalizeName(ours);
+    return oursKey && (oursKey === key || padded.includes(` ${oursKey} `));
+  });
+}
+
+/**
+ * The payer and payee a parse result names, and the fields they came from
+ */
+function statedParties(result) {
+  if (result.payer || result.payee) {
+    return { payer: [result.payer || '', 'payer'], payee: [result.payee || '', 'payee'] };
+  }
+  return { payer: [result.vendor || '', 'vendor'], payee: [result.customer || '', 'customer'] };
+}
+
+/**
+ * Work out which way a payment went and who paid whom
+ * @param {Object} result - Parse result (with `mode`, the document type hint)
+ * @returns {Object} {
+ *   direction: 'AR' | 'AP',
+ *   payer, payee,          // our side is our legal name when there's a profile
+ *   counterparty,          // the customer (AR) or vendor (AP)
+ *   provenance: { payer, payee },
+ *   recognized             // whether the profile matched one of the parties
+ * }
+ */
+export function assignRoles(result) {
+  const profile = getCompanyProfile();
+  const { payer: [payer, payerField], payee: [payee, payeeField] } = statedParties(result);
+
+  let direction;
+  let recognized = true;
+  if (isOurCompany(payee, profile)) direction = 'AR';
+  else if (isOurCompany(payer, profile)) direction = 'AP';
+  else {
+    recognized = false;
+    if (result.mode === 'bill') direction = 'AP';
+    else if (result.mode === 'invoice' || result.mode === 'receipt') direction = 'AR';
+    else direction = payee && !payer ? 'AP' : 'AR';
+  }
+
+  const fields = result.provenance || {};
+  const roles = {
+    direction,
+    payer,
+    payee,
+    provenance: { payer: payer ? fields[payerField] : undefined, payee: payee ? fields[payeeField] : undefined },
+    recognized
+  };
+
+  // Our side is written the same way on every payment
+  const ours = direction === 'AR' ? 'payee' : 'payer';
+  if (profile && (!roles[ours] || isOurCompany(roles[ours], profile))) {
+    roles[ours] = profile.name;
+    roles.provenance[ours] = undefined;
+  }
+
+  roles.counterparty = direction === 'AR' ? roles.payer : roles.payee;
+  return roles;
+}
+
+export default {
+  DIRECTIONS,
+  normalizeName,
+  getCompanyProfile,
+  saveProfile,
+  clearProfile,
+  ourName,
+  isOurCompany,
+  assignRoles
+};
@@ -0,0 +1,205 @@
+/**
+ * CSV Reader - reads delimited text exports into rows of cells
+ *
+ * Result shape:
+ *   {
+ *     rows: [['Invoice', 'Amount'], ['10023', 1250.5]],
+ *     cells: [['Invoice', 'Amount'], ['10023', '1.250,50 €']],  // as written
+ *     delimiter: ';',            // ',', ';', '\t' or '|'
+ *     encoding: 'windows-1252',  // utf-8, utf-16le, utf-16be or windows-1252
+ *     decimal: ','               // decimal separator of the amounts
+ *   }
+ *
+ * The delimiter is sniffed from the first records (or an Excel "sep=;" line), quoted
+ * fields may hold delimiters, doubled quotes and line breaks, and byte order marks
+ * are dropped. European exports write amounts as "1.234,56"; in a file with decimal
+ * commas those cells are turned into numbers, as SheetJS does for spreadsheets, so
+ * the parsers read them the same way; `cells` keeps the text, currency symbols included.
+ */
+
+import logger from './logger.js';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// Records looked at to sniff the delimiter and decimal separator
+const SAMPLE_RECORDS = 30;
+const SAMPLE_CHARS = 64 * 1024;
+
+// "1.234,56", "-12,50", "€ 1 234,56", "1.234" - amounts written with decimal commas
+const DECIMAL_COMMA_AMOUNT = /^[-+]?\s*(?:[€$£]\s*)?[-+]?(?:\d{1,3}(?:[.\s]\d{3})+|\d+)(?:,\d+)?(?:\s*[€$£])?-?$/;
+
+/**
+ * Decode file bytes: a byte order mark decides; otherwise UTF-8 when the bytes are
+ * valid UTF-8, UTF-16 when every other byte is zero, and Windows-1252 (what Excel
+ * saves "CSV" as on Windows) for anything else
+ * @param {ArrayBuffer} buffer
+ * @returns {{text: string, encoding: string}}
+ */
+export function decodeText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const decode = (encoding, offset = 0, fatal = false) =>
+    new TextDecoder(encoding, { fatal }).decode(bytes.subarray(offset));
+
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return { text: decode('utf-8', 3), encoding: 'utf-8' };
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return { text: decode('utf-16le', 2), encoding: 'utf-16le' };
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return { text: decode('utf-16be', 2), encoding: 'utf-16be' };
+
+  // UTF-16 without a mark: ASCII text has a zero in every other byte
+  const sample = bytes.subarray(0, 512);
+  const zeros = (start) => sample.filter((_, idx) => idx % 2 === start && sample[idx] === 0).length;
+  if (sample.length >= 4) {
+    if (zeros(1) > sample.length / 4 && !zeros(0)) return { text: decode('utf-16le'), encoding: 'utf-16le' };
+    if (zeros(0) > sample.length / 4 && !zeros(1)) return { text: decode('utf-16be'), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: decode('utf-8', 0, true), encoding: 'utf-8' };
+  } catch {
+    return { text: decode('windows-1252'), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Split delimited text into records of cells. Quoted fields may contain the
+ * delimiter, doubled quotes ("") and line breaks; cells are trimmed and blank
+ * records dropped.
+ * @param {string} text
+ * @param {string} [delimiter]
+ * @param {number} [limit] - Stop after this many records
+ * @returns {Array<Array<string>>}
+ */
+export function splitRecords(text, delimiter = ',', limit = Infinity) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(cell.trim());
+    if (record.some(Boolean)) records.push(record);
+    record = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length && records.length < limit; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      // A quote only opens a quoted field at its start
+      inQuotes = true;
+      cell = '';
+    } else if (char === delimiter) {
+      record.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (records.length < limit && (cell || record.length)) endRecord();
+  return records;
+}
+
+/**
+ * Pick the delimiter that splits the first records into the same number of
+ * cells most often (title lines above a table are outvoted)
+ */
+export function sniffDelimiter(text) {
+  const sample = text.slice(0, SAMPLE_CHARS);
+  let best = { delimiter: ',', rows: 0, width: 1 };
+
+  for (const delimiter of DELIMITERS) {
+    const widths = splitRecords(sample, delimiter, SAMPLE_RECORDS).map(record => record.length);
+    const counts = new Map();
+    widths.filter(width => width > 1).forEach(width => counts.set(width, (counts.get(width) || 0) + 1));
+
+    for (const [width, rows] of counts) {
+      if (rows > best.rows || (rows === best.rows && width > best.width)) {
+        best = { delimiter, rows, width };
+      }
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Decimal separator of the amounts: ',' when more amount-like cells end in a comma
+ * and one or two digits ("12,50") than in a point ("12.50")
+ */
+export function sniffDecimal(rows) {
+  let comma = 0;
+  let point = 0;
+
+  rows.slice(0, SAMPLE_RECORDS * 4).forEach(row => row.forEach(cell => {
+    if (!/^[-+(€$£\s\d]/.test(cell) || /[^-+()€$£\s\d.,]/.test(cell)) return;
+    // Dates such as 01.02.25 aren't amounts
+    if (/^\d{1,2}[./]\d{1,2}[./]\d{2,4}$/.test(cell)) return;
+    if (/\d,\d{1,2}\D*$/.test(cell)) comma++;
+    else if (/\d\.\d{1,2}\D*$/.test(cell)) point++;
+  }));
+
+  return comma > point ? ',' : '.';
+}
+
+// "1.234,56 €" -> 1234.56 ("-12,50" and a trailing minus "12,50-" are negative)
+function decimalCommaNumber(cell) {
+  if (!/[,.]/.test(cell) || !DECIMAL_COMMA_AMOUNT.test(cell)) return cell;
+  const negative = /^-|-$/.test(cell.replace(/[\s€$£]/g, ''));
+  const digits = cell.replace(/[^\d,]/g, '').replace(',', '.');
+  return (negative ? -1 : 1) * Number(digits);
+}
+
+/**
+ * Read delimited text (already decoded)
+ * @param {string} text
+ * @returns {Object} { rows, cells, delimiter, decimal } (see shape above)
+ */
+export function readCSVText(text) {
+  let body = String(text || '').replace(/^﻿/, '');
+
+  // Excel writes "sep=;" as the first line to name the delimiter
+  const declared = body.match(/^"?sep=(.)"?\r?\n/i);
+  if (declared) body = body.slice(declared[0].length);
+
+  const delimiter = declared?.[1] || sniffDelimiter(body);
+  const cells = splitRecords(body, delimiter);
+  const decimal = sniffDecimal(cells);
+  const rows = decimal === ',' ? cells.map(row => row.map(decimalCommaNumber)) : cells;
+
+  return { rows, cells, delimiter, decimal };
+}
+
+/**
+ * Read a CSV (or other delimited text) file
+ * @param {File|Blob} file
+ * @returns {Promise<Object>} { rows, cells, delimiter, encoding, decimal } (see shape above)
+ */
+export async function readCSV(file) {
+  const { text, encoding } = decodeText(await file.arrayBuffer());
+  const csv = { ...readCSVText(text), encoding };
+
+  logger.info(`CSV ${file.name || ''}: ${csv.rows.length} record(s), ${JSON.stringify(csv.delimiter)} delimited, ${encoding}, decimal "${csv.decimal}"`);
+  return csv;
+}
+
+export default {
+  decodeText,
+  splitRecords,
+  sniffDelimiter,
+  sniffDecimal,
+  readCSVText,
+  readCSV
+};
@@ -0,0 +1,299 @@
+/**
+ * Currency - which currency a document is in, and the exchange rates a payment in
+ * one currency is applied to invoices in another at
+ *
+ *   detectCurrency('Total EUR 1.234,56')           -> 'EUR'
+ *   detectCurrency('C$ 1,250.00')                   -> 'CAD'
+ *   detectCurrency('$1,250.00')                     -> ''  ("$" alone could be any dollar)
+ *   findRate('USD', 'CAD', '2025-03-31')            -> { rate: 1.4376, date: '2025-03-31' }
+ *
+ * Rate table shape (imported from a CSV/XLSX of published rates, kept in localStorage):
+ *   {
+ *     source: 'fx-2025.csv',
+ *     importedAt: '2025-04-01T09:00:00.000Z',
+ *     rates: [{ date: '2025-03-31', from: 'USD', to: 'CAD', rate: 1.4376 }]
+ *   }
+ * A rate turns one unit of `from` into `to`. A look-up takes the latest rate on or before
+ * the date, and the inverse of the opposite pair when only that one is listed.
+ *
+ * On a payment, `currency` is what the cash came in, each invoice row has its own
+ * `currency`, and `fxRates` holds the payment currency per unit of each other invoice
+ * currency ({ USD: 1.36 } on a CAD payment). A row's `bookedRate` is the rate on its
+ * invoice date, which the realized FX difference is measured against (see apply-payment.js).
+ */
+
+import logger from './logger.js';
+import { UserFriendlyError } from './error-handler.js';
+import { saveFxRates, loadFxRates, clearFxRates } from './data-persistence.js';
+import { readCSV } from './csv-reader.js';
+import { parseAmount, parseDate, dateOrderOf, getDateOrder } from './locale.js';
+
+// Currencies offered in the form
+export const CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP', 'AUD', 'NZD', 'CHF', 'JPY', 'MXN', 'CNY', 'INR', 'SEK', 'NOK', 'DKK', 'PLN'];
+
+// Symbols that name one currency; prefixed dollars before the bare ones they contain
+const SYMBOLS = [
+  ['US$', 'USD'], ['CA$', 'CAD'], ['CAN$', 'CAD'], ['C$', 'CAD'], ['AU$', 'AUD'], ['A$', 'AUD'],
+  ['NZ$', 'NZD'], ['MX$', 'MXN'], ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['zł', 'PLN']
+];
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ISO codes as words ("USD 1,250.00", "1.250,00 EUR") and the symbols above
+const CODE_PATTERN = new RegExp(`(?<![A-Za-z])(${CURRENCIES.join('|')})(?![A-Za-z])`, 'g');
+const SYMBOL_PATTERN = new RegExp(`(?<![A-Za-z])(${SYMBOLS.map(([symbol]) => escapeRegExp(symbol)).join('|')})`, 'g');
+
+/**
+ * A known ISO code for a cell or code ('usd ' -> 'USD'), else ''
+ */
+export function currencyCode(value) {
+  const code = String(value ?? '').trim().toUpperCase();
+  return CURRENCIES.includes(code) ? code : '';
+}
+
+/**
+ * The currency a document (or table row) is written in: the ISO code or symbol that
+ * appears most often. A bare "$" doesn't count, so dollar documents that don't say
+ * which dollar fall back to the assumed currency.
+ * @param {string|Array} source - Text, or table rows/cells
+ * @returns {string} ISO code, or '' when the document doesn't say
+ */
+export function detectCurrency(source) {
+  const counts = new Map();
+  const count = (code) => counts.set(code, (counts.get(code) || 0) + 1);
+  let text = String(source ?? '');
+
+  if (Array.isArray(source)) {
+    // A currency column holds bare codes, in any case
+    const cells = source.flat();
+    cells.forEach(cell => {
+      const code = /^\s*[a-z]{3}\s*$/i.test(String(cell ?? '')) ? currencyCode(cell) : '';
+      if (code) count(code);
+    });
+    text = cells.filter(cell => !currencyCode(cell)).join(' ');
+  }
+
+  for (const m of text.matchAll(CODE_PATTERN)) count(m[1]);
+  for (const m of text.matchAll(SYMBOL_PATTERN)) count(SYMBOLS.find(([symbol]) => symbol === m[1])[1]);
+
+  let best = '';
+  for (const [code, n] of counts) {
+    if (!best || n > counts.get(best)) best = code;
+  }
+  return best;
+}
+
+// Header names for each column of a rate table in long form (one rate per row)
+const RATE_COLUMNS = {
+  date: ['date', 'effective', 'as of', 'valid'],
+  from: ['from', 'base', 'source'],
+  to: ['to', 'quote', 'target', 'counter'],
+  rate: ['exchange rate', 'fx rate', 'rate', 'value']
+};
+
+// A column per pair in wide form: "USD/CAD", "USD-CAD", "USDCAD", "FXUSDCAD" (Bank of Canada)
+const PAIR_HEADER = /^(?:fx)?([a-z]{3})\s*[/\-_ ]?\s*([a-z]{3})$/i;
+
+/**
+ * Read an exchange rate. Rates have no thousands separators: "1.365" is one and a bit,
+ * and so is "1,365" (decimal comma)
+ */
+export function parseRate(value) {
+  const str = String(value ?? '');
+  return Math.abs(parseAmount(value, { decimal: /,/.test(str) && !/\./.test(str) ? ',' : '.' }));
+}
+
+function pairOf(header) {
+  const m = String(header ?? '').trim().match(PAIR_HEADER);
+  const from = m && currencyCode(m[1]);
+  const to = m && currencyCode(m[2]);
+  return from && to && from !== to ? { from, to } : null;
+}
+
+/**
+ * Read exchange rates from spreadsheet rows (array of arrays), either one rate per row
+ * (date, from, to, rate) or a date column and a column per currency pair
+ * @param {Array<Array>} rows - Sheet rows, header row included
+ * @returns {Array<Object>} Rates sorted by date
+ */
+export function readRateRows(rows) {
+  const headerOf = (row) => (row || []).map(cell => String(cell ?? '').toLowerCase().trim());
+  const findIn = (headers, names) => {
+    for (const name of names) {
+      const index = headers.findIndex(h => h.includes(name));
+      if (index >= 0) return index;
+    }
+    return -1;
+  };
+
+  // Published rate files often have notes above the header row
+  const headerRow = rows.slice(0, 40).findIndex(row => {
+    const headers = headerOf(row);
+    return (findIn(headers, RATE_COLUMNS.rate) >= 0 && findIn(headers, RATE_COLUMNS.from) >= 0) ||
+      (row || []).some(pairOf);
+  });
+
+  if (headerRow === -1) {
+    throw new UserFriendlyError(
+      'Could not find exchange rates in this file',
+      'No header row with from/to/rate columns or currency pair columns',
+      ['Use columns Date, From, To, Rate', 'Or a Date column and one column per pair, e.g. USD/CAD']
+    );
+  }
+
+  const headers = headerOf(rows[headerRow]);
+  const data = rows.slice(headerRow + 1);
+  const dateOrder = dateOrderOf(data) || getDateOrder();
+  const dateCol = findIn(headers, RATE_COLUMNS.date);
+  const dateOf = (row) => (dateCol >= 0 ? parseDate(row[dateCol], { dateOrder }) : '');
+  const rates = [];
+
+  const pairs = rows[headerRow].map((header, idx) => ({ idx, pair: pairOf(header) })).filter(({ pair }) => pair);
+  if (pairs.length) {
+    data.forEach(row => pairs.forEach(({ idx, pair }) => {
+      const rate = parseRate((row || [])[idx]);
+      if (rate > 0) rates.push({ date: dateOf(row), ...pair, rate });
+    }));
+  } else {
+    const fromCol = findIn(headers, RATE_COLUMNS.from);
+    const toCol = findIn(headers, RATE_COLUMNS.to);
+    const rateCol = findIn(headers, RATE_COLUMNS.rate);
+    data.forEach(row => {
+      const from = currencyCode((row || [])[fromCol]);
+      const to = currencyCode((row || [])[toCol]);
+      const rate = parseRate((row || [])[rateCol]);
+      if (from && to && from !== to && rate > 0) rates.push({ date: dateOf(row), from, to, rate });
+    });
+  }
+
+  if (!rates.length) {
+    throw new UserFriendlyError(
+      'No exchange rates found in this file',
+      `Columns found: ${headers.filter(Boolean).join(', ')}`,
+      ['Rates need a known currency code on each side and a positive rate']
+    );
+  }
+
+  return rates.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Read a rate table file (not saved)
+ * @param {File} file - CSV or XLSX
+ * @param {Object} parser - RemittanceParser (for SheetJS)
+ */
+export async function readRateFile(file, parser) {
+  await parser.init();
+  const ext = parser.getExtension(file.name);
+  let rows;
+
+  if (ext === 'csv' || file.type === 'text/csv') {
+    ({ rows } = await readCSV(file));
+  } else {
+    if (!parser.XLSX) {
+      throw new Error('XLSX library not loaded. Please include SheetJS library.');
+    }
+    const workbook = parser.XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    rows = parser.XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
+  }
+
+  const rates = readRateRows(rows);
+  logger.info(`Read ${rates.length} exchange rate(s) from ${file.name}`);
+
+  return { source: file.name, importedAt: new Date().toISOString(), rates };
+}
+
+/**
+ * Saved rate table
+ */
+export function getRateTable() {
+  return loadFxRates();
+}
+
+export function saveRateTable(table) {
+  if (!saveFxRates(table)) {
+    throw new Error('The rate table is too large to store in this browser');
+  }
+  logger.info(`Saved ${table.rates.length} exchange rate(s)`);
+  return table;
+}
+
+export function clearRateTable() {
+  clearFxRates();
+  logger.info('Cleared exchange rates');
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Rate from one currency to another on a date, from the saved rate table
+ * @param {string} from - ISO code
+ * @param {string} to - ISO code
+ * @param {string} [date] - YYYY-MM-DD; the latest rate when not given
+ * @returns {{rate: number, date: string}|null} null when the table has no rate for the pair
+ */
+export function findRate(from, to, date = '') {
+  if (!from || !to) return null;
+  if (from === to) return { rate: 1, date };
+
+  const rates = getRateTable()?.rates || [];
+  const candidates = rates
+    .filter(r => (r.from === from && r.to === to) || (r.from === to && r.to === from))
+    .filter(r => !date || !r.date || r.date <= date);
+  if (!candidates.length) return null;
+
+  // Rates are sorted by date; prefer the direct pair on the same day
+  const latest = candidates[candidates.length - 1];
+  const found = candidates.find(r => r.date === latest.date && r.from === from) || latest;
+  return { rate: found.from === from ? found.rate : round6(1 / found.rate), date: found.date };
+}
+
+/**
+ * Currencies of a payment's invoice rows that differ from the payment currency
+ */
+export function foreignCurrencies(payment) {
+  if (!payment.currency) return [];
+  const currencies = payment.invoices.map(row => row.currency).filter(cur => cur && cur !== payment.currency);
+  return [...new Set(currencies)];
+}
+
+/**
+ * Fill a payment's missing exchange rates from the rate table: the rate on the payment
+ * date for each foreign invoice currency, and each foreign row's rate on its invoice date.
+ * Rates entered by hand are kept.
+ * @param {Object} payment - Payment state
+ * @returns {boolean} Whether a rate table is loaded
+ */
+export function applyRates(payment) {
+  if (!getRateTable()?.rates?.length || !payment.currency) return false;
+  payment.fxRates = { ...payment.fxRates };
+
+  for (const currency of foreignCurrencies(payment)) {
+    if (payment.fxRates[currency]) continue;
+    const found = findRate(currency, payment.currency, payment.date);
+    if (found) payment.fxRates[currency] = found.rate;
+  }
+
+  for (const row of payment.invoices) {
+    if (!row.currency || row.currency === payment.currency || row.bookedRate) continue;
+    const found = row.date && findRate(row.currency, payment.currency, row.date);
+    if (found) row.bookedRate = found.rate;
+  }
+
+  return true;
+}
+
+export default {
+  CURRENCIES,
+  currencyCode,
+  detectCurrency,
+  parseRate,
+  readRateRows,
+  readRateFile,
+  getRateTable,
+  saveRateTable,
+  clearRateTable,
+  findRate,
+  foreignCurrencies,
+  applyRates
+};
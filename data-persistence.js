@@ -10,6 +10,13 @@ const STORAGE_KEYS = {
   REMITTANCE_HISTORY: 'remittance_history',
   INVOICE_STATE: 'invoice_current_state',
   INVOICE_HISTORY: 'invoice_history',
+  REMITTANCE_TEMPLATES: 'remittance_templates',
+  AR_LEDGER: 'ar_ledger',
+  INVOICE_MATCH_RULES: 'invoice_match_rules',
+  COLUMN_MAPPINGS: 'column_mappings',
+  DATE_ORDERS: 'date_orders',
+  FX_RATES: 'fx_rates',
+  COMPANY_PROFILE: 'company_profile',
   AUTO_SAVE_ENABLED: 'auto_save_enabled'
 };
 
@@ -139,6 +146,38 @@ class DataPersistence {
     }
   }
 
+  /**
+   * Save a user-managed collection (templates, settings, ...)
+   * Unlike saveState this writes immediately and ignores the auto-save toggle.
+   */
+  saveCollection(key, items) {
+    try {
+      localStorage.setItem(key, JSON.stringify(items));
+      logger.debug(`Saved ${Array.isArray(items) ? items.length : 1} item(s) to ${key}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save ${key}:`, error);
+
+      if (error.name === 'QuotaExceededError') {
+        this._handleQuotaExceeded();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Load a user-managed collection
+   */
+  loadCollection(key, fallback = []) {
+    try {
+      const data = localStorage.getItem(key);
+      return data ? JSON.parse(data) : fallback;
+    } catch (error) {
+      logger.error(`Failed to load ${key}:`, error);
+      return fallback;
+    }
+  }
+
   /**
    * Export all data as JSON
    */
@@ -148,6 +187,13 @@ class DataPersistence {
       remittanceHistory: this.getHistory(STORAGE_KEYS.REMITTANCE_HISTORY),
       invoiceState: this.loadState(STORAGE_KEYS.INVOICE_STATE),
       invoiceHistory: this.getHistory(STORAGE_KEYS.INVOICE_HISTORY),
+      remittanceTemplates: this.loadCollection(STORAGE_KEYS.REMITTANCE_TEMPLATES),
+      arLedger: this.loadCollection(STORAGE_KEYS.AR_LEDGER, null),
+      invoiceMatchRules: this.loadCollection(STORAGE_KEYS.INVOICE_MATCH_RULES, {}),
+      columnMappings: this.loadCollection(STORAGE_KEYS.COLUMN_MAPPINGS, {}),
+      dateOrders: this.loadCollection(STORAGE_KEYS.DATE_ORDERS, {}),
+      fxRates: this.loadCollection(STORAGE_KEYS.FX_RATES, null),
+      companyProfile: this.loadCollection(STORAGE_KEYS.COMPANY_PROFILE, null),
       exportedAt: new Date().toISOString()
     };
 
@@ -173,6 +219,27 @@ class DataPersistence {
       if (data.invoiceHistory) {
         localStorage.setItem(STORAGE_KEYS.INVOICE_HISTORY, JSON.stringify(data.invoiceHistory));
       }
+      if (data.remittanceTemplates) {
+        this.saveCollection(STORAGE_KEYS.REMITTANCE_TEMPLATES, data.remittanceTemplates);
+      }
+      if (data.arLedger) {
+        this.saveCollection(STORAGE_KEYS.AR_LEDGER, data.arLedger);
+      }
+      if (data.invoiceMatchRules) {
+        this.saveCollection(STORAGE_KEYS.INVOICE_MATCH_RULES, data.invoiceMatchRules);
+      }
+      if (data.columnMappings) {
+        this.saveCollection(STORAGE_KEYS.COLUMN_MAPPINGS, data.columnMappings);
+      }
+      if (data.dateOrders) {
+        this.saveCollection(STORAGE_KEYS.DATE_ORDERS, data.dateOrders);
+      }
+      if (data.fxRates) {
+        this.saveCollection(STORAGE_KEYS.FX_RATES, data.fxRates);
+      }
+      if (data.companyProfile) {
+        this.saveCollection(STORAGE_KEYS.COMPANY_PROFILE, data.companyProfile);
+      }
 
       logger.success('Data imported successfully');
       return true;
@@ -327,5 +394,73 @@ export function saveInvoiceRecord(record) {
   return dataPersistence.saveToHistory(STORAGE_KEYS.INVOICE_STATE, record);
 }
 
+export function saveRemittanceTemplates(templates) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.REMITTANCE_TEMPLATES, templates);
+}
+
+export function loadRemittanceTemplates() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.REMITTANCE_TEMPLATES);
+}
+
+export function saveArLedger(ledger) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.AR_LEDGER, ledger);
+}
+
+export function loadArLedger() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.AR_LEDGER, null);
+}
+
+export function clearArLedger() {
+  dataPersistence.clearState(STORAGE_KEYS.AR_LEDGER);
+}
+
+export function saveInvoiceMatchRules(rules) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.INVOICE_MATCH_RULES, rules);
+}
+
+export function loadInvoiceMatchRules() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.INVOICE_MATCH_RULES, {});
+}
+
+export function saveColumnMappings(mappings) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.COLUMN_MAPPINGS, mappings);
+}
+
+export function loadColumnMappings() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.COLUMN_MAPPINGS, {});
+}
+
+export function saveDateOrders(orders) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.DATE_ORDERS, orders);
+}
+
+export function loadDateOrders() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.DATE_ORDERS, {});
+}
+
+export function saveFxRates(table) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.FX_RATES, table);
+}
+
+export function loadFxRates() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.FX_RATES, null);
+}
+
+export function clearFxRates() {
+  dataPersistence.clearState(STORAGE_KEYS.FX_RATES);
+}
+
+export function saveCompanyProfile(profile) {
+  return dataPersistence.saveCollection(STORAGE_KEYS.COMPANY_PROFILE, profile);
+}
+
+export function loadCompanyProfile() {
+  return dataPersistence.loadCollection(STORAGE_KEYS.COMPANY_PROFILE, null);
+}
+
+export function clearCompanyProfile() {
+  dataPersistence.clearState(STORAGE_KEYS.COMPANY_PROFILE);
+}
+
 export default dataPersistence;
 export { STORAGE_KEYS };
@@ -0,0 +1,83 @@
+/**
+ * Deductions - structured short-pay records on remittance invoice rows
+ *
+ * Every invoice row may carry a list of deductions the payer took:
+ *   row.deductions = [{ amount: 125.00, reason: 'coop', text: 'Short pay $125.00 co-op ad' }]
+ *
+ * The early-pay discount column stays in `row.discount`; deductions are what the
+ * payer withheld on top of it, and what the collections team may dispute.
+ */
+
+export const DEDUCTION_REASONS = {
+  COOP: 'coop',
+  FREIGHT: 'freight',
+  DAMAGE: 'damage',
+  PRICING: 'pricing',
+  EARLY_PAY: 'early-pay',
+  UNKNOWN: 'unknown'
+};
+
+export const REASON_LABELS = {
+  coop: 'Co-op',
+  freight: 'Freight',
+  damage: 'Damage',
+  pricing: 'Pricing',
+  'early-pay': 'Early-pay discount',
+  unknown: 'Unknown'
+};
+
+// Keywords payers use for each reason, checked in order
+const REASON_KEYWORDS = [
+  [DEDUCTION_REASONS.COOP, /co-?op|advertis|\bmdf\b|promo|marketing/i],
+  [DEDUCTION_REASONS.FREIGHT, /freight|shipping|deliver|carrier/i],
+  [DEDUCTION_REASONS.DAMAGE, /damage|defect|broken|shortage|return/i],
+  [DEDUCTION_REASONS.PRICING, /pric(e|ing)|cost diff|overcharg|rebate/i],
+  [DEDUCTION_REASONS.EARLY_PAY, /early[\s-]?pay|cash disc|prompt pay|\d+%\s*\d+\s*(days|net)/i]
+];
+
+/**
+ * Guess a reason code from a payer's note or reason column
+ */
+export function classifyReason(text) {
+  const match = REASON_KEYWORDS.find(([, pattern]) => pattern.test(text || ''));
+  return match ? match[0] : DEDUCTION_REASONS.UNKNOWN;
+}
+
+/**
+ * Build a deduction record; the reason is classified from the text when not given
+ */
+export function deduction(amount, text = '', reason = null) {
+  return {
+    amount: Math.round(Math.abs(Number(amount) || 0) * 100) / 100,
+    reason: reason && REASON_LABELS[reason] ? reason : classifyReason(text),
+    text: String(text || '').trim()
+  };
+}
+
+/**
+ * Sum of a row's deductions
+ */
+export function totalDeductions(row) {
+  const total = (row?.deductions || []).reduce((sum, d) => sum + (Number(d.amount) || 0), 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * One line per deduction (and per early-pay discount) across the given payment rows,
+ * for the collections team's dispute list
+ */
+export function deductionLines(rows) {
+  return rows.flatMap(row => [
+    ...(row.discount ? [{ invoice: row.invoice, ...deduction(row.discount, 'Early-pay discount', DEDUCTION_REASONS.EARLY_PAY) }] : []),
+    ...(row.deductions || []).map(d => ({ invoice: row.invoice, ...d }))
+  ]);
+}
+
+export default {
+  DEDUCTION_REASONS,
+  REASON_LABELS,
+  classifyReason,
+  deduction,
+  totalDeductions,
+  deductionLines
+};
@@ -0,0 +1,203 @@
+/**
+ * Document Preview - renders the uploaded PDF/image next to the payment form
+ * and outlines the text each field and invoice row was extracted from.
+ *
+ * Highlights come from provenance records (see provenance.js): a record whose
+ * source has `page` and `boxes` is drawn on that page. PDF boxes are in PDF
+ * units, image boxes in image pixels; both have their origin bottom-left
+ * (see extractOCRLayout in pdf-layout.js).
+ */
+
+import logger from './logger.js';
+import { isLowConfidence, describe } from './provenance.js';
+
+// Padding around highlighted text, in page units
+const BOX_PADDING = 2;
+
+class DocumentPreview {
+  /**
+   * @param {HTMLElement} container - Element the pages are rendered into
+   */
+  constructor(container) {
+    this.container = container;
+    this.pages = new Map(); // pageNum -> { el, overlay, width, height, toRect }
+    this.highlights = [];
+    this.loadId = 0;
+    this.objectURL = null;
+  }
+
+  /**
+   * Render every page of a PDF file
+   * @param {File} file - The uploaded PDF
+   * @param {Object} pdfjsLib - PDF.js, as loaded by RemittanceParser.init()
+   */
+  async showPDF(file, pdfjsLib) {
+    const loadId = this._reset();
+    const data = new Uint8Array(await file.arrayBuffer());
+    const pdf = await pdfjsLib.getDocument({ data }).promise;
+    const pageCount = pdf.numPages;
+
+    try {
+      for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+        const page = await pdf.getPage(pageNum);
+        if (loadId !== this.loadId) return; // A newer document replaced this one
+
+        // Render at a resolution that stays sharp when the pane is widened
+        const base = page.getViewport({ scale: 1 });
+        const scale = Math.min(3, Math.max(1.5, (this.container.clientWidth * (window.devicePixelRatio || 1)) / base.width));
+        const viewport = page.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        this._addPage(pageNum, canvas, viewport.width, viewport.height, (box) => {
+          const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+            box.x - BOX_PADDING, box.y - BOX_PADDING,
+            box.x + box.width + BOX_PADDING, box.y + box.height + BOX_PADDING
+          ]);
+          return { left: Math.min(x1, x2), top: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) };
+        });
+      }
+    } finally {
+      // Pages are kept as canvases; the document itself is no longer needed
+      pdf.destroy();
+    }
+
+    this._drawHighlights();
+    logger.debug(`Preview rendered ${pageCount} page(s)`);
+  }
+
+  /**
+   * Show an image file as a single page
+   */
+  async showImage(file) {
+    const loadId = this._reset();
+    const img = new Image();
+    this.objectURL = URL.createObjectURL(file);
+    img.src = this.objectURL;
+    await img.decode();
+    if (loadId !== this.loadId) return;
+
+    this._addPage(1, img, img.naturalWidth, img.naturalHeight, (box) => ({
+      left: box.x - BOX_PADDING,
+      top: img.naturalHeight - box.y - box.height - BOX_PADDING,
+      width: box.width + BOX_PADDING * 2,
+      height: box.height + BOX_PADDING * 2
+    }));
+    this._drawHighlights();
+  }
+
+  /**
+   * Show a preview for any uploaded file; formats without a visual layout get a note
+   */
+  async show(file, pdfjsLib) {
+    const type = (file.type || '').toLowerCase();
+    const ext = (file.name || '').split('.').pop().toLowerCase();
+
+    // Highlights belong to the previous document until the new one is parsed
+    this.highlights = [];
+
+    try {
+      if ((ext === 'pdf' || type === 'application/pdf') && pdfjsLib) {
+        await this.showPDF(file, pdfjsLib);
+      } else if (type.startsWith('image/') || ['png', 'jpg', 'jpeg'].includes(ext)) {
+        await this.showImage(file);
+      } else {
+        this.clear(`No preview for ${ext.toUpperCase() || 'this file type'} files`);
+      }
+    } catch (error) {
+      logger.warn('Preview failed:', error);
+      this.clear('Preview unavailable for this document');
+    }
+  }
+
+  /**
+   * Remove the document, optionally leaving a message in its place
+   */
+  clear(message = '') {
+    this._reset();
+    if (message) {
+      const note = document.createElement('div');
+      note.className = 'preview-empty';
+      note.textContent = message;
+      this.container.appendChild(note);
+    }
+  }
+
+  /**
+   * Set the highlighted sources
+   * @param {Array<{key: string, label: string, record: Object}>} entries
+   */
+  setHighlights(entries) {
+    this.highlights = entries.filter(entry => entry.record?.source?.boxes?.length);
+    this._drawHighlights();
+  }
+
+  /**
+   * Scroll to a highlight and make it stand out
+   * @returns {boolean} Whether the key had a location in the document
+   */
+  focus(key) {
+    this.container.querySelectorAll('.preview-box.active').forEach(el => el.classList.remove('active'));
+
+    const boxes = this.container.querySelectorAll(`.preview-box[data-key="${CSS.escape(key)}"]`);
+    if (!boxes.length) return false;
+
+    boxes.forEach(el => el.classList.add('active'));
+    boxes[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    return true;
+  }
+
+  _reset() {
+    if (this.objectURL) {
+      URL.revokeObjectURL(this.objectURL);
+      this.objectURL = null;
+    }
+    this.container.innerHTML = '';
+    this.pages.clear();
+    return ++this.loadId;
+  }
+
+  _addPage(pageNum, media, width, height, toRect) {
+    const el = document.createElement('div');
+    el.className = 'preview-page';
+    el.dataset.page = pageNum;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'preview-overlay';
+
+    el.append(media, overlay);
+    this.container.appendChild(el);
+    this.pages.set(pageNum, { el, overlay, width, height, toRect });
+  }
+
+  /**
+   * Draw highlight boxes; positions are percentages so they follow the pane's width
+   */
+  _drawHighlights() {
+    this.pages.forEach(page => { page.overlay.innerHTML = ''; });
+
+    for (const { key, label, record } of this.highlights) {
+      for (const box of record.source.boxes) {
+        const page = this.pages.get(box.page || record.source.page);
+        if (!page) continue;
+
+        const rect = page.toRect(box);
+        const el = document.createElement('div');
+        el.className = 'preview-box' + (isLowConfidence(record) ? ' low-confidence' : '');
+        el.dataset.key = key;
+        el.title = `${label}: ${describe(record)}`;
+        el.style.left = `${(rect.left / page.width) * 100}%`;
+        el.style.top = `${(rect.top / page.height) * 100}%`;
+        el.style.width = `${(rect.width / page.width) * 100}%`;
+        el.style.height = `${(rect.height / page.height) * 100}%`;
+        page.overlay.appendChild(el);
+      }
+    }
+  }
+}
+
+export { DocumentPreview };
+export default DocumentPreview;
@@ -194,7 +194,7 @@ export function showError(error, toastElement) {
  */
 export function validateFile(file) {
   const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-  const ALLOWED_EXTENSIONS = ['pdf', 'xlsx', 'xls', 'csv', 'png', 'jpg', 'jpeg'];
+  const ALLOWED_EXTENSIONS = ['pdf', 'xlsx', 'xls', 'csv', 'png', 'jpg', 'jpeg', 'eml', 'msg', 'txt', 'html', 'htm', 'ach', 'edi', 'x12', '820', 'xml', 'bai', 'bai2'];
   const ALLOWED_MIME_TYPES = [
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
@@ -203,6 +203,12 @@ export function validateFile(file) {
     'image/png',
     'image/jpeg',
     'image/jpg',
+    'message/rfc822',
+    'application/vnd.ms-outlook',
+    'text/plain',
+    'text/html',
+    'application/xml',
+    'text/xml',
     'application/octet-stream' // Generic type sometimes used by email clients
   ];
 
@@ -0,0 +1,245 @@
+/**
+ * Import Queue - parses a batch of remittance files one after another
+ *
+ * Each file becomes an entry:
+ *   { id, file, name, status, value, error }
+ * with status one of:
+ *   queued -> parsing -> parsed | review | failed, then recorded once the user saves it.
+ *
+ * The queue knows nothing about the page; the caller supplies how to parse a
+ * file and how to tell whether the result needs a closer look.
+ */
+
+import logger from './logger.js';
+
+export const STATUS = {
+  QUEUED: 'queued',
+  PARSING: 'parsing',
+  PARSED: 'parsed',
+  REVIEW: 'review',
+  FAILED: 'failed',
+  RECORDED: 'recorded'
+};
+
+export const STATUS_LABELS = {
+  queued: 'Queued',
+  parsing: 'Parsing…',
+  parsed: 'Parsed',
+  review: 'Needs review',
+  failed: 'Failed',
+  recorded: 'Recorded'
+};
+
+// Entries the user still has to deal with
+const OPEN_STATUSES = [STATUS.PARSED, STATUS.REVIEW, STATUS.FAILED];
+
+class ImportQueue {
+  /**
+   * @param {Object} options
+   * @param {Function} options.parse - async (entry) => value; throw to mark the entry failed
+   * @param {Function} [options.needsReview] - (value) => boolean
+   * @param {Function} [options.onChange] - Called with the queue after every status change
+   * @param {Function} [options.onEntryDone] - Called with each entry once it is parsed or failed
+   */
+  constructor({ parse, needsReview = () => false, onChange = () => {}, onEntryDone = () => {} }) {
+    this.parse = parse;
+    this.needsReview = needsReview;
+    this.onChange = onChange;
+    this.onEntryDone = onEntryDone;
+    this.entries = [];
+    this.running = false;
+    this.nextId = 1;
+  }
+
+  /**
+   * Add files to the end of the queue and start processing
+   * @returns {Array} The new entries
+   */
+  add(files) {
+    const added = Array.from(files).map(file => ({
+      id: this.nextId++,
+      file,
+      name: file.webkitRelativePath || file.relativePath || file.name,
+      status: STATUS.QUEUED,
+      value: null,
+      error: null
+    }));
+
+    this.entries.push(...added);
+    this.onChange(this);
+    this._run();
+    return added;
+  }
+
+  /**
+   * Add entries that are already parsed, e.g. further payments read from one bank file
+   * @param {Array<{file: File, name: string, value: *}>} items
+   * @returns {Array} The new entries
+   */
+  addParsed(items) {
+    const added = items.map(({ file, name, value }) => ({
+      id: this.nextId++,
+      file,
+      name: name || file.name,
+      status: this.needsReview(value) ? STATUS.REVIEW : STATUS.PARSED,
+      value,
+      error: null
+    }));
+
+    this.entries.push(...added);
+    this.onChange(this);
+    return added;
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === Number(id)) || null;
+  }
+
+  isBusy() {
+    return this.running;
+  }
+
+  /**
+   * Mark an entry as recorded (the user saved its payment)
+   */
+  markRecorded(id) {
+    const entry = this.get(id);
+    if (entry) {
+      entry.status = STATUS.RECORDED;
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * Parse an entry again, e.g. once the user has mapped a file's columns
+   */
+  retry(id) {
+    const entry = this.get(id);
+    if (!entry) return;
+
+    Object.assign(entry, { status: STATUS.QUEUED, value: null, error: null });
+    this.onChange(this);
+    this._run();
+  }
+
+  /**
+   * Remove an entry (e.g. a duplicate the user doesn't want to record)
+   */
+  remove(id) {
+    this.entries = this.entries.filter(entry => entry.id !== Number(id));
+    this.onChange(this);
+  }
+
+  /**
+   * Drop recorded entries from the list
+   */
+  clearRecorded() {
+    this.entries = this.entries.filter(entry => entry.status !== STATUS.RECORDED);
+    this.onChange(this);
+  }
+
+  /**
+   * The next entry after `id` that still needs the user, wrapping around
+   */
+  nextOpen(id = null) {
+    const open = this.entries.filter(entry => OPEN_STATUSES.includes(entry.status));
+    if (!open.length) return null;
+
+    const idx = this.entries.findIndex(entry => entry.id === Number(id));
+    return open.find(entry => this.entries.indexOf(entry) > idx) || open[0];
+  }
+
+  /**
+   * Count entries by status
+   */
+  counts() {
+    const counts = Object.fromEntries(Object.values(STATUS).map(status => [status, 0]));
+    this.entries.forEach(entry => { counts[entry.status]++; });
+    return counts;
+  }
+
+  /**
+   * Parse queued entries one at a time; a failure only affects its own entry
+   */
+  async _run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let entry;
+      while ((entry = this.entries.find(e => e.status === STATUS.QUEUED))) {
+        entry.status = STATUS.PARSING;
+        this.onChange(this);
+
+        try {
+          entry.value = await this.parse(entry);
+          entry.status = this.needsReview(entry.value) ? STATUS.REVIEW : STATUS.PARSED;
+        } catch (error) {
+          logger.warn(`Queue: ${entry.name} failed:`, error.message);
+          entry.error = error;
+          entry.status = STATUS.FAILED;
+        }
+
+        this.onChange(this);
+        this.onEntryDone(entry);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+/**
+ * Read files out of a drop, descending into dropped folders.
+ * Must be called synchronously from the drop handler: DataTransfer items are
+ * only readable during the event, so entries are captured before any await.
+ * @returns {{ hasFolder: boolean, count: number, files: Promise<File[]> }}
+ */
+export function readDroppedFiles(dataTransfer) {
+  const entries = Array.from(dataTransfer?.items || [])
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+  const plainFiles = Array.from(dataTransfer?.files || []);
+
+  return {
+    hasFolder: entries.some(entry => entry.isDirectory),
+    count: Math.max(entries.length, plainFiles.length),
+    files: entries.length ? collectEntries(entries) : Promise.resolve(plainFiles)
+  };
+}
+
+async function collectEntries(entries) {
+  const files = [];
+
+  const visit = async (entry) => {
+    if (entry.isFile) {
+      // Skip hidden files such as .DS_Store that come along with folders
+      if (entry.name.startsWith('.')) return;
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      file.relativePath = entry.fullPath.replace(/^\//, '');
+      files.push(file);
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      // readEntries returns results in chunks until it returns an empty list
+      let chunk;
+      do {
+        chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of chunk) await visit(child);
+      } while (chunk.length);
+    }
+  };
+
+  for (const entry of entries) {
+    try {
+      await visit(entry);
+    } catch (error) {
+      logger.warn(`Could not read dropped item ${entry.name}:`, error);
+    }
+  }
+
+  return files;
+}
+
+export { ImportQueue };
+export default ImportQueue;
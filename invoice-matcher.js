@@ -0,0 +1,305 @@
+/**
+ * Invoice Matcher - normalizes invoice numbers and finds the invoice a payer meant
+ *
+ * Payers rarely print our invoice numbers as issued: leading zeros are dropped,
+ * prefixes like "INV" are added or removed, partial payments get "-1" suffixes and
+ * OCR mixes up O/0 and l/1. The matcher tries increasingly loose comparisons and
+ * stops at the first one that finds something:
+ *
+ *   exact -> case/separators -> prefix/leading zeros -> OCR look-alikes
+ *         -> partial-payment suffix -> edit distance
+ *
+ * Every match reports the comparison that produced it. Several candidates at the
+ * same step, or any edit-distance match, make the match ambiguous: the user has
+ * to confirm it.
+ *
+ * Rules are configurable per payer and stored with the other local settings.
+ */
+
+import logger from './logger.js';
+import { saveInvoiceMatchRules, loadInvoiceMatchRules } from './data-persistence.js';
+
+export const DEFAULT_RULES = {
+  prefixes: ['INVOICE', 'INV', 'IN', 'NO'], // Removed from the start of invoice numbers
+  stripLeadingZeros: true,
+  ocrLookalikes: true,     // O->0, I/l->1, S->5, B->8 ...
+  partialSuffix: true,     // "12345-1" / "12345/2" pay invoice 12345
+  maxEdits: 1              // Typos tolerated (needs confirmation); 0 disables
+};
+
+// Characters OCR (and people) confuse with digits
+const LOOKALIKES = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+
+// Invoice numbers shorter than this are too short for edit-distance matching
+const MIN_FUZZY_LENGTH = 5;
+
+// An invoice label followed by a list of numbers (each with at least one digit)
+const INVOICE_LIST = /\b(?:inv(?:oice)?s?|rechnung|facture)\b\.?\s*(?:no\.?|nr\.?|#|:)?\s*((?:[A-Z0-9][\w-]*\d[\w-]*[\s,;/&]*(?:and\s+)?)+)/gi;
+
+/**
+ * Upper-case letters and digits only: "inv-000123 " -> "INV000123"
+ */
+export function compactInvoice(invoice) {
+  return String(invoice ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Invoice numbers named in free text, such as bank remittance lines, from every
+ * labeled list and each number once:
+ * "INV 4411, 4412" -> ['4411', '4412'], "Invoice no. 2085-33" -> ['2085-33'],
+ * "INV 4411 INV 4412 INV 4411" -> ['4411', '4412']
+ */
+export function findInvoiceReferences(text) {
+  const numbers = [...String(text ?? '').matchAll(INVOICE_LIST)]
+    .flatMap(list => list[1].match(/[A-Z0-9][\w-]*\d[\w-]*/gi));
+  return [...new Set(numbers)];
+}
+
+function stripPrefix(key, rules) {
+  const prefixes = (rules.prefixes || [])
+    .map(compactInvoice)
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+
+  // Only strip a prefix that is followed by the number itself
+  const prefix = prefixes.find(p => key.startsWith(p) && /\d/.test(key.charAt(p.length)));
+  let stripped = prefix ? key.slice(prefix.length) : key;
+  if (rules.stripLeadingZeros) stripped = stripped.replace(/^0+(?=.)/, '');
+  return stripped;
+}
+
+const fixLookalikes = (key) => key.replace(/[OQDILZSGB]/g, ch => LOOKALIKES[ch]);
+
+const stripSuffix = (invoice) => String(invoice ?? '').trim().replace(/\s*[-/]\s*\d{1,2}$/, '');
+
+/**
+ * Comparison steps, strictest first. `key` maps an invoice number to its comparison key;
+ * `queryKey`, when given, is used for the payer's invoice number instead.
+ */
+const STEPS = [
+  {
+    id: 'exact',
+    reason: 'exact match',
+    score: 1,
+    key: (invoice) => String(invoice ?? '').trim()
+  },
+  {
+    id: 'format',
+    reason: 'ignoring case and separators',
+    score: 0.97,
+    key: (invoice) => compactInvoice(invoice)
+  },
+  {
+    id: 'prefix',
+    reason: 'ignoring prefix and leading zeros',
+    score: 0.92,
+    key: (invoice, rules) => stripPrefix(compactInvoice(invoice), rules)
+  },
+  {
+    id: 'ocr',
+    reason: 'OCR look-alike characters (O/0, l/1, S/5)',
+    score: 0.85,
+    enabled: (rules) => rules.ocrLookalikes,
+    key: (invoice, rules) => fixLookalikes(stripPrefix(compactInvoice(invoice), rules))
+  },
+  {
+    id: 'partial',
+    reason: 'partial-payment suffix',
+    score: 0.8,
+    partial: true,
+    enabled: (rules) => rules.partialSuffix,
+    // Only the payer's number loses its suffix: "2085-34" is never taken for a different
+    // invoice "2085-33", so invoices that carry a suffix of their own aren't candidates
+    key: (invoice, rules) => {
+      if (stripSuffix(invoice) !== String(invoice ?? '').trim()) return '';
+      const key = stripPrefix(compactInvoice(invoice), rules);
+      return rules.ocrLookalikes ? fixLookalikes(key) : key;
+    },
+    queryKey: (invoice, rules) => {
+      const base = stripSuffix(invoice);
+      if (base === String(invoice ?? '').trim()) return '';
+      const key = stripPrefix(compactInvoice(base), rules);
+      return rules.ocrLookalikes ? fixLookalikes(key) : key;
+    }
+  }
+];
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+class InvoiceMatcher {
+  /**
+   * @param {Array<Object>} entries - Invoices to match against (ledger entries, payment rows)
+   * @param {Object} [rules] - Normalization rules (see DEFAULT_RULES)
+   * @param {Function} [getInvoice] - Reads the invoice number from an entry
+   */
+  constructor(entries, rules = DEFAULT_RULES, getInvoice = (entry) => entry.invoice) {
+    this.entries = entries;
+    this.rules = { ...DEFAULT_RULES, ...rules };
+    this.getInvoice = getInvoice;
+    this.steps = STEPS.filter(step => !step.enabled || step.enabled(this.rules));
+    this.indexes = new Map(); // step id -> Map(key -> entries)
+  }
+
+  /**
+   * Find the entry an invoice number refers to
+   * @param {string} invoice - Invoice number as printed by the payer
+   * @param {Object} [options]
+   * @param {boolean} [options.sameInvoice] - Only comparisons that mean "the same invoice
+   *   number, printed differently" (no partial suffixes or typos); used for de-duplicating rows
+   * @returns {{entry, reason, score, step, ambiguous, candidates}|null}
+   */
+  match(invoice, { sameInvoice = false } = {}) {
+    if (!compactInvoice(invoice)) return null;
+
+    for (const step of this.steps) {
+      if (sameInvoice && step.partial) continue;
+
+      const key = (step.queryKey || step.key)(invoice, this.rules);
+      const found = key ? this._index(step).get(key) : null;
+      if (!found?.length) continue;
+
+      return this._result(found.map(entry => ({ entry, reason: step.reason, score: step.score })), step.id);
+    }
+
+    if (sameInvoice || !this.rules.maxEdits) return null;
+    return this._fuzzy(invoice);
+  }
+
+  /**
+   * Entries within `maxEdits` typos; never trusted without confirmation
+   */
+  _fuzzy(invoice) {
+    const key = stripPrefix(compactInvoice(invoice), this.rules);
+    if (key.length < MIN_FUZZY_LENGTH) return null;
+
+    const candidates = [];
+    for (const entry of this.entries) {
+      const other = stripPrefix(compactInvoice(this.getInvoice(entry)), this.rules);
+      if (other.length < MIN_FUZZY_LENGTH) continue;
+
+      const distance = editDistance(key, other, this.rules.maxEdits);
+      if (distance <= this.rules.maxEdits) {
+        candidates.push({
+          entry,
+          reason: `${distance} character${distance === 1 ? '' : 's'} different`,
+          score: Math.round((0.6 - 0.1 * distance) * 100) / 100
+        });
+      }
+    }
+
+    if (!candidates.length) return null;
+    candidates.sort((a, b) => b.score - a.score);
+    return { ...this._result(candidates, 'fuzzy'), ambiguous: true };
+  }
+
+  _result(candidates, step) {
+    const [best] = candidates;
+    return {
+      entry: best.entry,
+      reason: best.reason,
+      score: best.score,
+      step,
+      ambiguous: candidates.length > 1,
+      candidates
+    };
+  }
+
+  _index(step) {
+    if (!this.indexes.has(step.id)) {
+      const index = new Map();
+      for (const entry of this.entries) {
+        const key = step.key(this.getInvoice(entry), this.rules);
+        if (!key) continue;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(entry);
+      }
+      this.indexes.set(step.id, index);
+    }
+    return this.indexes.get(step.id);
+  }
+}
+
+/**
+ * Saved rules: { default: {...}, payers: { 'acme supply': {...} } }
+ */
+const payerKey = (payer) => String(payer || '').trim().toLowerCase();
+
+export function getMatchRules(payer = '') {
+  const saved = loadInvoiceMatchRules();
+  const { payer: _name, ...payerRules } = saved.payers?.[payerKey(payer)] || {};
+  return { ...DEFAULT_RULES, ...saved.default, ...payerRules };
+}
+
+/**
+ * Payers with their own rules (display names)
+ */
+export function listRuleProfiles() {
+  const saved = loadInvoiceMatchRules();
+  return Object.values(saved.payers || {}).map(rules => rules.payer).filter(Boolean);
+}
+
+/**
+ * Save rules for a payer, or the defaults when no payer is given
+ */
+export function saveMatchRules(payer, rules) {
+  const saved = loadInvoiceMatchRules();
+  const cleaned = {
+    prefixes: (rules.prefixes || []).map(compactInvoice).filter(Boolean),
+    stripLeadingZeros: !!rules.stripLeadingZeros,
+    ocrLookalikes: !!rules.ocrLookalikes,
+    partialSuffix: !!rules.partialSuffix,
+    maxEdits: Math.max(0, Math.min(2, Number(rules.maxEdits) || 0))
+  };
+
+  if (payerKey(payer)) {
+    saved.payers = { ...saved.payers, [payerKey(payer)]: { ...cleaned, payer: String(payer).trim() } };
+  } else {
+    saved.default = cleaned;
+  }
+
+  saveInvoiceMatchRules(saved);
+  logger.info(`Saved invoice matching rules for ${payerKey(payer) ? payer : 'all payers'}`);
+  return cleaned;
+}
+
+export function deleteMatchRules(payer) {
+  const saved = loadInvoiceMatchRules();
+  if (payerKey(payer)) {
+    delete saved.payers?.[payerKey(payer)];
+  } else {
+    delete saved.default;
+  }
+  saveInvoiceMatchRules(saved);
+  logger.info(`Reset invoice matching rules for ${payerKey(payer) ? payer : 'all payers'}`);
+}
+
+export { InvoiceMatcher };
+
+export default {
+  DEFAULT_RULES,
+  InvoiceMatcher,
+  compactInvoice,
+  findInvoiceReferences,
+  getMatchRules,
+  listRuleProfiles,
+  saveMatchRules,
+  deleteMatchRules
+};
@@ -8,9 +8,32 @@ class EnhancedInvoiceParser {
     this.pdfjsLib = null;
     this.XLSX = null;
     this.Tesseract = null;
+    this.layoutLib = null;
+    this.provenanceLib = null;
+    this.localeLib = null;
+    this.fieldTrace = null;
+    // Order of numeric dates such as 03/04/2025 in the document being read ('MDY', 'DMY' or '')
+    this.dateOrder = '';
+    // Document type hint: auto, invoice, bill or receipt
+    this.mode = 'auto';
   }
 
   async init() {
+    // Shared line/column layout extraction (ES module, so load dynamically)
+    if (!this.layoutLib) {
+      this.layoutLib = await import('./pdf-layout.js');
+    }
+
+    // Confidence/provenance helpers (ES module)
+    if (!this.provenanceLib) {
+      this.provenanceLib = await import('./provenance.js');
+    }
+
+    // Amount and date reading shared with the remittance parser (ES module)
+    if (!this.localeLib) {
+      this.localeLib = await import('./locale.js');
+    }
+
     if (!this.pdfjsLib) {
       try {
         // Load PDF.js as ESM module
@@ -65,19 +88,70 @@ class EnhancedInvoiceParser {
     return this.Tesseract;
   }
 
-  async parseFile(file) {
+  /**
+   * @param {File} file
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Document type hint: auto, invoice, bill or receipt
+   */
+  async parseFile(file, { mode = 'auto' } = {}) {
     await this.init();
     const ext = file.name.split('.').pop().toLowerCase();
+    this.mode = ['auto', 'invoice', 'bill', 'receipt'].includes(mode) ? mode : 'auto';
     
-    console.log(`📄 Parsing ${file.name} (type: ${ext})`);
+    console.log(`📄 Parsing ${file.name} (type: ${ext}, document: ${this.mode})`);
 
     if (ext === 'pdf') return await this.parsePDF(file);
     if (['xlsx', 'xls'].includes(ext)) return await this.parseXLSX(file);
     if (ext === 'csv') return await this.parseCSV(file);
+    if (['png', 'jpg', 'jpeg'].includes(ext) || (file.type || '').startsWith('image/')) {
+      return await this.parseImage(file);
+    }
     
     throw new Error(`Unsupported file type: ${ext}`);
   }
 
+  async parseImage(file) {
+    console.log('🤖 Starting OCR on image...');
+
+    // Load Tesseract if not already loaded
+    await this.loadTesseract();
+
+    // Draw through a canvas so EXIF rotation is applied before OCR
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const result = await this.Tesseract.recognize(
+      canvas,
+      'eng',
+      {
+        logger: m => {
+          if (m.status === 'recognizing text') {
+            console.log(`  - OCR progress: ${Math.round(m.progress * 100)}%`);
+          }
+        }
+      }
+    );
+
+    // Rebuild lines and columns from word positions, as for PDF text
+    const page = this.layoutLib.extractOCRLayout(result.data.words || [], 1, canvas.width, canvas.height);
+    const layout = this.layoutLib.buildDocument([page]);
+
+    console.log('✅ OCR complete. Total text length:', layout.text.length);
+    console.log('📝 First 500 chars:', layout.text.substring(0, 500));
+
+    if (layout.text.trim().length < 10) {
+      throw new Error('OCR extraction failed - no text recognized in image');
+    }
+
+    const extracted = this.intelligentExtract(layout.text, layout);
+    this.provenanceLib.scaleConfidence(extracted, this.provenanceLib.OCR_PENALTY, 'OCR');
+    return extracted;
+  }
+
   async parsePDF(file) {
     if (!this.pdfjsLib) {
       throw new Error('PDF.js not loaded');
@@ -96,26 +170,14 @@ class EnhancedInvoiceParser {
       
       console.log('📄 PDF loaded, pages:', pdf.numPages);
       
-      let fullText = '';
-      let totalTextItems = 0;
-      
-      // Extract text from each page
-      for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-        console.log(`📃 Processing page ${pageNum}/${pdf.numPages}...`);
-        
-        const page = await pdf.getPage(pageNum);
-        const textContent = await page.getTextContent();
-        
-        totalTextItems += textContent.items.length;
-        console.log(`  - Text items on page ${pageNum}:`, textContent.items.length);
-        
-        // Join text items with space
-        const pageText = textContent.items
-          .map(item => item.str)
-          .join(' ');
-        
-        fullText += pageText + '\n\n';
-      }
+      // Extract text from each page, rebuilding lines from item positions
+      const layout = await this.layoutLib.extractDocumentLayout(pdf);
+      const fullText = layout.text;
+      const totalTextItems = layout.lines.reduce((sum, line) => sum + line.items.length, 0);
+
+      layout.pages.forEach(page => {
+        console.log(`  - Page ${page.pageNum}: ${page.lines.length} lines, ${page.columns.length} columns`);
+      });
 
       console.log('✅ Extracted text length:', fullText.length);
       console.log('📝 First 500 chars:', fullText.substring(0, 500));
@@ -134,7 +196,7 @@ class EnhancedInvoiceParser {
         throw new Error('PDF text extraction failed - extracted less than 10 characters');
       }
 
-      return this.intelligentExtract(fullText);
+      return this.intelligentExtract(fullText, layout);
       
     } catch (error) {
       console.error('❌ PDF parsing error:', error);
@@ -201,11 +263,29 @@ class EnhancedInvoiceParser {
       throw new Error('OCR extraction failed - no text recognized');
     }
     
-    return this.intelligentExtract(fullText);
+    const result = this.intelligentExtract(fullText);
+    if (this.provenanceLib) {
+      this.provenanceLib.scaleConfidence(result, this.provenanceLib.OCR_PENALTY, 'OCR');
+    }
+    return result;
   }
 
-  intelligentExtract(text) {
+  /**
+   * @param {string} text - Document text
+   * @param {Object} [layout] - Line/column layout from pdf-layout.js, when available
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Document type hint: a vendor bill takes the supplier
+   *   from its "Remit To"/"Vendor" label first, a customer invoice also reads the
+   *   "Bill To" customer, and a receipt reads its transaction number and amount paid
+   *   and is captured as one line for its total
+   * @returns {Object} Extracted fields; `provenance` maps each filled field to its
+   *   confidence, rule and source, and each line item carries its own `provenance`
+   */
+  intelligentExtract(text, layout = null, { mode = this.mode } = {}) {
     console.log('🧠 Starting extraction...');
+
+    // Extractors record where each value came from here (see traceMatch/traceText)
+    this.fieldTrace = {};
     
     const result = {
       supplier: '',
@@ -216,15 +296,25 @@ class EnhancedInvoiceParser {
       description: '',
       lineItems: [],
       totalAmount: 0,
-      comments: []
+      comments: [],
+      mode
     };
 
     // 1. Extract supplier - SIMPLIFIED
-    result.supplier = this.extractSupplierSimple(text);
+    result.supplier = this.extractSupplierSimple(text, mode);
     console.log('✓ Supplier:', result.supplier);
 
+    // Dates are read in the document's own order, else the one saved for the supplier
+    // (getDateOrder falls back to the default order)
+    this.dateOrder = this.localeLib.dateOrderOf(text) || this.localeLib.getDateOrder(result.supplier);
+
+    if (mode === 'invoice') {
+      result.customer = this.extractCustomer(text);
+      console.log('✓ Customer:', result.customer);
+    }
+
     // 2. Extract invoice ID - IMPROVED
-    result.invoiceId = this.extractInvoiceIdImproved(text);
+    result.invoiceId = this.extractInvoiceIdImproved(text, mode);
     console.log('✓ Invoice ID:', result.invoiceId);
 
     // 3. Extract dates
@@ -238,25 +328,84 @@ class EnhancedInvoiceParser {
     result.netTerms = this.extractTerms(text);
     console.log('✓ Terms:', result.netTerms);
 
-    // 5. Extract line items - FIXED
-    result.lineItems = this.extractLineItemsFixed(text);
+    // 5. Extract line items - table grid first, then text patterns
+    result.lineItems = layout ? this.extractLineItemsFromGrid(layout) : [];
+    if (result.lineItems.length === 0) {
+      result.lineItems = this.extractLineItemsFixed(text);
+    }
     console.log('✓ Line items found:', result.lineItems.length);
 
     // 6. Extract total - IMPROVED
-    result.totalAmount = this.extractTotalImproved(text, result.lineItems);
+    result.totalAmount = this.extractTotalImproved(text, result.lineItems, mode);
     console.log('✓ Total:', result.totalAmount);
 
+    if (mode === 'receipt') {
+      result.lineItems = this.collapseReceipt(result.lineItems, result.totalAmount);
+    }
+
     // 7. Extract comments
     result.comments = this.extractComments(text);
+    if (result.customer) result.comments.unshift(`Customer: ${result.customer}`);
+
+    result.provenance = this.fieldTrace;
+    this.fieldTrace = null;
+    if (this.provenanceLib) {
+      this.provenanceLib.attachLocations(result, layout);
+    }
 
     return result;
   }
 
+  /**
+   * Record provenance for a field taken from a regex match on the full text
+   * @param {string} level - CONFIDENCE key from provenance.js (FORMAT, LABELED, PATTERN, ...)
+   */
+  traceMatch(field, rule, level, match, group = 1) {
+    if (!this.provenanceLib || !this.fieldTrace) return;
+    const { CONFIDENCE, fromMatch } = this.provenanceLib;
+    this.fieldTrace[field] = fromMatch(rule, CONFIDENCE[level], match, group);
+  }
+
+  /**
+   * Record provenance for a field value found by searching the text for it
+   * (value may be empty for derived values like a sum)
+   */
+  traceText(field, rule, level, text, value) {
+    if (!this.provenanceLib || !this.fieldTrace) return;
+    const { CONFIDENCE, provenance, spanOf } = this.provenanceLib;
+    this.fieldTrace[field] = provenance(rule, CONFIDENCE[level], spanOf(text, value));
+  }
+
+  /**
+   * Provenance for a line item read from one line of text
+   */
+  traceRow(rule, level, text, line) {
+    if (!this.provenanceLib) return undefined;
+    const { CONFIDENCE, provenance, spanOf } = this.provenanceLib;
+    return provenance(rule, CONFIDENCE[level], spanOf(text, line));
+  }
+
   /**
    * SIMPLIFIED supplier extraction - looks for common patterns
    */
-  extractSupplierSimple(text) {
+  extractSupplierSimple(text, mode = 'auto') {
     const lines = text.split(/[\r\n]+/).map(l => l.trim()).filter(Boolean);
+
+    // "Bill From:", "Sold By:", etc.
+    const labeledSupplier = () => {
+      const billFromMatch = text.match(/(?:Bill\s+From|Sold\s+By|From|Remit\s+To|Vendor)[\s:]+([A-Z][A-Za-z \t&,.'-]+(?:LLC|Inc\.|Corp\.|Co\.|Company)?)/i);
+      if (billFromMatch && !this.isBlacklistedSupplier(billFromMatch[1])) {
+        this.traceMatch('supplier', '"Bill From"/"Remit To" label', 'LABELED', billFromMatch);
+        return billFromMatch[1].trim();
+      }
+      return '';
+    };
+
+    // A vendor bill names who to pay; trust that label over the header guesses
+    if (mode === 'bill') {
+      const supplier = labeledSupplier();
+      if (supplier) return supplier;
+    }
     
     // Strategy 1: Look for specific known suppliers first (case-insensitive)
     const knownSuppliers = [
@@ -268,6 +417,7 @@ class EnhancedInvoiceParser {
     for (const pattern of knownSuppliers) {
       const match = text.match(pattern);
       if (match) {
+        this.traceMatch('supplier', 'known supplier name', 'FORMAT', match, 0);
         return match[0].trim();
       }
     }
@@ -279,6 +429,7 @@ class EnhancedInvoiceParser {
       // Match: "COMPANY NAME LLC" or "Company Name, Inc."
       const entityMatch = line.match(/^([A-Z][A-Za-z\s&,.'()-]+?)\s*(LLC|Inc\.|Corp\.|Co\.|Company|Limited|Ltd\.)/i);
       if (entityMatch && !this.isBlacklistedSupplier(entityMatch[0])) {
+        this.traceText('supplier', 'company suffix (LLC, Inc...) near the top', 'PATTERN', text, entityMatch[0].trim());
         return entityMatch[0].trim();
       }
     }
@@ -290,18 +441,24 @@ class EnhancedInvoiceParser {
       // All caps, 10-60 chars, at least 2 words
       if (/^[A-Z][A-Z\s&,'.-]{10,60}$/.test(line) && line.split(/\s+/).length >= 2) {
         if (!this.isBlacklistedSupplier(line)) {
+          this.traceText('supplier', 'all-caps header line', 'HEURISTIC', text, line.trim());
           return line.trim();
         }
       }
     }
     
     // Strategy 4: Look for "Bill From:", "Sold By:", etc.
-    const billFromMatch = text.match(/(?:Bill\s+From|Sold\s+By|From|Remit\s+To|Vendor)[\s:]+([A-Z][A-Za-z\s&,.'-]+(?:LLC|Inc\.|Corp\.|Co\.|Company)?)/i);
-    if (billFromMatch && !this.isBlacklistedSupplier(billFromMatch[1])) {
-      return billFromMatch[1].trim();
-    }
-    
-    return '';
+    return mode === 'bill' ? '' : labeledSupplier();
+  }
+
+  /**
+   * Customer a customer invoice is billed to ("Bill To:", "Sold To:", "Customer:")
+   */
+  extractCustomer(text) {
+    const match = text.match(/(?:Bill(?:ed)?\s+To|Sold\s+To|Customer(?:\s+Name)?)(?![ \t]*(?:number|no\b|id\b|#))[\s:]+([A-Z][A-Za-z0-9\s&,.'-]*?)(?=\s{2,}|\n|$)/i);
+    if (!match) return '';
+    this.traceMatch('customer', '"Bill To"/"Sold To" label', 'LABELED', match);
+    return match[1].trim();
   }
 
   isBlacklistedSupplier(text) {
@@ -316,32 +473,37 @@ class EnhancedInvoiceParser {
   /**
    * IMPROVED invoice ID extraction
    */
-  extractInvoiceIdImproved(text) {
+  extractInvoiceIdImproved(text, mode = 'auto') {
     // Priority order of patterns
     const patterns = [
+      // Receipts are numbered by transaction: "Receipt # 0042-118", "Transaction ID: 88213"
+      ...(mode === 'receipt' ? [
+        { pattern: /(?:Receipt|Transaction|Confirmation)\s*(?:Number|No\.?|ID|#)[\s:#]*([A-Z0-9-]{3,})/i, rule: '"Receipt/Transaction #" label', level: 'LABELED' }
+      ] : []),
+
       // "Invoice 9165009" (Pacific Steel format)
-      /Invoice\s+(\d{7,9})/i,
+      { pattern: /Invoice\s+(\d{7,9})/i, rule: '"Invoice" + 7-9 digit number', level: 'LABELED' },
       
       // "Invoice #123456" or "Invoice No: 123456"
-      /Invoice\s+(?:Number|No\.?|#)[\s:]+([A-Z0-9-]+)/i,
+      { pattern: /Invoice\s+(?:Number|No\.?|#)[\s:]+([A-Z0-9-]+)/i, rule: '"Invoice Number" label', level: 'LABELED' },
       
       // "Invoice 123456" (standalone)
-      /Invoice[\s:]+([A-Z0-9-]{5,})/i,
+      { pattern: /Invoice[\s:]+([A-Z0-9-]{5,})/i, rule: '"Invoice" followed by an id', level: 'PATTERN' },
       
       // Invoice ID in header: "16 IV-612811"
-      /^(\d+\s+[A-Z]{2,}-?\d{5,})$/m,
+      { pattern: /^(\d+\s+[A-Z]{2,}-?\d{5,})$/m, rule: 'id-shaped header line', level: 'HEURISTIC' },
       
       // Pattern like "INV434292"
-      /\b(INV\d{5,})\b/i,
+      { pattern: /\b(INV\d{5,})\b/i, rule: 'INV-prefixed number', level: 'PATTERN' },
       
       // Pattern like "SIN704970"
-      /\b([A-Z]{3}\d{6,})\b/,
+      { pattern: /\b([A-Z]{3}\d{6,})\b/, rule: 'letters + digits code', level: 'HEURISTIC' },
       
       // Just a number after "Invoice" label
-      /Invoice[^\d]*?(\d{5,})/i
+      { pattern: /Invoice[^\d]*?(\d{5,})/i, rule: 'first number after "Invoice"', level: 'FALLBACK' }
     ];
 
-    for (const pattern of patterns) {
+    for (const { pattern, rule, level } of patterns) {
       const match = text.match(pattern);
       if (match && match[1]) {
         const id = match[1].trim();
@@ -351,6 +513,7 @@ class EnhancedInvoiceParser {
             !/^(20|19)\d{2}$/.test(id) && // Not just a year
             id.length >= 4 && 
             id.length <= 30) {
+          this.traceMatch('invoiceId', rule, level, match);
           return id;
         }
       }
@@ -366,6 +529,7 @@ class EnhancedInvoiceParser {
     const invDateMatch = text.match(/Invoice\s+Date[\s:]+(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
     if (invDateMatch) {
       result.invoiceDate = this.normalizeDate(invDateMatch[1]);
+      this.traceMatch('invoiceDate', '"Invoice Date" label', 'LABELED', invDateMatch);
     }
 
     // Look for "Order Date" as alternative
@@ -373,6 +537,7 @@ class EnhancedInvoiceParser {
       const orderDateMatch = text.match(/Order\s+Date[\s:]+(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
       if (orderDateMatch) {
         result.invoiceDate = this.normalizeDate(orderDateMatch[1]);
+        this.traceMatch('invoiceDate', '"Order Date" label', 'PATTERN', orderDateMatch);
       }
     }
 
@@ -381,6 +546,7 @@ class EnhancedInvoiceParser {
       const dateMatch = text.match(/Date[\s:]+(\d{1,2}\/\d{1,2}\/\d{2,4})/i);
       if (dateMatch) {
         result.invoiceDate = this.normalizeDate(dateMatch[1]);
+        this.traceMatch('invoiceDate', 'first "Date" label', 'HEURISTIC', dateMatch);
       }
     }
 
@@ -390,6 +556,7 @@ class EnhancedInvoiceParser {
       const beforeTermsMatch = text.match(/(\d{1,2}\/\d{1,2}\/\d{2,4})\s+(?:Net|NET)\s+\d+/);
       if (beforeTermsMatch) {
         result.dueDate = this.normalizeDate(beforeTermsMatch[1]);
+        this.traceMatch('dueDate', 'unlabeled date before terms', 'HEURISTIC', beforeTermsMatch);
       }
 
       // Look for TWO dates near each other (common pattern: invoice date then due date)
@@ -397,6 +564,8 @@ class EnhancedInvoiceParser {
       if (twoDateMatch) {
         result.dueDate = this.normalizeDate(twoDateMatch[1]);
         result.invoiceDate = this.normalizeDate(twoDateMatch[2]);
+        this.traceMatch('dueDate', 'first of two unlabeled dates', 'HEURISTIC', twoDateMatch, 1);
+        this.traceMatch('invoiceDate', 'second of two unlabeled dates', 'HEURISTIC', twoDateMatch, 2);
       }
     }
 
@@ -410,6 +579,7 @@ class EnhancedInvoiceParser {
       const match = text.match(pattern);
       if (match) {
         result.dueDate = this.normalizeDate(match[1]);
+        this.traceMatch('dueDate', '"Due Date" label', 'LABELED', match);
         break;
       }
     }
@@ -420,20 +590,23 @@ class EnhancedInvoiceParser {
   extractTerms(text) {
     const patterns = [
       // "Charge-NET 30 DAYS" (Pacific Steel format)
-      /(?:Method|Payment|Terms?)[\s:]+([A-Za-z-]+-?NET\s+\d+\s+DAYS?)/i,
+      { pattern: /(?:Method|Payment|Terms?)[\s:]+([A-Za-z-]+-?NET\s+\d+\s+DAYS?)/i, rule: '"Terms"/"Payment" label', level: 'LABELED' },
       // Standard "NET 30" format
-      /(NET\s*\d+(?:\s+DAYS?)?)/i,
+      { pattern: /(NET\s*\d+(?:\s+DAYS?)?)/i, rule: '"NET n" anywhere', level: 'PATTERN' },
       // "Terms: Net 30 days"
-      /Terms?[\s:]+([A-Z][A-Za-z\s\d]+(?:receipt|days))/i,
+      { pattern: /Terms?[\s:]+([A-Z][A-Za-z\s\d]+(?:receipt|days))/i, rule: '"Terms" label', level: 'LABELED' },
       // "Due on receipt"
-      /(Due\s+on\s+receipt)/i,
+      { pattern: /(Due\s+on\s+receipt)/i, rule: '"Due on receipt"', level: 'PATTERN' },
       // "Credit Card"
-      /(Credit\s+Card)/i
+      { pattern: /(Credit\s+Card)/i, rule: '"Credit Card" mentioned', level: 'HEURISTIC' }
     ];
 
-    for (const pattern of patterns) {
+    for (const { pattern, rule, level } of patterns) {
       const match = text.match(pattern);
-      if (match) return match[1].trim();
+      if (match) {
+        this.traceMatch('netTerms', rule, level, match);
+        return match[1].trim();
+      }
     }
 
     return '';
@@ -465,7 +638,8 @@ class EnhancedInvoiceParser {
           quantity: parseFloat(quantity),
           description: `${description.trim()} (${unit})`,
           unitPrice: this.parseMoney(unitPrice),
-          amount: this.parseMoney(amount)
+          amount: this.parseMoney(amount),
+          provenance: this.traceRow('qty/unit/weight/price line', 'PATTERN', text, line)
         });
         
         console.log(`  Found item: ${quantity} ${unit} ${description.substring(0, 30)}... = $${amount}`);
@@ -490,7 +664,8 @@ class EnhancedInvoiceParser {
             quantity,
             description: description.substring(0, 200),
             unitPrice,
-            amount
+            amount,
+            provenance: this.traceRow('line starting with a quantity', 'HEURISTIC', text, line)
           });
           
           console.log(`  Found item: ${quantity} x ${description.substring(0, 40)}... = $${amount}`);
@@ -518,7 +693,8 @@ class EnhancedInvoiceParser {
               quantity,
               description: line.substring(0, 200),
               unitPrice,
-              amount
+              amount,
+              provenance: this.traceRow('product description + prices on next line', 'HEURISTIC', text, line)
             });
           }
         }
@@ -540,7 +716,8 @@ class EnhancedInvoiceParser {
               quantity: 1,
               description: descMatch[1].trim(),
               unitPrice: this.parseMoney(amounts[0]),
-              amount: this.parseMoney(amounts[amounts.length - 1])
+              amount: this.parseMoney(amounts[amounts.length - 1]),
+              provenance: this.traceRow('any line with an amount', 'FALLBACK', text, line)
             });
           }
         }
@@ -551,6 +728,60 @@ class EnhancedInvoiceParser {
     return items;
   }
 
+  /**
+   * Line items from a detected table: find the header row, map columns, read rows below it
+   */
+  extractLineItemsFromGrid(layout) {
+    const header = this.layoutLib.findHeaderRow(layout, ['description']);
+    if (!header) return [];
+
+    const find = (names) => {
+      for (const name of names) {
+        const idx = header.headers.findIndex(h => h.includes(name));
+        if (idx >= 0) return idx;
+      }
+      return -1;
+    };
+
+    const col = {
+      quantity: find(['qty', 'quantity', 'shipped']),
+      description: find(['description', 'item']),
+      unitPrice: find(['unit price', 'price', 'rate']),
+      amount: find(['extended', 'amount', 'ext', 'total'])
+    };
+    if (col.amount < 0 || col.amount === col.unitPrice) return [];
+
+    const items = [];
+    const grid = header.page.grid;
+
+    for (let i = header.lineIndex + 1; i < grid.length; i++) {
+      const cells = grid[i];
+      const rowText = cells.join(' ').trim();
+      if (/^(sub)?total/i.test(rowText)) break;
+
+      const amountText = cells[col.amount] || '';
+      if (!/[\d,]+\.\d{2}/.test(amountText)) {
+        // Description wrapped onto the next line - append it to the previous item
+        const extra = (cells[col.description] || '').trim();
+        if (extra && items.length && !this.isHeaderOrFooter(extra)) {
+          items[items.length - 1].description = `${items[items.length - 1].description} ${extra}`.substring(0, 200);
+        }
+        continue;
+      }
+
+      items.push({
+        quantity: col.quantity >= 0 ? (parseFloat(String(cells[col.quantity]).replace(/,/g, '')) || 1) : 1,
+        description: (cells[col.description] || '').trim().substring(0, 200),
+        unitPrice: col.unitPrice >= 0 ? this.parseMoney(cells[col.unitPrice]) : 0,
+        amount: this.parseMoney(amountText),
+        provenance: this.provenanceLib?.fromLine('PDF table columns', this.provenanceLib.CONFIDENCE.TABLE, header.page.lines[i])
+      });
+    }
+
+    console.log(`✓ Extracted ${items.length} line items from table layout`);
+    return items;
+  }
+
   looksLikeDescription(line) {
     if (!line || line.length < 5 || line.length > 300) return false;
     if (this.isHeaderOrFooter(line)) return false;
@@ -573,26 +804,31 @@ class EnhancedInvoiceParser {
   /**
    * IMPROVED total extraction
    */
-  extractTotalImproved(text, lineItems) {
+  extractTotalImproved(text, lineItems, mode = 'auto') {
     // First try to find explicit total
     const patterns = [
+      // Receipts: "Amount Paid $42.10", "Total Paid: 42.10"
+      ...(mode === 'receipt' ? [
+        { pattern: /(?:Amount|Total)\s+Paid[\s:]+\$?([\d,]+\.\d{2})/i, rule: '"Amount Paid" label', level: 'LABELED' }
+      ] : []),
       // "Total $3,431.58" (Pacific Steel format)
-      /Total\s+\$?([\d,]+\.\d{2})/i,
+      { pattern: /Total\s+\$?([\d,]+\.\d{2})/i, rule: '"Total" label', level: 'LABELED' },
       // "Total USD: $1,234.56"
-      /Total\s+USD[\s:]+\$?([\d,]+\.\d{2})/i,
+      { pattern: /Total\s+USD[\s:]+\$?([\d,]+\.\d{2})/i, rule: '"Total USD" label', level: 'LABELED' },
       // "Amount Due $1,234.56"
-      /Amount\s+Due[\s:]+\$?([\d,]+\.\d{2})/i,
+      { pattern: /Amount\s+Due[\s:]+\$?([\d,]+\.\d{2})/i, rule: '"Amount Due" label', level: 'LABELED' },
       // "TOTAL: 1234.56"
-      /TOTAL[\s:]+\$?([\d,]+\.\d{2})/i,
+      { pattern: /TOTAL[\s:]+\$?([\d,]+\.\d{2})/i, rule: '"TOTAL:" label', level: 'LABELED' },
       // "SubTotal" followed by "Total" - take the second one
-      /Total\s+(?:Taxes|Tax)[\s:]+\$?[\d,]+\.\d{2}.*?Total[\s:]+\$?([\d,]+\.\d{2})/is
+      { pattern: /Total\s+(?:Taxes|Tax)[\s:]+\$?[\d,]+\.\d{2}.*?Total[\s:]+\$?([\d,]+\.\d{2})/is, rule: '"Total" after taxes', level: 'PATTERN' }
     ];
 
-    for (const pattern of patterns) {
+    for (const { pattern, rule, level } of patterns) {
       const match = text.match(pattern);
       if (match) {
         const amount = this.parseMoney(match[1]);
         if (amount > 0 && amount < 10000000) {
+          this.traceMatch('totalAmount', rule, level, match);
           return amount;
         }
       }
@@ -601,12 +837,33 @@ class EnhancedInvoiceParser {
     // Fallback: sum line items
     if (lineItems.length > 0) {
       const sum = lineItems.reduce((sum, item) => sum + (item.amount || 0), 0);
-      if (sum > 0) return sum;
+      if (sum > 0) {
+        this.traceText('totalAmount', 'sum of line items (no total found)', 'HEURISTIC', text, '');
+        return sum;
+      }
     }
 
     return 0;
   }
 
+  /**
+   * A receipt is captured as one line for its total, unless its items already add up to it
+   */
+  collapseReceipt(lineItems, total) {
+    if (!total) return lineItems;
+    const sum = lineItems.reduce((acc, item) => acc + (item.amount || 0), 0);
+    if (lineItems.length && Math.abs(sum - total) < 0.01) return lineItems;
+
+    const items = lineItems.map(item => item.description).filter(Boolean).join(', ');
+    return [{
+      quantity: 1,
+      description: items && items.length <= 80 ? `Receipt total (${items})` : 'Receipt total',
+      unitPrice: total,
+      amount: total,
+      provenance: this.fieldTrace?.totalAmount
+    }];
+  }
+
   extractComments(text) {
     const comments = [];
     
@@ -638,30 +895,11 @@ class EnhancedInvoiceParser {
   }
 
   parseMoney(value) {
-    if (typeof value === 'number') return value;
-    if (!value) return 0;
-    
-    const str = String(value).replace(/[$,]/g, '').trim();
-    const num = parseFloat(str);
-    return isNaN(num) ? 0 : num;
+    return this.localeLib.parseAmount(value);
   }
 
   normalizeDate(value) {
-    if (!value) return '';
-    
-    const str = String(value).trim();
-    
-    // MM/DD/YYYY or MM/DD/YY
-    const mdy = str.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/);
-    if (mdy) {
-      let [_, month, day, year] = mdy;
-      if (year.length === 2) {
-        year = parseInt(year) > 50 ? '19' + year : '20' + year;
-      }
-      return `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-
-    return '';
+    return this.localeLib.parseDate(value, { dateOrder: this.dateOrder });
   }
 }
 
@@ -1,3 +1,5 @@
+import { isLowConfidence, describe } from './provenance.js';
+
 // PDF.js configuration
 const PDF_WORKER_SRC = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/4.5.136/pdf.worker.min.mjs';
 
@@ -55,9 +57,13 @@ const initialState = () => ({
   description: '',
   totalAmount: 0,
   lineItems: [],
-  comments: []
+  comments: [],
+  provenance: {}
 });
 
+// Fields whose extraction confidence is shown on the form
+const TRACKED_FIELDS = ['supplier', 'invoiceId', 'invoiceDate', 'dueDate', 'netTerms', 'totalAmount'];
+
 let state = initialState();
 
 function resetState() {
@@ -76,6 +82,9 @@ function render() {
   $('#netTerms').value = state.netTerms || '';
   $('#description').value = state.description || '';
   $('#totalAmount').value = state.totalAmount ? fmtMoney(state.totalAmount) : '';
+
+  // Flag fields that came from weak patterns so they get reviewed
+  TRACKED_FIELDS.forEach(field => markConfidence($(`#${field}`), state.provenance?.[field]));
   
   // Update amount display
   $('#displayAmount').textContent = state.totalAmount ? fmtMoney(state.totalAmount) : '$0.00';
@@ -88,6 +97,24 @@ function render() {
   renderComments();
 }
 
+/**
+ * Highlight an input whose value was extracted with low confidence
+ */
+function markConfidence(el, record) {
+  if (!el) return;
+  el.classList.toggle('low-confidence', isLowConfidence(record));
+  el.title = record ? describe(record) : '';
+}
+
+/**
+ * The user edited a field, so its extracted value no longer needs review
+ */
+function markReviewed(field) {
+  const record = state.provenance?.[field];
+  if (record) record.reviewed = true;
+  markConfidence($(`#${field}`), record);
+}
+
 function renderLineItems() {
   const tbody = $('#lineItems');
   tbody.innerHTML = '';
@@ -99,6 +126,10 @@ function renderLineItems() {
     total += amount;
     
     const tr = document.createElement('tr');
+    if (isLowConfidence(item.provenance)) {
+      tr.classList.add('low-confidence');
+      tr.title = `Check this line: ${describe(item.provenance)}`;
+    }
     tr.innerHTML = `
       <td>
         <input type="number" 
@@ -191,6 +222,7 @@ function updateLineItem(idx, field, value) {
   
   // Recalculate amount
   const item = state.lineItems[idx];
+  if (item.provenance) item.provenance.reviewed = true; // Edited by hand
   item.amount = (item.quantity || 0) * (item.unitPrice || 0);
   
   render();
@@ -227,14 +259,15 @@ document.addEventListener('click', (e) => {
 });
 
 // Form field handlers
-$('#supplier').oninput = e => { state.supplier = e.target.value; };
-$('#invoiceId').oninput = e => { state.invoiceId = e.target.value; };
-$('#invoiceDate').oninput = e => { state.invoiceDate = e.target.value; };
-$('#dueDate').oninput = e => { state.dueDate = e.target.value; };
-$('#netTerms').oninput = e => { state.netTerms = e.target.value; };
+$('#supplier').oninput = e => { state.supplier = e.target.value; markReviewed('supplier'); };
+$('#invoiceId').oninput = e => { state.invoiceId = e.target.value; markReviewed('invoiceId'); };
+$('#invoiceDate').oninput = e => { state.invoiceDate = e.target.value; markReviewed('invoiceDate'); };
+$('#dueDate').oninput = e => { state.dueDate = e.target.value; markReviewed('dueDate'); };
+$('#netTerms').oninput = e => { state.netTerms = e.target.value; markReviewed('netTerms'); };
 $('#description').oninput = e => { state.description = e.target.value; };
 $('#totalAmount').oninput = e => { 
   state.totalAmount = parseMoney(e.target.value);
+  markReviewed('totalAmount');
   $('#displayAmount').textContent = fmtMoney(state.totalAmount);
 };
 
@@ -268,7 +301,8 @@ $('#btnSample').onclick = () => {
       'ACH Instructions: Johnson Bank - Routing #075911852',
       'Customer PO: 14228',
       'Ship Via: OUR TRUCK'
-    ]
+    ],
+    provenance: {}
   };
   render();
   toast('Sample invoice loaded');
@@ -396,8 +430,8 @@ async function handleFile(file) {
     const parser = new InvoiceParser();
     await parser.init();
     
-    // Parse the file
-    const result = await parser.parseFile(file);
+    // Parse the file, with the sidebar's document type hint
+    const result = await parser.parseFile(file, { mode: $('#mode').value });
     
     console.log('=== PARSED INVOICE ===', result);
     
@@ -411,11 +445,15 @@ async function handleFile(file) {
     state.totalAmount = result.totalAmount || 0;
     state.lineItems = result.lineItems || [];
     state.comments = result.comments || [];
+    state.provenance = result.provenance || {};
     
     // Render the form
     render();
     
-    statusEl.textContent = `✓ Captured invoice ${result.invoiceId || 'data'}`;
+    const toReview = TRACKED_FIELDS.filter(field => state[field] && isLowConfidence(state.provenance[field])).length +
+      state.lineItems.filter(item => isLowConfidence(item.provenance)).length;
+    statusEl.textContent = `✓ Captured invoice ${result.invoiceId || 'data'}` +
+      (toReview ? ` - ${toReview} highlighted value(s) need review` : '');
     toast('Invoice captured successfully!');
     
   } catch (err) {
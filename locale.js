@@ -0,0 +1,208 @@
+/**
+ * Locale - reads amounts and dates the way payers write them
+ *
+ *   parseAmount('1.234,56 €')   -> 1234.56     parseAmount('(150.00)') -> -150
+ *   parseAmount('USD 1,234.56') -> 1234.56     parseAmount('150.00-')  -> -150
+ *   parseDate('03/04/2025')                        -> '2025-03-04' (month first)
+ *   parseDate('03/04/2025', { dateOrder: 'DMY' })  -> '2025-04-03'
+ *   parseDate('15 Sep 2025'), parseDate('Sept. 15, 2025') -> '2025-09-15'
+ *
+ * Options: { decimal: '.' | ',', dateOrder: 'MDY' | 'DMY' }. Without a decimal
+ * separator it is worked out from the amount itself; without a date order, numeric
+ * dates are read month first unless the day can't be a month. dateOrderOf() finds the
+ * order a document uses, and an order can be saved per payer (getDateOrder).
+ */
+
+import logger from './logger.js';
+import { saveDateOrders, loadDateOrders } from './data-persistence.js';
+
+export const DATE_ORDERS = ['MDY', 'DMY'];
+
+// Month names and abbreviations (first three letters, plus "Sept")
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+const MONTH_NAME = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+
+// "15 Sep 2025", "15-Sep-25"
+const DAY_MONTH_YEAR = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s\\-/]+${MONTH_NAME}[\\s\\-/,]+(\\d{4}|\\d{2})\\b`, 'i');
+// "Sept. 15, 2025", "September 15 2025"
+const MONTH_DAY_YEAR = new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4}|\\d{2})\\b`, 'i');
+
+const ISO_DATE = /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/;
+const NUMERIC_DATE = /(?<!\d)(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?!\d)/;
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_OFFSET = 25569;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Two-digit years: 51-99 are 19xx, the rest 20xx
+const fullYear = (year) => (String(year).length === 2 ? (Number(year) > 50 ? 1900 : 2000) + Number(year) : Number(year));
+
+function isoDate(year, month, day) {
+  const y = fullYear(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return '';
+  return `${String(y).padStart(4, '0')}-${pad(m)}-${pad(d)}`;
+}
+
+/**
+ * Read an amount. Currency symbols and codes are ignored; "(150.00)", "-150.00",
+ * "150.00-" and "150.00 CR" are negative. The decimal separator is the last "." or ","
+ * unless a lone separator is followed by exactly three digits ("1,234", "1.234"), which
+ * is a thousands separator.
+ * @param {*} value
+ * @param {Object} [options] - { decimal }
+ * @returns {number} 0 when there is no number
+ */
+export function parseAmount(value, { decimal } = {}) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
+  if (!value) return 0;
+
+  let str = String(value).trim();
+  const negative = /^\(.*\)$/.test(str) || /^[^\d]*-/.test(str) || /-\s*$/.test(str) || /\d\s*CR$/i.test(str);
+
+  // Keep digits and separators (apostrophes and spaces group thousands in some locales)
+  str = str.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(str)) return 0;
+
+  const sep = decimal || decimalSeparatorOf(str);
+  const other = sep === ',' ? '.' : ',';
+  str = str.split(other).join('');
+  if (sep === ',') str = str.replace(/,/g, (match, offset, whole) => (offset === whole.lastIndexOf(',') ? '.' : ''));
+  else str = str.replace(/\.(?=.*\.)/g, '');
+
+  const num = parseFloat(str);
+  if (isNaN(num)) return 0;
+  return negative ? -num : num;
+}
+
+// The decimal separator of a bare number ("1.234,56" -> ",")
+function decimalSeparatorOf(str) {
+  const lastPoint = str.lastIndexOf('.');
+  const lastComma = str.lastIndexOf(',');
+  if (lastPoint >= 0 && lastComma >= 0) return lastPoint > lastComma ? '.' : ',';
+
+  const sep = lastPoint >= 0 ? '.' : lastComma >= 0 ? ',' : '.';
+  const parts = str.split(sep);
+  // Repeated, or one followed by exactly three digits (not "0.125"): thousands
+  const grouping = parts.length > 2 || (parts[1]?.length === 3 && parts[0] !== '0' && parts[0] !== '');
+  if (grouping) return sep === '.' ? ',' : '.';
+  return sep;
+}
+
+/**
+ * Read a date into YYYY-MM-DD. ISO dates, Excel serial numbers, Date objects and
+ * textual months are unambiguous; numeric dates follow `dateOrder`, except that a
+ * first number over 12 can only be a day.
+ * @param {*} value
+ * @param {Object} [options] - { dateOrder }
+ * @returns {string} '' when there is no date
+ */
+export function parseDate(value, { dateOrder } = {}) {
+  if (!value) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString().slice(0, 10);
+
+  if (typeof value === 'number') {
+    if (value <= 40000) return '';
+    return new Date((value - EXCEL_EPOCH_OFFSET) * 86400 * 1000).toISOString().slice(0, 10);
+  }
+
+  const str = String(value).trim();
+
+  const iso = str.match(ISO_DATE);
+  if (iso) return isoDate(iso[1], iso[2], iso[3]);
+
+  const numeric = str.match(NUMERIC_DATE);
+  if (numeric) {
+    const [, first, second, year] = numeric;
+    const dayFirst = dateOrder === 'DMY' ? Number(second) <= 12 : Number(first) > 12;
+    return dayFirst ? isoDate(year, second, first) : isoDate(year, first, second);
+  }
+
+  const dmy = str.match(DAY_MONTH_YEAR);
+  if (dmy) return isoDate(dmy[3], MONTHS[dmy[2].slice(0, 3).toLowerCase()], dmy[1]);
+
+  const mdy = str.match(MONTH_DAY_YEAR);
+  if (mdy) return isoDate(mdy[3], MONTHS[mdy[1].slice(0, 3).toLowerCase()], mdy[2]);
+
+  const parsed = new Date(str);
+  return isNaN(parsed) ? '' : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Is this a numeric date that reads differently month first and day first? (03/04/2025)
+ */
+export function isAmbiguousDate(value) {
+  if (typeof value !== 'string' || ISO_DATE.test(value)) return false;
+  const m = value.match(NUMERIC_DATE);
+  return !!m && m[1] !== m[2] && Number(m[1]) <= 12 && Number(m[2]) <= 12;
+}
+
+/**
+ * The order of the numeric dates in a document: 'DMY' when one starts with a day
+ * over 12 (25/03/2025), 'MDY' when one has it second (03/25/2025), '' when the
+ * dates don't tell (or disagree)
+ * @param {string|Array} source - Document text, or table rows
+ */
+export function dateOrderOf(source) {
+  const text = Array.isArray(source) ? source.flat().join(' ') : String(source || '');
+  let dayFirst = 0;
+  let monthFirst = 0;
+
+  for (const m of text.matchAll(new RegExp(NUMERIC_DATE.source, 'g'))) {
+    if (Number(m[1]) > 12 && Number(m[2]) <= 12) dayFirst++;
+    else if (Number(m[2]) > 12 && Number(m[1]) <= 12) monthFirst++;
+  }
+
+  if (dayFirst && !monthFirst) return 'DMY';
+  if (monthFirst && !dayFirst) return 'MDY';
+  return '';
+}
+
+/**
+ * Saved date orders: { default: 'DMY', payers: { 'acme gmbh': { payer: 'ACME GmbH', dateOrder: 'DMY' } } }
+ */
+const payerKey = (payer) => String(payer || '').trim().toLowerCase();
+
+/**
+ * The order to read a payer's ambiguous numeric dates in: the payer's own, else the
+ * one saved for all payers, else '' (month first)
+ */
+export function getDateOrder(payer = '') {
+  const saved = loadDateOrders();
+  return saved.payers?.[payerKey(payer)]?.dateOrder || saved.default || '';
+}
+
+/**
+ * Save the date order for a payer, or for all payers when no payer is given
+ * ('' to go back to automatic)
+ */
+export function saveDateOrder(payer, dateOrder) {
+  const saved = loadDateOrders();
+  const order = DATE_ORDERS.includes(dateOrder) ? dateOrder : '';
+
+  if (payerKey(payer)) {
+    const payers = { ...saved.payers };
+    if (order) payers[payerKey(payer)] = { payer: String(payer).trim(), dateOrder: order };
+    else delete payers[payerKey(payer)];
+    saved.payers = payers;
+  } else {
+    saved.default = order;
+  }
+
+  saveDateOrders(saved);
+  logger.info(`Date order for ${payerKey(payer) ? payer : 'all payers'}: ${order || 'automatic'}`);
+}
+
+export default {
+  DATE_ORDERS,
+  parseAmount,
+  parseDate,
+  isAmbiguousDate,
+  dateOrderOf,
+  getDateOrder,
+  saveDateOrder
+};
@@ -0,0 +1,119 @@
+/**
+ * Match Rules Dialog - per-payer invoice-number normalization settings (and the
+ * order the payer writes numeric dates in)
+ * Rules are tried against the loaded AR ledger so the clerk can see which
+ * comparison matches a mangled invoice number before saving.
+ */
+
+import ui from './ui-utils.js';
+import { getMatchRules, listRuleProfiles, saveMatchRules, deleteMatchRules } from './invoice-matcher.js';
+import { findInvoice, getLedger } from './ar-ledger.js';
+import { getDateOrder, saveDateOrder } from './locale.js';
+
+const $ = (q) => document.querySelector(q);
+
+/**
+ * Read the dialog form into a rules object
+ */
+function readForm() {
+  return {
+    prefixes: $('#mrPrefixes').value.split(',').map(p => p.trim()).filter(Boolean),
+    stripLeadingZeros: $('#mrLeadingZeros').checked,
+    ocrLookalikes: $('#mrOcr').checked,
+    partialSuffix: $('#mrPartial').checked,
+    maxEdits: Number($('#mrMaxEdits').value)
+  };
+}
+
+function fillForm(rules, payer) {
+  $('#mrPrefixes').value = rules.prefixes.join(', ');
+  $('#mrLeadingZeros').checked = rules.stripLeadingZeros;
+  $('#mrOcr').checked = rules.ocrLookalikes;
+  $('#mrPartial').checked = rules.partialSuffix;
+  $('#mrMaxEdits').value = String(rules.maxEdits);
+  $('#mrDateOrder').value = getDateOrder(payer);
+  $('#mrResult').textContent = 'Enter an invoice number as the payer prints it and press "Test".';
+}
+
+function refreshPayerList(current, selected) {
+  const select = $('#mrPayer');
+  const payers = new Set(listRuleProfiles());
+  if (current) payers.add(current);
+
+  select.innerHTML = '<option value="">All payers (default)</option>';
+  payers.forEach(payer => {
+    const option = document.createElement('option');
+    option.value = payer;
+    option.textContent = payer;
+    select.appendChild(option);
+  });
+
+  select.value = selected;
+}
+
+/**
+ * Wire up the matching rules dialog
+ * @param {Object} options
+ * @param {Function} options.getPayer - Returns the payer of the current payment
+ * @param {Function} options.onSave - Called after rules change (to re-match open payments)
+ */
+export function initMatchRulesDialog({ getPayer, onSave }) {
+  const dialog = $('#matchRulesDialog');
+  if (!dialog) return;
+
+  const selectedPayer = () => $('#mrPayer').value;
+
+  $('#btnMatchRules').onclick = () => {
+    const payer = (getPayer() || '').trim();
+    refreshPayerList(payer, payer);
+    fillForm(getMatchRules(payer), payer);
+    dialog.showModal();
+  };
+
+  $('#mrPayer').onchange = () => fillForm(getMatchRules(selectedPayer()), selectedPayer());
+
+  $('#mrTest').onclick = () => {
+    const invoice = $('#mrTestInvoice').value.trim();
+    if (!getLedger()) {
+      $('#mrResult').textContent = 'Import an AR ledger first - invoice numbers are matched against it.';
+      return;
+    }
+    if (!invoice) return;
+
+    const match = findInvoice(invoice, { ...getMatchRules(selectedPayer()), ...readForm() });
+    if (!match) {
+      $('#mrResult').textContent = `No ledger invoice matches "${invoice}".`;
+      return;
+    }
+
+    const lines = match.candidates.map(c => `${c.entry.invoice} - ${c.reason}`);
+    $('#mrResult').textContent = match.ambiguous
+      ? `Needs confirmation, ${lines.length} candidate(s):\n${lines.join('\n')}`
+      : `Matches ${lines[0]}`;
+  };
+
+  $('#mrSave').onclick = () => {
+    const payer = selectedPayer();
+    saveMatchRules(payer, readForm());
+    saveDateOrder(payer, $('#mrDateOrder').value);
+    ui.toast(`Matching rules saved for ${payer || 'all payers'}`, 'success');
+    onSave();
+  };
+
+  $('#mrDelete').onclick = async () => {
+    const payer = selectedPayer();
+    const confirmed = await ui.confirm(
+      payer ? `Use the default rules for ${payer}?` : 'Reset the default rules?',
+      'Reset matching rules'
+    );
+    if (!confirmed) return;
+
+    deleteMatchRules(payer);
+    saveDateOrder(payer, '');
+    refreshPayerList((getPayer() || '').trim(), payer);
+    fillForm(getMatchRules(selectedPayer()), selectedPayer());
+    onSave();
+  };
+}
+
+export default { initMatchRulesDialog };
@@ -0,0 +1,287 @@
+/**
+ * MIME Parser - reads saved emails (.eml, RFC 5322/2045) in the browser
+ *
+ * Email shape (shared with msg-parser.js):
+ *   {
+ *     from: 'Acme AP <ap@acme.com>', fromName: 'Acme AP', fromAddress: 'ap@acme.com',
+ *     to, subject, date,            // date is a Date, or null
+ *     text, html,                   // first plain-text / HTML body ('' when missing)
+ *     attachments: [File]           // decoded attachments, forwarded messages included
+ *   }
+ *
+ * Bodies are decoded from quoted-printable/base64 and their charset; header
+ * encoded-words (=?utf-8?B?...?=) and RFC 2231 filenames are decoded too.
+ */
+
+import logger from './logger.js';
+
+// Multipart nesting deeper than this is malformed (or hostile)
+const MAX_DEPTH = 10;
+
+/**
+ * Bytes -> "binary string" (one char per byte), so MIME structure can be parsed as text
+ */
+export function bytesToBinary(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return binary;
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Decode a binary string in the given charset (utf-8 when unknown)
+ */
+function decodeCharset(binary, charset) {
+  const bytes = binaryToBytes(binary);
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (e) {
+    // Unknown charset label: windows-1252 is what such mail almost always is
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+export function decodeQuotedPrintable(str) {
+  return str
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+export function decodeBase64(str) {
+  const clean = str.replace(/[^A-Za-z0-9+/=]/g, '').replace(/=+$/, '');
+  try {
+    return atob(clean + '='.repeat((4 - (clean.length % 4)) % 4));
+  } catch (e) {
+    logger.warn('Invalid base64 content in email part');
+    return '';
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded-words in a header value
+ */
+export function decodeHeader(value) {
+  return String(value || '')
+    // Whitespace between two encoded-words is not part of the text
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+      const binary = encoding.toUpperCase() === 'B'
+        ? decodeBase64(text)
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(binary, charset.replace(/\*.*$/, ''));
+    });
+}
+
+/**
+ * Split a header block into lower-cased names -> raw values (folded lines joined)
+ */
+function parseHeaders(block) {
+  const headers = {};
+  const unfolded = block.replace(/\r?\n[ \t]+/g, ' ');
+
+  for (const line of unfolded.split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    // The first occurrence wins (later "Received"-style repeats don't matter here)
+    if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+  }
+
+  return headers;
+}
+
+/**
+ * Split a structured header into its value and parameters:
+ *   'attachment; filename="remit.pdf"' -> { value: 'attachment', params: { filename: 'remit.pdf' } }
+ * RFC 2231 extended (filename*=utf-8''...) and continued (filename*0=...) parameters are joined.
+ */
+export function parseParams(header) {
+  const [value, ...rest] = String(header || '').match(/(?:[^;"]+|"(?:\\.|[^"])*")+/g) || [''];
+  const params = {};
+  const extended = {};
+
+  for (const part of rest) {
+    const eq = part.indexOf('=');
+    if (eq < 0) continue;
+    const name = part.slice(0, eq).trim().toLowerCase();
+    let val = part.slice(eq + 1).trim();
+    if (val.startsWith('"')) val = val.slice(1, -1).replace(/\\(.)/g, '$1');
+
+    const ext = name.match(/^([^*]+)\*(\d+)?(\*)?$/);
+    if (ext) {
+      const [, base, index = '0', encoded] = ext;
+      (extended[base] = extended[base] || []).push({ index: Number(index), val, encoded: encoded || !ext[2] });
+    } else {
+      params[name] = decodeHeader(val);
+    }
+  }
+
+  for (const [name, pieces] of Object.entries(extended)) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    params[name] = pieces.map(({ val, encoded }, idx) => {
+      if (!encoded) return val;
+      if (idx === 0 && /^[^']*'[^']*'/.test(val)) {
+        charset = val.slice(0, val.indexOf("'")) || charset;
+        val = val.slice(val.indexOf("'", val.indexOf("'") + 1) + 1);
+      }
+      return decodeCharset(val.replace(/%([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))), charset);
+    }).join('');
+  }
+
+  return { value: value.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse one MIME entity into leaf parts (multiparts and attached messages are flattened)
+ */
+function parseEntity(raw, depth, leaves) {
+  // A part without headers starts with the blank line
+  const split = /^\r?\n/.test(raw) ? 0 : raw.search(/\r?\n\r?\n/);
+  const headerBlock = split >= 0 ? raw.slice(0, split) : raw;
+  const body = split >= 0 ? raw.slice(split).replace(/^\r?\n(\r?\n)?/, '') : '';
+  const headers = parseHeaders(headerBlock);
+  const type = parseParams(headers['content-type'] || 'text/plain');
+  const disposition = parseParams(headers['content-disposition'] || '');
+
+  if (type.value.startsWith('multipart/') && type.params.boundary && depth < MAX_DEPTH) {
+    const delimiter = `--${type.params.boundary}`;
+    const sections = body.split(new RegExp(`(?:^|\\r?\\n)${escapeRegExp(delimiter)}`));
+    // sections[0] is the preamble; the section after the closing "--" is the epilogue
+    for (const section of sections.slice(1)) {
+      if (section.startsWith('--')) break;
+      parseEntity(section.replace(/^[^\r\n]*\r?\n/, ''), depth + 1, leaves);
+    }
+    return headers;
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '').trim().toLowerCase();
+  let content = body;
+  if (encoding === 'base64') content = decodeBase64(body);
+  else if (encoding === 'quoted-printable') content = decodeQuotedPrintable(body);
+
+  // A forwarded message: keep it as an attachment and look inside it too
+  if (type.value === 'message/rfc822' && depth < MAX_DEPTH) {
+    const nested = [];
+    const nestedHeaders = parseEntity(content, depth + 1, nested);
+    leaves.push(...nested.map(leaf => ({ ...leaf, forwarded: true })));
+    leaves.push({
+      type: type.value,
+      filename: disposition.params.filename || `${decodeHeader(nestedHeaders.subject) || 'message'}.eml`,
+      disposition: 'attachment',
+      content
+    });
+    return headers;
+  }
+
+  leaves.push({
+    type: type.value,
+    charset: type.params.charset,
+    filename: disposition.params.filename || type.params.name || '',
+    disposition: disposition.value,
+    content
+  });
+  return headers;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * "Acme AP" <ap@acme.com> -> { name: 'Acme AP', address: 'ap@acme.com' }
+ */
+export function parseAddress(value) {
+  const decoded = decodeHeader(value).trim();
+  const angle = decoded.match(/^(.*?)\s*<([^>]+)>/);
+  if (angle) {
+    return { name: angle[1].replace(/^"|"$/g, '').trim(), address: angle[2].trim() };
+  }
+  const address = decoded.match(/[^\s<>,;]+@[^\s<>,;]+/);
+  return { name: '', address: address ? address[0] : decoded };
+}
+
+/**
+ * Parse a saved email
+ * @param {Uint8Array|ArrayBuffer|string} input - Raw .eml bytes (or a binary string)
+ * @returns {Object} Email (see shape above)
+ */
+export function parseEmail(input) {
+  const raw = typeof input === 'string'
+    ? input
+    : bytesToBinary(input instanceof Uint8Array ? input : new Uint8Array(input));
+
+  const leaves = [];
+  const headers = parseEntity(raw, 0, leaves);
+  const from = parseAddress(headers.from);
+  const date = headers.date ? new Date(headers.date) : null;
+
+  const isAttachment = (leaf) => leaf.disposition === 'attachment' || !!leaf.filename;
+  const body = (type) => {
+    const leaf = leaves.find(l => l.type === type && !isAttachment(l));
+    return leaf ? decodeCharset(leaf.content, leaf.charset) : '';
+  };
+
+  const attachments = leaves
+    .filter(isAttachment)
+    .map((leaf, idx) => new File(
+      [binaryToBytes(leaf.content)],
+      leaf.filename || `attachment-${idx + 1}`,
+      { type: leaf.type }
+    ));
+
+  return {
+    from: decodeHeader(headers.from),
+    fromName: from.name,
+    fromAddress: from.address,
+    to: decodeHeader(headers.to),
+    subject: decodeHeader(headers.subject),
+    date: date && !isNaN(date) ? date : null,
+    text: body('text/plain'),
+    html: body('text/html'),
+    attachments
+  };
+}
+
+/**
+ * Rough plain-text rendering of an HTML body: one line per block or table row,
+ * table cells separated by two spaces (the same cell boundary pdf-layout.js uses)
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(t[dh])>/gi, '  ')
+    .replace(/<\/(p|div|tr|li|h\d|table|blockquote)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&amp;/gi, '&')
+    .split('\n')
+    .map(line => line.replace(/[ \t]{3,}/g, '  ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default {
+  parseEmail,
+  parseAddress,
+  parseParams,
+  decodeHeader,
+  decodeQuotedPrintable,
+  decodeBase64,
+  htmlToText,
+  bytesToBinary
+};
@@ -0,0 +1,332 @@
+/**
+ * MSG Parser - reads Outlook .msg files (OLE compound files, [MS-CFB] / [MS-OXMSG]) in the browser
+ *
+ * Returns the same email shape as mime-parser.js, so RemittanceParser.parseMessage()
+ * handles both:
+ *   { from, fromName, fromAddress, to, subject, date, text, html, attachments: [File] }
+ *
+ * Message properties live in "__substg1.0_IIIITTTT" streams (property id, type);
+ * attachments in "__attach_version1.0_#N" storages. Attached .msg files (forwarded
+ * messages) are read recursively and their attachments included.
+ */
+
+import logger from './logger.js';
+
+const SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const END_OF_CHAIN = 0xfffffffe;
+const NO_STREAM = 0xffffffff;
+
+const ENTRY_STORAGE = 1;
+const ENTRY_STREAM = 2;
+
+// Property ids ([MS-OXPROPS])
+const PROP = {
+  SUBJECT: 0x0037,
+  CLIENT_SUBMIT_TIME: 0x0039,
+  SENT_REPRESENTING_NAME: 0x0042,
+  SENT_REPRESENTING_EMAIL: 0x0065,
+  TRANSPORT_HEADERS: 0x007d,
+  SENDER_NAME: 0x0c1a,
+  SENDER_EMAIL: 0x0c1f,
+  DISPLAY_TO: 0x0e04,
+  DELIVERY_TIME: 0x0e06,
+  BODY: 0x1000,
+  HTML: 0x1013,
+  ATTACH_DATA: 0x3701,
+  ATTACH_FILENAME: 0x3704,
+  ATTACH_LONG_FILENAME: 0x3707,
+  ATTACH_MIME_TAG: 0x370e,
+  INTERNET_CPID: 0x3fde,
+  SENDER_SMTP: 0x5d01
+};
+
+// Property types
+const PT_LONG = 0x0003;
+const PT_OBJECT = 0x000d;
+const PT_STRING8 = 0x001e;
+const PT_UNICODE = 0x001f;
+const PT_SYSTIME = 0x0040;
+const PT_BINARY = 0x0102;
+
+// Attachments nested deeper than this are ignored
+const MAX_DEPTH = 5;
+
+// Size of the properties stream header before its 16-byte entries
+const HEADER_SIZE = { message: 32, embedded: 24, attachment: 8 };
+
+/**
+ * Whether the bytes start with the OLE compound file signature
+ */
+export function isCompoundFile(bytes) {
+  return bytes.length >= 512 && SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+/**
+ * Minimal compound file reader: directory tree plus stream contents
+ */
+class CompoundFile {
+  constructor(bytes) {
+    if (!isCompoundFile(bytes)) {
+      throw new Error('Not an Outlook message (missing compound file signature)');
+    }
+
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.sectorSize = 1 << this.view.getUint16(0x1e, true);
+    this.miniSectorSize = 1 << this.view.getUint16(0x20, true);
+    this.miniCutoff = this.view.getUint32(0x38, true);
+
+    this.fat = this._readFat();
+    this.entries = this._readDirectory(this.view.getUint32(0x30, true));
+
+    const root = this.entries[0];
+    this.miniStream = this._readChain(root.start, this.fat, (s) => this._sector(s), this.sectorSize)
+      .subarray(0, root.size);
+    this.miniFat = this._readUint32s(this._readChain(this.view.getUint32(0x3c, true), this.fat, (s) => this._sector(s), this.sectorSize));
+  }
+
+  _sector(sector) {
+    const offset = (sector + 1) * this.sectorSize;
+    return this.bytes.subarray(offset, offset + this.sectorSize);
+  }
+
+  _readUint32s(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return Array.from({ length: Math.floor(bytes.length / 4) }, (_, i) => view.getUint32(i * 4, true));
+  }
+
+  // Follow a sector chain and concatenate its sectors; a corrupt chain that loops back
+  // ends at the first sector it repeats
+  _readChain(start, table, read, size) {
+    const chunks = [];
+    const seen = new Set();
+    let sector = start;
+    while (sector !== END_OF_CHAIN && sector !== NO_STREAM && sector < table.length && !seen.has(sector)) {
+      seen.add(sector);
+      chunks.push(read(sector));
+      sector = table[sector];
+    }
+
+    const out = new Uint8Array(chunks.length * size);
+    chunks.forEach((chunk, i) => out.set(chunk, i * size));
+    return out;
+  }
+
+  // The FAT's own sectors are listed in the header DIFAT and in DIFAT sectors
+  _readFat() {
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) fatSectors.push(this.view.getUint32(0x4c + i * 4, true));
+
+    let difat = this.view.getUint32(0x44, true);
+    const perSector = this.sectorSize / 4 - 1;
+    const seen = new Set();
+    for (let n = this.view.getUint32(0x48, true); n > 0 && difat < END_OF_CHAIN && !seen.has(difat); n--) {
+      seen.add(difat);
+      const entries = this._readUint32s(this._sector(difat));
+      fatSectors.push(...entries.slice(0, perSector));
+      difat = entries[perSector];
+    }
+
+    return fatSectors
+      .filter(sector => sector < END_OF_CHAIN)
+      .flatMap(sector => this._readUint32s(this._sector(sector)));
+  }
+
+  _readDirectory(start) {
+    const data = this._readChain(start, this.fat, (s) => this._sector(s), this.sectorSize);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const entries = [];
+
+    for (let offset = 0; offset + 128 <= data.length; offset += 128) {
+      const nameLength = Math.max(0, view.getUint16(offset + 0x40, true) - 2);
+      entries.push({
+        name: new TextDecoder('utf-16le').decode(data.subarray(offset, offset + Math.min(nameLength, 64))),
+        type: data[offset + 0x42],
+        left: view.getUint32(offset + 0x44, true),
+        right: view.getUint32(offset + 0x48, true),
+        child: view.getUint32(offset + 0x4c, true),
+        start: view.getUint32(offset + 0x74, true),
+        size: view.getUint32(offset + 0x78, true)
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Children of a storage entry, by name
+   * @returns {Map<string, Object>}
+   */
+  children(entry) {
+    const found = new Map();
+    const stack = [entry.child];
+    const seen = new Set();
+
+    // The children form a red-black tree through left/right siblings
+    while (stack.length) {
+      const id = stack.pop();
+      if (id === NO_STREAM || id >= this.entries.length || seen.has(id)) continue;
+      seen.add(id);
+      const child = this.entries[id];
+      found.set(child.name, child);
+      stack.push(child.left, child.right);
+    }
+
+    return found;
+  }
+
+  /**
+   * Contents of a stream entry
+   */
+  read(entry) {
+    if (entry.type !== ENTRY_STREAM) return new Uint8Array(0);
+
+    const data = entry.size < this.miniCutoff
+      ? this._readChain(entry.start, this.miniFat, (s) => this.miniStream.subarray(s * this.miniSectorSize, (s + 1) * this.miniSectorSize), this.miniSectorSize)
+      : this._readChain(entry.start, this.fat, (s) => this._sector(s), this.sectorSize);
+    return data.subarray(0, entry.size);
+  }
+}
+
+// Windows code page -> TextDecoder label
+function codePageLabel(cpid) {
+  if (cpid === 65001) return 'utf-8';
+  if (cpid >= 1250 && cpid <= 1258) return `windows-${cpid}`;
+  if (cpid >= 28591 && cpid <= 28605) return `iso-8859-${cpid - 28590}`;
+  if (cpid === 20127) return 'us-ascii';
+  return 'windows-1252';
+}
+
+function decode(bytes, label) {
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+}
+
+/**
+ * Read the properties of a message or attachment storage
+ * @param {number} headerSize - See HEADER_SIZE
+ */
+function readProperties(cfb, storage, headerSize) {
+  const children = cfb.children(storage);
+  const props = new Map(); // property id -> { type, entry }
+
+  for (const [name, entry] of children) {
+    const match = name.match(/^__substg1\.0_([0-9A-F]{4})([0-9A-F]{4})$/i);
+    if (match) props.set(parseInt(match[1], 16), { type: parseInt(match[2], 16), entry });
+  }
+
+  // Fixed-size values (times, numbers) are packed in the properties stream after its header
+  const fixed = new Map();
+  const stream = children.get('__properties_version1.0');
+  if (stream) {
+    const data = cfb.read(stream);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let offset = headerSize; offset + 16 <= data.length; offset += 16) {
+      const tag = view.getUint32(offset, true);
+      fixed.set(tag >>> 16, { type: tag & 0xffff, view, offset: offset + 8 });
+    }
+  }
+
+  const cpid = fixed.get(PROP.INTERNET_CPID);
+  const label = cpid?.type === PT_LONG ? codePageLabel(cpid.view.getUint32(cpid.offset, true)) : 'windows-1252';
+
+  return {
+    children,
+    string(id) {
+      const prop = props.get(id);
+      if (!prop) return '';
+      const bytes = cfb.read(prop.entry);
+      if (prop.type === PT_UNICODE) return decode(bytes, 'utf-16le').replace(/\0+$/, '');
+      if (prop.type === PT_STRING8 || prop.type === PT_BINARY) return decode(bytes, label).replace(/\0+$/, '');
+      return '';
+    },
+    binary(id) {
+      const prop = props.get(id);
+      return prop && prop.type === PT_BINARY ? cfb.read(prop.entry) : null;
+    },
+    object(id) {
+      const prop = props.get(id);
+      return prop && prop.type === PT_OBJECT ? prop.entry : null;
+    },
+    time(id) {
+      const value = fixed.get(id);
+      if (!value || value.type !== PT_SYSTIME) return null;
+      // FILETIME: 100ns ticks since 1601-01-01
+      const ticks = value.view.getUint32(value.offset, true) + value.view.getUint32(value.offset + 4, true) * 0x100000000;
+      return ticks ? new Date(ticks / 10000 - 11644473600000) : null;
+    }
+  };
+}
+
+/**
+ * Read a message storage (the root, or an attached message)
+ */
+function readMessage(cfb, storage, depth) {
+  const props = readProperties(cfb, storage, depth ? HEADER_SIZE.embedded : HEADER_SIZE.message);
+  const attachments = [];
+
+  for (const [name, entry] of props.children) {
+    if (entry.type !== ENTRY_STORAGE || !name.startsWith('__attach_version1.0_')) continue;
+
+    const attach = readProperties(cfb, entry, HEADER_SIZE.attachment);
+    const filename = attach.string(PROP.ATTACH_LONG_FILENAME) || attach.string(PROP.ATTACH_FILENAME) || `attachment-${attachments.length + 1}`;
+    const data = attach.binary(PROP.ATTACH_DATA);
+    const embedded = attach.object(PROP.ATTACH_DATA);
+
+    if (data) {
+      attachments.push(new File([data], filename, { type: attach.string(PROP.ATTACH_MIME_TAG) || 'application/octet-stream' }));
+    } else if (embedded && depth < MAX_DEPTH) {
+      // A forwarded Outlook message: its attachments may hold the remittance
+      const nested = readMessage(cfb, embedded, depth + 1);
+      attachments.push(...nested.attachments);
+    }
+  }
+
+  // The Date header is the send time as the payer's mail server saw it
+  const headers = props.string(PROP.TRANSPORT_HEADERS);
+  const headerDate = headers.match(/^Date:\s*(.+)$/im);
+  let date = headerDate ? new Date(headerDate[1].trim()) : null;
+  if (!date || isNaN(date)) date = props.time(PROP.CLIENT_SUBMIT_TIME) || props.time(PROP.DELIVERY_TIME);
+
+  const fromName = props.string(PROP.SENDER_NAME) || props.string(PROP.SENT_REPRESENTING_NAME);
+  // Exchange senders have an X.500 address in SENDER_EMAIL; prefer the SMTP one
+  const fromAddress = [props.string(PROP.SENDER_SMTP), props.string(PROP.SENDER_EMAIL), props.string(PROP.SENT_REPRESENTING_EMAIL)]
+    .find(address => address.includes('@')) || '';
+
+  return {
+    from: fromAddress ? `${fromName} <${fromAddress}>`.trim() : fromName,
+    fromName,
+    fromAddress,
+    to: props.string(PROP.DISPLAY_TO),
+    subject: props.string(PROP.SUBJECT),
+    date,
+    text: props.string(PROP.BODY),
+    html: props.string(PROP.HTML),
+    attachments
+  };
+}
+
+/**
+ * Parse an Outlook .msg file
+ * @param {Uint8Array|ArrayBuffer} input - Raw file bytes
+ * @returns {Object} Email (see mime-parser.js)
+ */
+export function parseMsg(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const cfb = new CompoundFile(bytes);
+  const email = readMessage(cfb, cfb.entries[0], 0);
+
+  if (!email.text && !email.html) {
+    // Some messages only carry a compressed RTF body, which isn't read
+    logger.warn('Outlook message has no plain-text or HTML body');
+  }
+  return email;
+}
+
+export default {
+  parseMsg,
+  isCompoundFile
+};
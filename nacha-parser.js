@@ -0,0 +1,201 @@
+/**
+ * NACHA Parser - reads ACH files (94-character records) delivered by the bank
+ *
+ * File shape:
+ *   {
+ *     origin, destination, created,                    // 1 - file header
+ *     batches: [{                                      // 5 - batch header
+ *       companyName, companyId, secCode, description, effectiveDate, line,
+ *       entries: [{                                    // 6 - entry detail
+ *         transactionCode, credit, amount, name, identification, traceNumber,
+ *         line,                                        // 1-based record number
+ *         addenda: [{ type, text, line }]              // 7 - addenda records
+ *       }]
+ *     }]
+ *   }
+ *
+ * Remittance detail travels in the 05 addenda: CCD+ carries one X12 segment
+ * (RMR*IV*10023*PI*1250.00\), CTX an X12 820 spread over many addenda records;
+ * both are read with x12-parser.js.
+ * nachaPayments() turns each credit entry into a standard remittance result.
+ */
+
+import logger from './logger.js';
+import { CONFIDENCE, fromRow } from './provenance.js';
+import { splitSegments, read820 } from './x12-parser.js';
+
+const RECORD_LENGTH = 94;
+
+// Live credits to checking, savings, general ledger and loan accounts
+const CREDIT_CODES = ['22', '32', '42', '52'];
+
+/**
+ * Does this text look like a NACHA file? (file header record first)
+ */
+export function isNACHA(text) {
+  const first = String(text || '').replace(/^﻿/, '').split(/\r?\n/, 1)[0];
+  return /^101[ \d]{20}\d{6}/.test(first) && first.slice(34, 37) === '094';
+}
+
+// YYMMDD -> YYYY-MM-DD ('' when blank or invalid)
+function achDate(yymmdd) {
+  const m = String(yymmdd || '').match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (!m || m[2] === '00') return '';
+  return `20${m[1]}-${m[2]}-${m[3]}`;
+}
+
+const field = (record, from, to) => record.slice(from - 1, to).trim();
+
+/**
+ * Read the records of a NACHA file
+ * @param {string} text - File contents
+ * @returns {Object} File (see shape above)
+ */
+export function parseNACHA(text) {
+  const file = { origin: '', destination: '', created: '', batches: [] };
+  let batch = null;
+  let entry = null;
+  // Records are numbered across the file: a blocked line holds several
+  let line = 0;
+
+  String(text || '').replace(/^﻿/, '').split(/\r?\n/).forEach(raw => {
+    // Some banks drop the line breaks between records; blocking filler is all 9s
+    const records = raw.length > RECORD_LENGTH && !/\s/.test(raw[RECORD_LENGTH])
+      ? raw.match(new RegExp(`.{1,${RECORD_LENGTH}}`, 'g'))
+      : [raw];
+
+    records.forEach(record => {
+      if (!record.trim()) return;
+      line++;
+      if (/^9+$/.test(record.trim())) return;
+
+      switch (record[0]) {
+        case '1':
+          file.destination = field(record, 4, 13);
+          file.origin = field(record, 14, 23);
+          file.created = achDate(field(record, 24, 29));
+          file.destinationName = field(record, 41, 63);
+          file.originName = field(record, 64, 86);
+          break;
+        case '5':
+          batch = {
+            companyName: field(record, 5, 20),
+            companyId: field(record, 41, 50),
+            secCode: field(record, 51, 53),
+            description: field(record, 54, 63),
+            effectiveDate: achDate(field(record, 70, 75)),
+            line,
+            entries: []
+          };
+          file.batches.push(batch);
+          entry = null;
+          break;
+        case '6': {
+          if (!batch) {
+            logger.warn(`NACHA record ${line}: entry outside a batch`);
+            return;
+          }
+          const transactionCode = field(record, 2, 3);
+          const ctx = batch.secCode === 'CTX';
+          entry = {
+            transactionCode,
+            credit: CREDIT_CODES.includes(transactionCode),
+            account: field(record, 13, 29),
+            amount: Number(field(record, 30, 39)) / 100,
+            identification: field(record, 40, 54),
+            // CTX puts the addenda count in front of a shorter receiver name
+            name: ctx ? field(record, 59, 74) : field(record, 55, 76),
+            traceNumber: field(record, 80, 94),
+            line,
+            addenda: []
+          };
+          batch.entries.push(entry);
+          break;
+        }
+        case '7':
+          if (!entry) {
+            logger.warn(`NACHA record ${line}: addenda without an entry`);
+            return;
+          }
+          // Payment-related information (positions 4-83) is kept as is: in CTX one
+          // X12 segment may continue from one addenda record into the next
+          entry.addenda.push({ type: field(record, 2, 3), text: record.slice(3, 83), line });
+          break;
+        case '8':
+          entry = null;
+          break;
+        default:
+          break;
+      }
+    });
+  });
+
+  return file;
+}
+
+/**
+ * Turn each credit entry of a NACHA file into a remittance result.
+ * The originating company (batch header) is the payer (also `customer`) and the
+ * receiver the payee (`vendor`), unless the addenda name them; the entry amount is the amount
+ * received, and invoice rows come from the addenda.
+ * @param {Object} file - From parseNACHA()
+ * @returns {Array<Object>} Remittance results, in file order
+ */
+export function nachaPayments(file) {
+  const results = [];
+
+  for (const batch of file.batches) {
+    for (const entry of batch.entries) {
+      if (!entry.credit) continue;
+
+      const related = entry.addenda.filter(a => a.type === '05');
+      const addendaText = batch.secCode === 'CTX'
+        ? related.map(a => a.text).join('').trim()
+        : related.map(a => a.text.trim()).join('\n');
+      // Addenda values are located by the first addenda record
+      const order = read820(splitSegments(addendaText), (rule) =>
+        fromRow(`${batch.secCode} addenda ${rule}`, CONFIDENCE.FORMAT, related[0]?.line));
+
+      const payer = order.payer || batch.companyName;
+      const payee = order.payee || entry.name;
+      const payerSource = order.provenance.payer || fromRow('ACH originating company name', CONFIDENCE.LABELED, batch.line);
+      const payeeSource = order.provenance.payee || fromRow('ACH receiver name', CONFIDENCE.LABELED, entry.line);
+
+      results.push({
+        paymentNumber: entry.traceNumber,
+        paymentDate: batch.effectiveDate,
+        payer,
+        payee,
+        customer: payer,
+        vendor: payee,
+        paymentAmount: entry.amount,
+        // ACH entries settle in US dollars
+        currency: 'USD',
+        paymentMethod: 'ACH',
+        invoices: order.invoices,
+        format: 'nacha',
+        rawText: addendaText,
+        memo: [`ACH ${batch.secCode} trace ${entry.traceNumber}`, batch.description, entry.identification]
+          .filter(Boolean).join(' · '),
+        provenance: {
+          paymentNumber: fromRow('ACH entry trace number', CONFIDENCE.FORMAT, entry.line),
+          paymentDate: fromRow('ACH batch effective date', CONFIDENCE.FORMAT, batch.line),
+          payer: payerSource,
+          payee: payeeSource,
+          customer: payerSource,
+          vendor: payeeSource,
+          paymentAmount: fromRow('ACH entry amount', CONFIDENCE.FORMAT, entry.line)
+        }
+      });
+    }
+  }
+
+  logger.info(`NACHA file: ${results.length} credit entr${results.length === 1 ? 'y' : 'ies'} in ${file.batches.length} batch(es)`);
+  return results;
+}
+
+export default {
+  isNACHA,
+  parseNACHA,
+  nachaPayments
+};
@@ -0,0 +1,367 @@
+/**
+ * PDF Layout Extraction
+ * Rebuilds lines and table columns from PDF.js text items using their x/y positions,
+ * so parsers no longer have to guess where one column ends and the next begins.
+ *
+ * Shared by remittance-parser.js (static import) and invoice-parser.js (dynamic import).
+ * OCR'd images go through the same pipeline: Tesseract.js word boxes are flipped into
+ * PDF orientation (origin bottom-left, in image pixels) by extractOCRLayout().
+ * Plain text is laid out on a character grid by extractTextLayout(), so fixed-width
+ * columns in text exports are found the same way.
+ *
+ * Layout shape:
+ *   {
+ *     text,                       // lines joined with '\n', pages separated by a blank line
+ *     pages: [{ pageNum, width, height, lines, columns, grid }],
+ *     lines: [{ text, cells, page, y, start, end, items }]  // all pages, top to bottom
+ *   }
+ *
+ * Each item keeps its PDF-space box (x, y, width, height) and its start/end offset in `text`.
+ */
+
+// Gap (in multiples of the font height) that separates two cells on the same line
+const CELL_GAP = 0.8;
+// Gap that separates two words inside a cell
+const WORD_GAP = 0.15;
+// Width of the coverage histogram bins used for column detection (PDF units)
+const BIN_SIZE = 2;
+// Plain-text grid: two units per character (so a two-space gap spans a whole column
+// detection bin), with a character height that makes a single space a word gap and
+// two or more spaces a cell gap (see CELL_GAP/WORD_GAP)
+const TEXT_CHAR_WIDTH = 2;
+const TEXT_CHAR_HEIGHT = 4;
+const TEXT_LINE_SPACING = 6;
+// Characters between tab-separated fields (wide enough to start a new cell)
+const TAB_GAP = 2;
+
+// Whether a word space belongs between two neighbouring items of a cell
+const needsSpace = (prev, item) => prev && item.x - (prev.x + prev.width) > item.height * WORD_GAP;
+
+/**
+ * Normalize PDF.js text items into positioned boxes
+ */
+function toBoxes(items) {
+  return items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [, , , d, x, y] = item.transform;
+      return {
+        str: item.str.replace(/\s+/g, ' ').trim(),
+        x,
+        y,
+        width: item.width || 0,
+        height: item.height || Math.abs(d) || 10
+      };
+    });
+}
+
+/**
+ * Normalize Tesseract.js words (image pixels, origin top-left) into the same boxes
+ */
+function ocrBoxes(words, pageHeight) {
+  return words
+    .filter(word => word.text && word.text.trim())
+    .map(({ text, bbox }) => ({
+      str: text.replace(/\s+/g, ' ').trim(),
+      x: bbox.x0,
+      y: pageHeight - bbox.y1,
+      width: bbox.x1 - bbox.x0,
+      height: bbox.y1 - bbox.y0
+    }));
+}
+
+/**
+ * Lay plain text out as boxes on a character grid, one box per word
+ */
+function textBoxes(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const boxes = [];
+
+  // Tab-separated fields line up in columns as wide as their longest value
+  const widths = [];
+  lines.filter(line => line.includes('\t')).forEach(line => {
+    line.split('\t').forEach((field, k) => { widths[k] = Math.max(widths[k] || 0, field.length); });
+  });
+  const offsets = widths.map((_, k) => widths.slice(0, k).reduce((sum, width) => sum + width + TAB_GAP, 0));
+
+  lines.forEach((line, idx) => {
+    const fields = line.includes('\t')
+      ? line.split('\t').map((field, k) => [field, offsets[k]])
+      : [[line, 0]];
+
+    for (const [field, offset] of fields) {
+      for (const match of field.matchAll(/\S+/g)) {
+        boxes.push({
+          str: match[0],
+          x: (offset + match.index) * TEXT_CHAR_WIDTH,
+          y: (lines.length - idx) * TEXT_LINE_SPACING,
+          width: match[0].length * TEXT_CHAR_WIDTH,
+          height: TEXT_CHAR_HEIGHT
+        });
+      }
+    }
+  });
+
+  return boxes;
+}
+
+/**
+ * Group boxes into lines by baseline (y), top of page first
+ */
+export function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const box of sorted) {
+    const tolerance = Math.max(2, box.height * 0.5);
+    const line = lines.find(l => Math.abs(l.y - box.y) <= tolerance);
+
+    if (line) {
+      line.items.push(box);
+    } else {
+      lines.push({ y: box.y, items: [box] });
+    }
+  }
+
+  lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+  return lines.sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Split a line's items into cells where the horizontal gap is wide
+ */
+function splitSegments(items) {
+  const segments = [];
+  let current = null;
+
+  for (const item of items) {
+    const gap = current ? item.x - current.x1 : Infinity;
+
+    if (!current || gap > item.height * CELL_GAP) {
+      current = { x0: item.x, x1: item.x + item.width, items: [item] };
+      segments.push(current);
+    } else {
+      current.items.push(item);
+      current.x1 = Math.max(current.x1, item.x + item.width);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Detect column spans from the x-coverage of table-like lines (3+ cells).
+ * A gutter is a stretch of x that (almost) no table line covers.
+ */
+export function detectColumns(lines) {
+  const tableLines = lines.filter(line => line.segments.length >= 3);
+  if (tableLines.length < 2) return [];
+
+  const maxX = Math.max(...tableLines.flatMap(line => line.segments.map(s => s.x1)));
+  const bins = new Array(Math.ceil(maxX / BIN_SIZE) + 1).fill(0);
+
+  for (const line of tableLines) {
+    for (const seg of line.segments) {
+      const from = Math.max(0, Math.floor(seg.x0 / BIN_SIZE));
+      const to = Math.ceil(seg.x1 / BIN_SIZE);
+      for (let i = from; i < to; i++) bins[i]++;
+    }
+  }
+
+  // Allow a few stray lines (long descriptions, totals) to cross a gutter
+  const threshold = Math.max(0, Math.floor(tableLines.length * 0.1));
+  const columns = [];
+  let start = null;
+
+  bins.forEach((count, i) => {
+    if (count > threshold && start === null) {
+      start = i;
+    } else if (count <= threshold && start !== null) {
+      columns.push({ start: start * BIN_SIZE, end: i * BIN_SIZE });
+      start = null;
+    }
+  });
+  if (start !== null) columns.push({ start: start * BIN_SIZE, end: bins.length * BIN_SIZE });
+
+  return columns;
+}
+
+/**
+ * Assign each cell of a line to the column it overlaps most
+ */
+function toGridRow(line, columns) {
+  if (!columns.length) return [line.cells.join(' ')];
+
+  const row = new Array(columns.length).fill('');
+
+  line.segments.forEach((seg, idx) => {
+    let best = 0;
+    let bestOverlap = -Infinity;
+
+    columns.forEach((col, colIdx) => {
+      const overlap = Math.min(seg.x1, col.end) - Math.max(seg.x0, col.start);
+      if (overlap > bestOverlap) {
+        bestOverlap = overlap;
+        best = colIdx;
+      }
+    });
+
+    row[best] = row[best] ? `${row[best]} ${line.cells[idx]}` : line.cells[idx];
+  });
+
+  return row;
+}
+
+/**
+ * Build the layout of one page from PDF.js getTextContent() output
+ * @param {Object} textContent - Result of page.getTextContent()
+ * @param {number} pageNum - 1-based page number
+ * @param {Object} [viewport] - page.getViewport({ scale: 1 }), for page size
+ */
+export function extractPageLayout(textContent, pageNum, viewport) {
+  return layoutPage(toBoxes(textContent.items), pageNum, viewport?.width || 0, viewport?.height || 0);
+}
+
+/**
+ * Build the layout of an OCR'd image from Tesseract.js recognize() words
+ * @param {Array<Object>} words - `data.words` ({ text, bbox: { x0, y0, x1, y1 } })
+ * @param {number} pageNum - 1-based page number
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+export function extractOCRLayout(words, pageNum, width, height) {
+  return layoutPage(ocrBoxes(words, height), pageNum, width, height);
+}
+
+/**
+ * Build a one-page layout for plain text (.txt exports, email bodies)
+ */
+export function extractTextLayout(text) {
+  const boxes = textBoxes(text);
+  const width = boxes.reduce((max, box) => Math.max(max, box.x + box.width), 0);
+  const height = boxes.reduce((max, box) => Math.max(max, box.y + box.height), 0);
+  return buildDocument([layoutPage(boxes, 1, width, height)]);
+}
+
+function layoutPage(boxes, pageNum, width, height) {
+  const lines = groupLines(boxes);
+
+  lines.forEach(line => {
+    line.page = pageNum;
+    line.segments = splitSegments(line.items);
+    line.cells = line.segments.map(seg =>
+      seg.items.map((item, idx) => (needsSpace(seg.items[idx - 1], item) ? ' ' : '') + item.str).join('')
+    );
+  });
+
+  const columns = detectColumns(lines);
+  const grid = lines.map(line => toGridRow(line, columns));
+
+  return {
+    pageNum,
+    width,
+    height,
+    lines,
+    columns,
+    grid
+  };
+}
+
+/**
+ * Extract the layout of every page of a loaded PDF.js document
+ */
+export async function extractDocumentLayout(pdf) {
+  const pages = [];
+
+  for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+    const page = await pdf.getPage(pageNum);
+    const textContent = await page.getTextContent();
+    pages.push(extractPageLayout(textContent, pageNum, page.getViewport({ scale: 1 })));
+  }
+
+  return buildDocument(pages);
+}
+
+/**
+ * Join page layouts into document text, recording where every line and item lands
+ */
+export function buildDocument(pages) {
+  let text = '';
+  const lines = [];
+
+  for (const page of pages) {
+    for (const line of page.lines) {
+      line.start = text.length;
+
+      line.segments.forEach((seg, segIdx) => {
+        if (segIdx > 0) text += '  '; // Two spaces mark a cell boundary
+        seg.items.forEach((item, idx) => {
+          if (needsSpace(seg.items[idx - 1], item)) text += ' ';
+          item.start = text.length;
+          text += item.str;
+          item.end = text.length;
+        });
+      });
+
+      line.end = text.length;
+      line.text = text.slice(line.start, line.end);
+      text += '\n';
+      lines.push(line);
+    }
+    text += '\n';
+  }
+
+  return { text, pages, lines };
+}
+
+/**
+ * Find a table header line whose cells match the given column names.
+ * Returns { page, lineIndex, headers } with lowercased grid cells, or null.
+ * @param {Object} layout - Document layout
+ * @param {Array<string>} required - Words that must all appear in the header
+ */
+export function findHeaderRow(layout, required) {
+  for (const page of layout.pages) {
+    for (let i = 0; i < page.grid.length; i++) {
+      const headers = page.grid[i].map(cell => cell.toLowerCase().trim());
+      const joined = headers.join(' ');
+      if (headers.filter(Boolean).length >= 2 && required.every(word => joined.includes(word))) {
+        return { page, lineIndex: i, headers };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Run a global regex line by line (rows can't bleed into each other),
+ * falling back to the whole text when no line matches or no layout is available.
+ * Each match gets a `start` offset into the document text.
+ */
+export function matchLines(pattern, text, layout) {
+  const flags = pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g';
+  const collect = (source, offset) =>
+    Array.from(source.matchAll(new RegExp(pattern.source, flags)), match => {
+      match.start = offset + match.index;
+      return match;
+    });
+
+  if (layout) {
+    const matches = layout.lines.flatMap(line => collect(line.text, line.start));
+    if (matches.length) return matches;
+  }
+
+  return collect(text, 0);
+}
+
+export default {
+  extractDocumentLayout,
+  extractPageLayout,
+  extractOCRLayout,
+  extractTextLayout,
+  buildDocument,
+  groupLines,
+  detectColumns,
+  findHeaderRow,
+  matchLines
+};
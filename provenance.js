@@ -0,0 +1,186 @@
+/**
+ * Field Provenance - confidence scores and source locations for extracted values
+ *
+ * Parsers attach a provenance record to every field they fill and every invoice row:
+ *   {
+ *     confidence: 0.9,                    // 0..1
+ *     rule: 'Meyer EFT number',           // which pattern/strategy produced the value
+ *     source: { start, end, text, page, boxes, row, sheet }
+ *   }
+ * `start`/`end` are offsets into the document text; `page` and `boxes` (PDF units)
+ * are filled in from the layout when one is available; `row`/`sheet` locate
+ * spreadsheet values.
+ *
+ * Shared by remittance-parser.js (static import) and invoice-parser.js (dynamic import).
+ */
+
+// Confidence levels by kind of rule
+export const CONFIDENCE = {
+  FORMAT: 0.95,     // Payer-specific format pattern
+  TABLE: 0.9,       // Mapped spreadsheet / layout table column
+  LABELED: 0.85,    // Value right after a clear label ("Check Number")
+  PATTERN: 0.65,    // Recognizable shape without a strong label
+  HEURISTIC: 0.45,  // Best guess from surrounding text
+  FALLBACK: 0.25    // First thing that looked right (e.g. first date anywhere)
+};
+
+// Fields below this are highlighted for review
+export const LOW_CONFIDENCE = 0.6;
+
+// OCR text is less trustworthy than embedded PDF text
+export const OCR_PENALTY = 0.8;
+
+/**
+ * Build a provenance record
+ * @param {string} rule - Human-readable name of the rule that produced the value
+ * @param {number} confidence - 0..1
+ * @param {Object} [source] - Span/location of the value
+ */
+export function provenance(rule, confidence, source = null) {
+  return { confidence, rule, source };
+}
+
+/**
+ * Locate a value in the document text.
+ * Uses the regex match when given (match.start from matchLines, or match.index),
+ * otherwise searches for the value.
+ */
+export function spanOf(text, value, match = null) {
+  const str = String(value ?? '');
+  if (!str) return null;
+
+  let start = -1;
+  if (match) {
+    const base = match.start ?? match.index ?? 0;
+    const inner = match[0].indexOf(str);
+    start = inner >= 0 ? base + inner : base;
+  } else if (text) {
+    start = text.indexOf(str);
+  }
+
+  return start >= 0 ? { start, end: start + str.length, text: str } : null;
+}
+
+/**
+ * Provenance for a regex match; the value is capture `group` (0 = the whole match)
+ */
+export function fromMatch(rule, confidence, match, group = 1) {
+  const value = (match[group] ?? match[0]).trim();
+  return provenance(rule, confidence, spanOf(null, value, match));
+}
+
+/**
+ * Provenance for a whole layout line (e.g. a table row read from the grid)
+ */
+export function fromLine(rule, confidence, line) {
+  return provenance(rule, confidence, { start: line.start, end: line.end, text: line.text });
+}
+
+/**
+ * Provenance for a spreadsheet/CSV row (1-based row number)
+ */
+export function fromRow(rule, confidence, row, sheet = null) {
+  return provenance(rule, confidence, sheet ? { row, sheet } : { row });
+}
+
+/**
+ * Find the page and item boxes covering a text span
+ */
+export function locate(layout, start, end) {
+  if (!layout || start == null) return null;
+
+  const boxes = [];
+  let page = null;
+
+  for (const line of layout.lines) {
+    if (line.end < start) continue;
+    if (line.start > end) break;
+
+    for (const item of line.items) {
+      if (item.end <= start || item.start >= end) continue;
+      page = page ?? line.page;
+      boxes.push({ page: line.page, x: item.x, y: item.y, width: item.width, height: item.height });
+    }
+  }
+
+  return boxes.length ? { page, boxes } : null;
+}
+
+// Every provenance record in a result: header fields, then rows
+const records = (result) => [
+  ...Object.values(result.provenance || {}),
+  ...(result.invoices || result.lineItems || []).map(row => row.provenance)
+].filter(Boolean);
+
+/**
+ * Fill in page/boxes for every provenance record in a parse result
+ * @param {Object} result - Parse result with `provenance` and `invoices`/`lineItems`
+ * @param {Object} layout - Document layout from pdf-layout.js
+ */
+export function attachLocations(result, layout) {
+  if (!layout) return result;
+
+  for (const record of records(result)) {
+    const source = record.source;
+    if (!source || source.start == null) continue;
+    const location = locate(layout, source.start, source.end);
+    if (location) Object.assign(source, location);
+  }
+
+  return result;
+}
+
+/**
+ * Scale every confidence in a result (e.g. for OCR text)
+ */
+export function scaleConfidence(result, factor, note) {
+  for (const record of records(result)) {
+    record.confidence = Math.round(record.confidence * factor * 100) / 100;
+    if (note) record.rule = `${record.rule} (${note})`;
+  }
+
+  return result;
+}
+
+/**
+ * Whether a provenance record should be flagged for review
+ * (records the user has since checked or edited carry `reviewed: true`)
+ */
+export function isLowConfidence(record) {
+  return !!record && !record.reviewed && record.confidence < LOW_CONFIDENCE;
+}
+
+/**
+ * Number of fields and rows in a result that should be reviewed
+ */
+export function countLowConfidence(result) {
+  return records(result).filter(isLowConfidence).length;
+}
+
+/**
+ * Short description for tooltips
+ */
+export function describe(record) {
+  if (!record) return '';
+  const pct = Math.round(record.confidence * 100);
+  const where = record.source?.page ? `, page ${record.source.page}`
+    : record.source?.row ? `, row ${record.source.row}` : '';
+  return `${pct}% confidence - ${record.rule}${where}${record.reviewed ? ' (reviewed)' : ''}`;
+}
+
+export default {
+  CONFIDENCE,
+  LOW_CONFIDENCE,
+  OCR_PENALTY,
+  provenance,
+  spanOf,
+  fromMatch,
+  fromLine,
+  fromRow,
+  locate,
+  attachLocations,
+  scaleConfidence,
+  isLowConfidence,
+  countLowConfidence,
+  describe
+};
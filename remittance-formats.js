@@ -0,0 +1,314 @@
+/**
+ * Remittance Format Registry
+ * Payer-specific PDF layouts are registered here as self-contained plugins.
+ *
+ * A format plugin is a plain object:
+ *   {
+ *     id: 'meyer',                 // unique key
+ *     name: 'Meyer Distributing',  // display name
+ *     detect(text) -> number,      // confidence 0..1 that the text is this layout
+ *     parse(text, parser, layout) -> {}  // returns the standard remittance result
+ *   }
+ *
+ * `parser` is the calling RemittanceParser, which provides parseMoney/normalizeDate.
+ * `layout` is the line/column layout from pdf-layout.js, or null for OCR text.
+ *
+ * Parsers record a provenance entry (see provenance.js) in `result.provenance`
+ * for each header field they fill, and on each invoice row. Short-pays go in
+ * `invoice.deductions` (see deductions.js).
+ */
+
+import logger from './logger.js';
+import { matchLines } from './pdf-layout.js';
+import { CONFIDENCE, fromMatch } from './provenance.js';
+import { DEDUCTION_REASONS, deduction } from './deductions.js';
+
+// Detections scoring below this are ignored and the generic parser is used instead
+export const MIN_CONFIDENCE = 0.5;
+
+class FormatRegistry {
+  constructor() {
+    this.formats = new Map();
+  }
+
+  /**
+   * Register a format plugin (replaces any plugin with the same id)
+   */
+  register(format) {
+    if (!format || !format.id) {
+      throw new Error('Remittance format must have an id');
+    }
+    if (typeof format.detect !== 'function' || typeof format.parse !== 'function') {
+      throw new Error(`Remittance format "${format.id}" must provide detect() and parse()`);
+    }
+    this.formats.set(format.id, format);
+    return format;
+  }
+
+  /**
+   * Remove a format plugin by id
+   */
+  unregister(id) {
+    return this.formats.delete(id);
+  }
+
+  get(id) {
+    return this.formats.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.formats.values());
+  }
+
+  /**
+   * Run every registered detector and return the best match, or null
+   * when nothing reaches MIN_CONFIDENCE.
+   */
+  detect(text) {
+    let best = null;
+
+    for (const format of this.formats.values()) {
+      let confidence = 0;
+      try {
+        confidence = Number(format.detect(text)) || 0;
+      } catch (error) {
+        // A broken plugin must not take down detection for everyone else
+        logger.warn(`Format detector "${format.id}" failed:`, error);
+        continue;
+      }
+
+      if (confidence >= MIN_CONFIDENCE && (!best || confidence > best.confidence)) {
+        best = { format, confidence };
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Meyer Distributing
+ * Key features: EFT payment number, co-op discount notes in description
+ */
+export const meyerFormat = {
+  id: 'meyer',
+  name: 'Meyer Distributing',
+
+  detect(text) {
+    const lower = text.toLowerCase();
+    if (!lower.includes('meyer')) return 0;
+    let score = lower.includes('distributing') ? 0.8 : 0.3;
+    if (/EFT\d{12}/.test(text)) score += 0.15;
+    return Math.min(1, score);
+  },
+
+  parse(text, parser, layout) {
+    const result = {
+      paymentNumber: '',
+      paymentDate: '',
+      vendor: 'Meyer Distributing',
+      customer: '',
+      invoices: [],
+      provenance: {}
+    };
+
+    // Extract payment number (EFT000000179629)
+    const paymentMatch = text.match(/EFT\d{12}/);
+    if (paymentMatch) {
+      result.paymentNumber = paymentMatch[0];
+      result.provenance.paymentNumber = fromMatch('Meyer EFT number', CONFIDENCE.FORMAT, paymentMatch, 0);
+    }
+
+    // Extract payment date
+    const dateMatch = text.match(/Payment Date[\s\S]*?(\d{2}\/\d{2}\/\d{4})/);
+    if (dateMatch) {
+      result.paymentDate = parser.normalizeDate(dateMatch[1]);
+      result.provenance.paymentDate = fromMatch('Meyer "Payment Date" label', CONFIDENCE.LABELED, dateMatch);
+    }
+
+    // Extract customer name (Vendor Name in Meyer's format)
+    const customerMatch = text.match(/Vendor Name\s+([A-Za-z0-9\s&,.'-]+?)(?=\s+Vendor ID|Payment Number)/);
+    if (customerMatch) {
+      result.customer = customerMatch[1].trim();
+      result.provenance.customer = fromMatch('Meyer "Vendor Name" label', CONFIDENCE.FORMAT, customerMatch);
+    }
+
+    // Extract invoice data
+    // Meyer format: Document Number, Date, Description, Amount, Discount, Paid Amount
+    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{4})\s+(?:.*?)\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})/g;
+
+    for (const match of matchLines(invoicePattern, text, layout)) {
+      const [_, invoiceNum, invoiceDate, amount, discount, paidAmount] = match;
+
+      // Look for co-op discount note after this invoice (may wrap onto following lines)
+      const notePattern = new RegExp(`${invoiceNum}[\\s\\S]{0,200}?short pay[\\s\\S]{0,80}?\\$([\\.\\d,]+)[\\s\\S]{0,80}?co-?op`, 'i');
+      const noteMatch = text.match(notePattern);
+
+      const invoice = {
+        invoice: invoiceNum,
+        date: parser.normalizeDate(invoiceDate),
+        amount: parser.parseMoney(amount),
+        discount: parser.parseMoney(discount),
+        paidAmount: parser.parseMoney(paidAmount),
+        originalAmount: null,
+        coopDiscount: null,
+        notes: null,
+        provenance: fromMatch('Meyer invoice row', CONFIDENCE.FORMAT, match, 0)
+      };
+
+      // If co-op discount found in notes, calculate original amount
+      if (noteMatch) {
+        invoice.coopDiscount = parser.parseMoney(noteMatch[1]);
+        invoice.originalAmount = invoice.amount + invoice.coopDiscount;
+        invoice.notes = noteMatch[0].trim();
+        invoice.deductions = [deduction(invoice.coopDiscount, invoice.notes, DEDUCTION_REASONS.COOP)];
+      } else {
+        invoice.originalAmount = invoice.amount;
+      }
+
+      result.invoices.push(invoice);
+    }
+
+    return result;
+  }
+};
+
+/**
+ * Turn 5, Inc.
+ * Key features: Check number, simple table format
+ */
+export const turn5Format = {
+  id: 'turn5',
+  name: 'Turn 5, Inc.',
+
+  detect(text) {
+    const lower = text.toLowerCase();
+    if (!lower.includes('turn 5')) return 0;
+    return /Check Number\s+\d+/i.test(text) ? 0.95 : 0.8;
+  },
+
+  parse(text, parser, layout) {
+    const result = {
+      paymentNumber: '',
+      paymentDate: '',
+      vendor: 'Turn 5, Inc.',
+      customer: '',
+      invoices: [],
+      provenance: {}
+    };
+
+    // Extract check number
+    const checkMatch = text.match(/Check Number\s+(\d+)/i);
+    if (checkMatch) {
+      result.paymentNumber = checkMatch[1];
+      result.provenance.paymentNumber = fromMatch('Turn 5 "Check Number" label', CONFIDENCE.FORMAT, checkMatch);
+    }
+
+    // Extract date
+    const dateMatch = text.match(/Date\s+(\d{2}\/\d{2}\/\d{4})/);
+    if (dateMatch) {
+      result.paymentDate = parser.normalizeDate(dateMatch[1]);
+      result.provenance.paymentDate = fromMatch('Turn 5 "Date" label', CONFIDENCE.LABELED, dateMatch);
+    }
+
+    // Extract customer
+    const customerMatch = text.match(/Vendor\s+([A-Za-z0-9\s&,.'-]+?)(?=\s+Vendor ID)/);
+    if (customerMatch) {
+      result.customer = customerMatch[1].trim();
+      result.provenance.customer = fromMatch('Turn 5 "Vendor" label', CONFIDENCE.FORMAT, customerMatch);
+    }
+
+    // Extract invoice data
+    // Format: Invoice Number, Date, Amount, Discount, Paid Amount
+    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{4})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})/g;
+
+    for (const match of matchLines(invoicePattern, text, layout)) {
+      const [_, invoiceNum, invoiceDate, amount, discount, paidAmount] = match;
+
+      result.invoices.push({
+        invoice: invoiceNum,
+        date: parser.normalizeDate(invoiceDate),
+        amount: parser.parseMoney(amount),
+        discount: parser.parseMoney(discount),
+        paidAmount: parser.parseMoney(paidAmount),
+        provenance: fromMatch('Turn 5 invoice row', CONFIDENCE.FORMAT, match, 0)
+      });
+    }
+
+    return result;
+  }
+};
+
+/**
+ * ORW USA, Inc.
+ * Key features: Check on letterhead, account number format
+ */
+export const orwFormat = {
+  id: 'orw',
+  name: 'ORW USA, INC.',
+
+  detect(text) {
+    return text.toLowerCase().includes('orw usa') ? 0.9 : 0;
+  },
+
+  parse(text, parser, layout) {
+    const result = {
+      paymentNumber: '',
+      paymentDate: '',
+      vendor: 'ORW USA, INC.',
+      customer: '',
+      invoices: [],
+      provenance: {}
+    };
+
+    // Extract check/account number (26616)
+    const checkMatch = text.match(/(\d{5})\s+09\/15\/25/);
+    if (checkMatch) {
+      result.paymentNumber = checkMatch[1];
+      result.provenance.paymentNumber = fromMatch('ORW number before check date', CONFIDENCE.PATTERN, checkMatch);
+    }
+
+    // Extract date (might be in short format 09/15/25)
+    const dateMatch = text.match(/(\d{2}\/\d{2}\/\d{2,4})/);
+    if (dateMatch) {
+      result.paymentDate = parser.normalizeDate(dateMatch[1]);
+      result.provenance.paymentDate = fromMatch('first date in document', CONFIDENCE.FALLBACK, dateMatch);
+    }
+
+    // Extract customer from "PAY TO THE ORDER OF" section
+    const customerMatch = text.match(/(?:PAY TO THE ORDER OF|ARTEC INDUSTRIES)/i);
+    if (customerMatch) {
+      result.customer = 'ARTEC INDUSTRIES';
+      result.provenance.customer = fromMatch('ORW payee (fixed name)', CONFIDENCE.HEURISTIC, customerMatch, 0);
+    }
+
+    // Extract invoice data from table
+    // Format: Invoice #, Inv Date, Invoice Amount, Discounts, Deductions, Net Amount
+    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{2})\s+([\d,]+\.\d{2})\s+([\d.]+)\s+([\d.]+)\s+([\d,]+\.\d{2})/g;
+
+    for (const match of matchLines(invoicePattern, text, layout)) {
+      const [_, invoiceNum, invoiceDate, amount, discounts, deductions, netAmount] = match;
+      const deducted = parser.parseMoney(deductions);
+
+      result.invoices.push({
+        invoice: invoiceNum,
+        date: parser.normalizeDate(invoiceDate),
+        amount: parser.parseMoney(amount),
+        discount: parser.parseMoney(discounts),
+        paidAmount: parser.parseMoney(netAmount),
+        // ORW prints the amount only; the reason comes separately (if at all)
+        deductions: deducted ? [deduction(deducted, '', DEDUCTION_REASONS.UNKNOWN)] : [],
+        provenance: fromMatch('ORW invoice row', CONFIDENCE.FORMAT, match, 0)
+      });
+    }
+
+    return result;
+  }
+};
+
+// Shared registry with the built-in payer formats
+const formatRegistry = new FormatRegistry();
+[meyerFormat, turn5Format, orwFormat].forEach(format => formatRegistry.register(format));
+
+export { FormatRegistry };
+export default formatRegistry;
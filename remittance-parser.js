@@ -1,9 +1,100 @@
 /**
  * Robust Remittance Parser
  * Handles PDF, XLSX, and CSV remittance files with format-specific parsing
- * Now with OCR support for scanned documents
+ * Now with OCR support for scanned documents and photos/screenshots (PNG, JPG)
+ * Plain-text (.txt) and HTML exports are parsed like PDF text; HTML invoice tables are read row by row
+ * Saved emails are read with mime-parser.js (.eml) and msg-parser.js (Outlook .msg):
+ * remittance attachments go through the parsers above, and an inline remittance
+ * is parsed from the message body
+ * Bank ACH files (NACHA .ach) are read with nacha-parser.js: every credit entry is a
+ * payment, with invoice rows from its CCD+/CTX addenda. The first payment is the
+ * result and the rest are listed in `result.otherPayments`. EDI 820 payment orders
+ * (x12-parser.js) are read the same way, one payment per 820 transaction, and so are
+ * ISO 20022 camt.053/camt.054 XML statements (camt-parser.js), one per credit transaction,
+ * and BAI2 lockbox/bank files (bai2-parser.js), one per credit detail record
+ *
+ * Payer-specific PDF layouts live in remittance-formats.js
+ *
+ * Every result carries `provenance` (confidence, rule and source per header field)
+ * and each invoice row its own `provenance` - see provenance.js
+ * Short-pays are recorded on rows as `deductions` - see deductions.js
+ * The currency a payment and each invoice row are in is read from codes and symbols
+ * in the document (`currency`, an ISO code) - see currency.js
+ * The document type hint (`mode`: auto, invoice, bill or receipt) decides which labels
+ * are tried first and is recorded on each result for the payer/payee assignment
+ * (see company-profile.js); a receipt's rows are collapsed into one line for its total
  */
 
+import formatRegistry from './remittance-formats.js';
+import {
+  extractDocumentLayout, extractOCRLayout, extractTextLayout, buildDocument, findHeaderRow, matchLines
+} from './pdf-layout.js';
+import { applySavedTemplates } from './remittance-templates.js';
+import {
+  CONFIDENCE, OCR_PENALTY, provenance, fromMatch, fromLine, fromRow, attachLocations, scaleConfidence
+} from './provenance.js';
+import { deduction } from './deductions.js';
+import { parseEmail, htmlToText } from './mime-parser.js';
+import { parseMsg } from './msg-parser.js';
+import { isNACHA, parseNACHA, nachaPayments } from './nacha-parser.js';
+import { isX12, parseX12, x12Payments } from './x12-parser.js';
+import { isCamt, parseCamt, camtPayments } from './camt-parser.js';
+import { isBAI2, parseBAI2, bai2Payments } from './bai2-parser.js';
+import { findSavedMapping } from './column-mappings.js';
+import { readCSV } from './csv-reader.js';
+import { parseAmount, parseDate, isAmbiguousDate, dateOrderOf, getDateOrder } from './locale.js';
+import { detectCurrency } from './currency.js';
+import { assignRoles } from './company-profile.js';
+
+// Column headers for payer deductions and their reasons in tables and spreadsheets
+const DEDUCTION_COLUMNS = ['deduction', 'adjustment', 'chargeback', 'short pay'];
+const REASON_COLUMNS = ['reason', 'deduction code', 'remark', 'comment'];
+
+// Column headers that group spreadsheet rows into payments
+const PAYMENT_NUMBER_COLUMNS = [
+  'payment number', 'payment no', 'payment #', 'payment id', 'check number', 'check no', 'check #',
+  'cheque number', 'cheque no', 'eft number'
+];
+
+// Spreadsheet title blocks can run this many rows above the invoice table
+const SHEET_HEADER_ROWS = 50;
+
+// Document type hints: auto-detect, a customer invoice we issued (the customer pays us),
+// a vendor bill (we pay the vendor) and a receipt
+const DOCUMENT_MODES = ['auto', 'invoice', 'bill', 'receipt'];
+
+// Labels tried first for each hint in documents without a known layout: the customer
+// billed pays us, the vendor billing us is paid ("Customer Number"/"Vendor ID" are
+// numbers, not names)
+const NOT_A_NAME = '(?![ \\t]*(?:number|no\\b|id\\b|code\\b|#))';
+const MODE_PATTERNS = {
+  invoice: {
+    payer: {
+      pattern: new RegExp(`(?:Bill(?:ed)?\\s+To|Sold\\s+To|Customer(?:\\s+Name)?)${NOT_A_NAME}[ \\t]*:?[ \\t]*([A-Z][^\\n]{1,60})`, 'i'),
+      rule: '"Bill To"/"Customer" label'
+    }
+  },
+  bill: {
+    payee: {
+      pattern: new RegExp(`(?:Remit\\s+To|Pay\\s+To|Payee|Vendor(?:\\s+Name)?|Supplier)${NOT_A_NAME}[ \\t]*:?[ \\t]*([A-Z][^\\n]{1,60})`, 'i'),
+      rule: '"Remit To"/"Vendor" label'
+    }
+  },
+  receipt: {
+    paymentNumber: {
+      pattern: /(?:Receipt|Transaction|Confirmation)\s+(?:Number|No\.?|ID|#)[\s:]+([A-Z0-9-]+)/i,
+      rule: '"Receipt Number" label'
+    }
+  }
+};
+
+// A receipt's total, most specific label first ("Total Paid: USD 1,250.00", "TOTAL $12.50")
+const RECEIPT_TOTALS = [
+  /\b(?:Amount|Total)\s+Paid[\s:]*(?:[A-Z]{3}\s*)?[^\dA-Za-z\n]{0,3}([\d.,]*\d)/i,
+  /\b(?:Grand\s+)?Total(?!\s+tax)[\s:]*(?:[A-Z]{3}\s*)?[^\dA-Za-z\n]{0,3}([\d.,]*\d)/i,
+  /\bAmount[\s:]*(?:[A-Z]{3}\s*)?[^\dA-Za-z\n]{0,3}([\d.,]*\d)/i
+];
+
 // Import logger if available
 let logger = console; // Fallback to console
 if (typeof window !== 'undefined' && window.logger) {
@@ -11,10 +102,19 @@ if (typeof window !== 'undefined' && window.logger) {
 }
 
 class RemittanceParser {
-  constructor() {
+  /**
+   * @param {FormatRegistry} [formats] - Payer format registry (defaults to the shared one)
+   */
+  constructor(formats = formatRegistry) {
     this.pdfjsLib = null;
     this.XLSX = null;
     this.Tesseract = null;
+    this.formats = formats;
+    // How the document being parsed writes numeric dates (see locale.js): the order it
+    // shows, the saved default, and whether a date could be read either way
+    this.locale = { dateOrder: '', defaultOrder: '', ambiguous: false };
+    // Document type hint for the file being parsed (see DOCUMENT_MODES)
+    this.mode = 'auto';
   }
 
   /**
@@ -45,19 +145,121 @@ class RemittanceParser {
     if (typeof Tesseract !== 'undefined') {
       this.Tesseract = Tesseract;
     }
+
+    // Pick up templates saved from the template builder
+    applySavedTemplates(this.formats);
   }
 
   /**
    * Main entry point - parse any remittance file
+   * @param {File} file
+   * @param {Object} [options]
+   * @param {string} [options.mode] - Document type hint: 'auto', 'invoice', 'bill' or 'receipt'
    */
-  async parseFile(file) {
+  async parseFile(file, { mode = 'auto' } = {}) {
     await this.init();
 
     const ext = this.getExtension(file.name);
     const fileType = this.detectFileType(file, ext);
+    this.mode = DOCUMENT_MODES.includes(mode) ? mode : 'auto';
+
+    logger.info(`Parsing ${file.name} as ${fileType}${this.mode !== 'auto' ? ` (${this.mode})` : ''}`);
+
+    this.locale = { dateOrder: '', defaultOrder: getDateOrder(), ambiguous: false };
+    let result = await this.readFile(file, fileType);
+
+    // Dates such as 03/04/2025 that the document didn't settle are read again in the
+    // order saved for the payer (the other party, for a payment we sent)
+    result.mode = this.mode;
+    const payer = assignRoles(result).counterparty;
+    const payerOrder = getDateOrder(payer);
+    if (this.locale.ambiguous && !this.locale.dateOrder && payerOrder !== this.locale.defaultOrder) {
+      logger.info(`Reading ${file.name} again with ${payerOrder} dates, as saved for ${payer}`);
+      this.locale = { dateOrder: payerOrder, defaultOrder: payerOrder, ambiguous: false };
+      result = await this.readFile(file, fileType);
+    }
+
+    return this.applyMode(this.detectCurrencies(result));
+  }
+
+  /**
+   * Record the document type hint on each payment read from the file; a receipt
+   * becomes one line for its total
+   */
+  applyMode(result) {
+    for (const payment of [result, ...(result.otherPayments || [])]) {
+      payment.mode = this.mode;
+      if (this.mode === 'receipt') this.collapseReceipt(payment);
+    }
+    return result;
+  }
+
+  /**
+   * Collapse a receipt into a single line for its total, unless its rows already add
+   * up to it. The total is the stated payment amount, else the "Amount Paid"/"Total"
+   * on the receipt, else the sum of the rows.
+   */
+  collapseReceipt(result) {
+    const text = result.rawText || '';
+    const rowsTotal = Math.round(result.invoices.reduce((sum, inv) => sum + (inv.paidAmount || inv.amount || 0), 0) * 100) / 100;
+    let total = result.paymentAmount || 0;
+    let source = result.provenance?.paymentAmount;
+
+    for (const pattern of total ? [] : RECEIPT_TOTALS) {
+      const match = text.match(pattern);
+      if (match && this.parseMoney(match[1]) > 0) {
+        total = this.parseMoney(match[1]);
+        source = fromMatch('receipt total', CONFIDENCE.PATTERN, match);
+        break;
+      }
+    }
+    if (!total) {
+      total = rowsTotal;
+      source = provenance('sum of receipt lines', CONFIDENCE.HEURISTIC);
+    }
+    if (!total || (result.invoices.length === 1 && Math.abs(rowsTotal - total) < 0.005)) return;
+
+    logger.info(`Receipt: ${result.invoices.length} line(s) collapsed into one for ${total}`);
+    result.paymentAmount = total;
+    result.provenance = { ...result.provenance, paymentAmount: source };
+    result.invoices = [{
+      invoice: result.paymentNumber || 'Receipt',
+      date: result.paymentDate || '',
+      amount: total,
+      paidAmount: total,
+      ...(result.currency ? { currency: result.currency } : {}),
+      notes: result.invoices.length > 1 ? `Receipt of ${result.invoices.length} lines` : 'Receipt total',
+      provenance: source
+    }];
+  }
 
-    logger.info(`Parsing ${file.name} as ${fileType}`);
+  /**
+   * Fill in the currencies a file didn't state in its own fields: a payment is in the
+   * currency its text names most, and an invoice row in the one named on its line
+   * (rows in tables are read by parseXLSXData/parseCSV). Left '' when the document
+   * doesn't say, for the form's assumed currency.
+   */
+  detectCurrencies(result) {
+    for (const payment of [result, ...(result.otherPayments || [])]) {
+      const text = payment.rawText || '';
+      if (!payment.currency) payment.currency = detectCurrency(text);
+
+      for (const invoice of payment.invoices || []) {
+        const start = invoice.provenance?.source?.start;
+        if (invoice.currency || start == null || !text) continue;
+        const end = text.indexOf('\n', start);
+        const line = text.slice(text.lastIndexOf('\n', start - 1) + 1, end < 0 ? undefined : end);
+        const currency = detectCurrency(line);
+        if (currency) invoice.currency = currency;
+      }
+    }
+    return result;
+  }
 
+  /**
+   * Read a file with the parser for its type
+   */
+  async readFile(file, fileType) {
     switch (fileType) {
       case 'pdf':
         return await this.parsePDF(file);
@@ -65,6 +267,33 @@ class RemittanceParser {
         return await this.parseXLSX(file);
       case 'csv':
         return await this.parseCSV(file);
+      case 'image':
+        return await this.parseImage(file);
+      case 'email':
+        return await this.parseEmail(file);
+      case 'msg':
+        return await this.parseOutlookMessage(file);
+      case 'nacha':
+        return this.parseNACHA(await file.text());
+      case 'x12':
+        return this.parseX12(await file.text());
+      case 'bai2':
+        return this.parseBAI2(await file.text());
+      case 'xml': {
+        const text = await file.text();
+        if (!isCamt(text)) throw new Error('Only camt.053/camt.054 bank statement XML files are supported');
+        return this.parseCamt(text);
+      }
+      case 'text': {
+        // Banks and EDI portals often deliver ACH, 820 and BAI2 files as .txt
+        const text = await file.text();
+        if (isNACHA(text)) return this.parseNACHA(text);
+        if (isX12(text)) return this.parseX12(text);
+        if (isBAI2(text)) return this.parseBAI2(text);
+        return this.parseText(text);
+      }
+      case 'html':
+        return this.parseHTML(await file.text());
       default:
         throw new Error(`Unsupported file type: ${fileType}`);
     }
@@ -81,6 +310,15 @@ class RemittanceParser {
         mime.includes('spreadsheet') || 
         mime.includes('excel')) return 'xlsx';
     if (ext === 'csv' || mime === 'text/csv') return 'csv';
+    if (['png', 'jpg', 'jpeg'].includes(ext) || mime.startsWith('image/')) return 'image';
+    if (ext === 'eml' || mime === 'message/rfc822') return 'email';
+    if (ext === 'msg' || mime === 'application/vnd.ms-outlook') return 'msg';
+    if (ext === 'ach') return 'nacha';
+    if (['edi', 'x12', '820'].includes(ext)) return 'x12';
+    if (['bai', 'bai2'].includes(ext)) return 'bai2';
+    if (ext === 'xml' || mime === 'application/xml' || mime === 'text/xml') return 'xml';
+    if (['html', 'htm'].includes(ext) || mime === 'text/html') return 'html';
+    if (ext === 'txt' || mime === 'text/plain') return 'text';
     
     throw new Error('Unknown file type');
   }
@@ -104,24 +342,23 @@ class RemittanceParser {
     const data = new Uint8Array(arrayBuffer);
     
     const pdf = await this.pdfjsLib.getDocument({ data }).promise;
-    let fullText = '';
-    
-    // Extract text from all pages
-    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
-      const page = await pdf.getPage(pageNum);
-      const textContent = await page.getTextContent();
-      const pageText = textContent.items.map(item => item.str).join(' ');
-      fullText += pageText + '\n';
-    }
+
+    // Extract text from all pages, keeping item positions so lines and
+    // table columns can be rebuilt instead of bleeding into one another
+    let layout = await extractDocumentLayout(pdf);
+    let fullText = layout.text;
 
     // Check if we got meaningful text
     const hasText = fullText.trim().length > 50;
 
     // If no text found, this is likely an image-based PDF - use OCR
+    let usedOCR = false;
     if (!hasText) {
       logger.info('No text found in PDF - attempting OCR...');
       try {
         fullText = await this.performOCR(pdf);
+        layout = null;
+        usedOCR = true;
         logger.success('OCR completed. Extracted text length:', fullText.length);
       } catch (ocrError) {
         throw new Error('This appears to be a scanned/image PDF. OCR extraction failed: ' + ocrError.message);
@@ -129,19 +366,247 @@ class RemittanceParser {
     }
 
     // Detect PDF format and parse accordingly
-    const format = this.detectPDFFormat(fullText);
-    logger.info(`Detected PDF format: ${format}`);
-
-    switch (format) {
-      case 'meyer':
-        return this.parseMeyerPDF(fullText);
-      case 'turn5':
-        return this.parseTurn5PDF(fullText);
-      case 'orw':
-        return this.parseORWPDF(fullText);
-      default:
-        return this.parseGenericPDF(fullText);
+    const result = this.parseRemittanceText(fullText, layout);
+    return usedOCR ? scaleConfidence(result, OCR_PENALTY, 'OCR') : result;
+  }
+
+  /**
+   * Parse a saved email (.eml)
+   */
+  async parseEmail(file) {
+    const email = parseEmail(new Uint8Array(await file.arrayBuffer()));
+    logger.info(`Email "${email.subject}" from ${email.from}: ${email.attachments.length} attachment(s)`);
+    return await this.parseMessage(email);
+  }
+
+  /**
+   * Parse a saved Outlook message (.msg)
+   */
+  async parseOutlookMessage(file) {
+    const email = parseMsg(new Uint8Array(await file.arrayBuffer()));
+    logger.info(`Outlook message "${email.subject}" from ${email.from}: ${email.attachments.length} attachment(s)`);
+    return await this.parseMessage(email);
+  }
+
+  /**
+   * Parse a remittance email (see mime-parser.js for the email shape).
+   * PDF/XLSX/CSV attachments go through the matching parser; the first one with invoices
+   * is the result, and further remittance attachments are listed in `email.otherRemittances`.
+   * Without one, the body itself is parsed as remittance text.
+   * The sender and the email date fill in a missing payer and payment date.
+   */
+  async parseMessage(email) {
+    const remittances = [];
+
+    for (const attachment of email.attachments) {
+      let type = null;
+      try {
+        type = this.detectFileType(attachment, this.getExtension(attachment.name));
+      } catch (e) {
+        // Not a file type we read
+      }
+      if (!['pdf', 'xlsx', 'csv'].includes(type)) continue;
+
+      // Attachments are read with the email's document type hint; the email's own date
+      // order state is kept for the body
+      const locale = this.locale;
+      try {
+        const result = await this.parseFile(attachment, { mode: this.mode });
+        if (result.invoices.length) remittances.push({ file: attachment, result });
+      } catch (error) {
+        logger.warn(`Could not parse attachment ${attachment.name}:`, error.message);
+      } finally {
+        this.locale = locale;
+      }
+    }
+
+    let result;
+    if (remittances.length) {
+      result = remittances[0].result;
+      logger.info(`Using attachment ${remittances[0].file.name}`);
+    } else {
+      logger.info('No remittance attachment - parsing the email body');
+      // Plain-text parts are often a poor rendering of the HTML table, so try both
+      const parsed = [
+        email.html.trim() && this.parseHTML(email.html),
+        email.text.trim() && this.parseText(email.text)
+      ].filter(Boolean);
+      result = parsed.find(r => r.invoices.length) || parsed[0] || this.parseText('');
+    }
+
+    // The sender is usually the payer
+    result.provenance = result.provenance || {};
+    if (!result.customer && !result.vendor && (email.fromName || email.fromAddress)) {
+      result.vendor = email.fromName || email.fromAddress;
+      result.provenance.vendor = provenance('email sender', CONFIDENCE.HEURISTIC, { text: email.from });
     }
+    if (!result.paymentDate && email.date) {
+      const d = email.date;
+      result.paymentDate = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      result.provenance.paymentDate = provenance('email date', CONFIDENCE.FALLBACK);
+    }
+
+    result.email = {
+      from: email.from,
+      subject: email.subject,
+      date: email.date,
+      attachment: remittances[0]?.file || null,
+      otherRemittances: remittances.slice(1).map(r => r.file)
+    };
+    return result;
+  }
+
+  /**
+   * Parse a NACHA ACH file: one payment per credit entry, in file order
+   * @param {string} text - File contents
+   */
+  parseNACHA(text) {
+    return this.firstPayment(nachaPayments(parseNACHA(text)), 'No incoming ACH payments (credit entries) found in this file');
+  }
+
+  /**
+   * Parse an EDI X12 file: one payment per 820 transaction, in file order
+   * @param {string} text - File contents
+   */
+  parseX12(text) {
+    return this.firstPayment(x12Payments(parseX12(text)), 'No 820 payment orders found in this EDI file');
+  }
+
+  /**
+   * Parse a camt.053 statement or camt.054 notification: one payment per credit transaction
+   * @param {string} xml - File contents
+   */
+  parseCamt(xml) {
+    return this.firstPayment(camtPayments(parseCamt(xml)), 'No incoming credit entries found in this bank statement');
+  }
+
+  /**
+   * Parse a BAI2 file: one candidate payment per credit detail (16) record
+   * @param {string} text - File contents
+   */
+  parseBAI2(text) {
+    return this.firstPayment(bai2Payments(parseBAI2(text)), 'No credit transactions found in this BAI2 file');
+  }
+
+  /**
+   * The first of several payments read from one file, with the rest in `otherPayments`
+   */
+  firstPayment(payments, emptyMessage) {
+    if (!payments.length) throw new Error(emptyMessage);
+
+    const [result, ...others] = payments;
+    result.otherPayments = others;
+    return result;
+  }
+
+  /**
+   * Parse a plain-text remittance (.txt export or email body). Lines and fixed-width
+   * columns are rebuilt like PDF text, so format detection and table/line heuristics apply.
+   * @param {string} text - Document text
+   */
+  parseText(text) {
+    const layout = extractTextLayout(text);
+    return this.parseRemittanceText(layout.text, layout);
+  }
+
+  /**
+   * Parse an HTML remittance (portal export or email body). The text goes through format
+   * detection; when no payer format reads the invoices, <table> rows are read with the
+   * same header mapping as PDF tables.
+   * @param {string} html - HTML source
+   */
+  parseHTML(html) {
+    const result = this.parseText(htmlToText(html));
+
+    if (result.format === 'generic' || !result.invoices.length) {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const invoices = this.parseHTMLTables(doc);
+      if (invoices.length) result.invoices = invoices;
+    }
+
+    return result;
+  }
+
+  /**
+   * Read invoice rows from the first HTML table with invoice and amount headers
+   */
+  parseHTMLTables(doc) {
+    // Email layouts nest tables; data rows live in the innermost ones
+    const tables = Array.from(doc.querySelectorAll('table')).filter(table => !table.querySelector('table'));
+
+    for (const table of tables) {
+      const rows = Array.from(table.rows).map(row => Array.from(row.cells).flatMap(cell => [
+        cell.textContent.replace(/\s+/g, ' ').trim(),
+        ...new Array(Math.max(0, (cell.colSpan || 1) - 1)).fill('')
+      ]));
+
+      // The header row names the columns and holds no amounts
+      const headerIdx = rows.findIndex(cells =>
+        !cells.some(cell => /\d\.\d{2}\b/.test(cell)) && this.mapTableColumns(cells.map(cell => cell.toLowerCase()))
+      );
+      if (headerIdx < 0) continue;
+
+      const colMap = this.mapTableColumns(rows[headerIdx].map(cell => cell.toLowerCase()));
+      const invoices = [];
+
+      for (let i = headerIdx + 1; i < rows.length; i++) {
+        if (/^total/i.test(rows[i].join(' ').trim())) break;
+        const invoice = this.readTableRow(rows[i], colMap, fromRow('HTML table row', CONFIDENCE.TABLE, i + 1));
+        if (invoice) invoices.push(invoice);
+      }
+
+      if (invoices.length) return invoices;
+    }
+
+    return [];
+  }
+
+  /**
+   * Parse a photo or screenshot of a remittance: OCR the image, rebuild lines and
+   * columns from the word positions, then detect the format like PDF text
+   */
+  async parseImage(file) {
+    if (!this.Tesseract) {
+      throw new Error('Tesseract.js library not loaded');
+    }
+
+    if (typeof updateStatus === 'function') {
+      updateStatus('Scanning image with OCR...');
+    }
+    logger.info(`Starting OCR on image ${file.name}...`);
+
+    // Draw through a canvas so OCR sees the image the way the preview shows it (EXIF rotation applied)
+    const bitmap = await createImageBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const { data } = await this.Tesseract.recognize(
+      canvas,
+      'eng',
+      {
+        logger: m => {
+          if (m.status === 'recognizing text') {
+            logger.debug(`OCR progress: ${Math.round(m.progress * 100)}%`);
+            if (typeof window !== 'undefined' && window.ui && window.ui.loading) {
+              window.ui.loading.updateProgress(20 + m.progress * 60, 'Reading image...');
+            }
+          }
+        }
+      }
+    );
+
+    const layout = buildDocument([extractOCRLayout(data.words || [], 1, canvas.width, canvas.height)]);
+    logger.success('OCR complete, extracted', layout.text.length, 'characters');
+
+    if (layout.text.trim().length < 10) {
+      throw new Error('No text could be read from this image. Try a sharper, well-lit photo or a screenshot.');
+    }
+
+    const result = this.parseRemittanceText(layout.text, layout);
+    return scaleConfidence(result, OCR_PENALTY, 'OCR');
   }
 
   /**
@@ -211,245 +676,186 @@ class RemittanceParser {
 
   /**
    * Detect which PDF format we're dealing with
+   * Returns the registered format id, or 'generic' when no detector is confident
    */
   detectPDFFormat(text) {
-    const lower = text.toLowerCase();
-    
-    if (lower.includes('meyer') && lower.includes('distributing')) {
-      return 'meyer';
-    }
-    if (lower.includes('turn 5')) {
-      return 'turn5';
-    }
-    if (lower.includes('orw usa')) {
-      return 'orw';
-    }
-    
-    return 'generic';
+    const match = this.formats.detect(text);
+    return match ? match.format.id : 'generic';
   }
 
   /**
-   * Parse Meyer Distributing format
-   * Key features: EFT payment number, co-op discount notes in description
+   * Parse extracted remittance text with the best matching format plugin
+   * (built-in formats and saved templates), falling back to the generic parser
+   * @param {string} text - Document text
+   * @param {Object} [layout] - Line/column layout from pdf-layout.js, when available
    */
-  parseMeyerPDF(text) {
-    const result = {
-      paymentNumber: '',
-      paymentDate: '',
-      vendor: 'Meyer Distributing',
-      customer: '',
-      invoices: []
-    };
+  parseRemittanceText(text, layout = null) {
+    const match = this.formats.detect(text);
+    let result;
 
-    // Extract payment number (EFT000000179629)
-    const paymentMatch = text.match(/EFT\d{12}/);
-    if (paymentMatch) {
-      result.paymentNumber = paymentMatch[0];
-    }
+    if (!this.locale.dateOrder) this.locale.dateOrder = dateOrderOf(text);
 
-    // Extract payment date
-    const dateMatch = text.match(/Payment Date[\s\S]*?(\d{2}\/\d{2}\/\d{4})/);
-    if (dateMatch) {
-      result.paymentDate = this.normalizeDate(dateMatch[1]);
-    }
-
-    // Extract customer name (Vendor Name in Meyer's format)
-    const customerMatch = text.match(/Vendor Name\s+([A-Za-z0-9\s&,.'-]+?)(?=\s+Vendor ID|Payment Number)/);
-    if (customerMatch) {
-      result.customer = customerMatch[1].trim();
-    }
-
-    // Extract invoice data
-    // Meyer format: Document Number, Date, Description, Amount, Discount, Paid Amount
-    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{4})\s+(?:.*?)\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})/g;
-    let match;
-    
-    while ((match = invoicePattern.exec(text)) !== null) {
-      const [_, invoiceNum, invoiceDate, amount, discount, paidAmount] = match;
-      
-      // Look for co-op discount note after this invoice
-      const notePattern = new RegExp(`${invoiceNum}[\\s\\S]{0,200}?short pay.*?\\$([\\.\\d,]+).*?co-?op`, 'i');
-      const noteMatch = text.match(notePattern);
-      
-      const invoice = {
-        invoice: invoiceNum,
-        date: this.normalizeDate(invoiceDate),
-        amount: this.parseMoney(amount),
-        discount: this.parseMoney(discount),
-        paidAmount: this.parseMoney(paidAmount),
-        originalAmount: null,
-        coopDiscount: null,
-        notes: null
-      };
+    if (match) {
+      logger.info(`Detected PDF format: ${match.format.id} (confidence ${match.confidence.toFixed(2)})`);
+      result = match.format.parse(text, this, layout);
+      result.format = match.format.id;
 
-      // If co-op discount found in notes, calculate original amount
-      if (noteMatch) {
-        invoice.coopDiscount = this.parseMoney(noteMatch[1]);
-        invoice.originalAmount = invoice.amount + invoice.coopDiscount;
-        invoice.notes = noteMatch[0].trim();
-      } else {
-        invoice.originalAmount = invoice.amount;
+      // The payer name comes from the layout itself, so it is as certain as the detection
+      result.provenance = result.provenance || {};
+      if (result.vendor && !result.provenance.vendor) {
+        result.provenance.vendor = provenance(`${match.format.name} layout detected`, Math.round(match.confidence * 100) / 100);
       }
-
-      result.invoices.push(invoice);
+    } else {
+      logger.info('Detected PDF format: generic');
+      result = this.parseGenericPDF(text, layout);
+      result.format = 'generic';
     }
 
-    return result;
+    // Keep the extracted text so templates can be built and tested against it
+    result.rawText = text;
+    return attachLocations(result, layout);
   }
 
   /**
-   * Parse Turn 5 format
-   * Key features: Check number, simple table format
+   * Generic PDF parser for unknown formats
    */
-  parseTurn5PDF(text) {
+  parseGenericPDF(text, layout = null) {
     const result = {
       paymentNumber: '',
       paymentDate: '',
-      vendor: 'Turn 5, Inc.',
+      vendor: '',
       customer: '',
-      invoices: []
+      invoices: [],
+      provenance: {}
     };
 
-    // Extract check number
-    const checkMatch = text.match(/Check Number\s+(\d+)/i);
-    if (checkMatch) {
-      result.paymentNumber = checkMatch[1];
+    // Labels the document type hint puts first: the customer (payer) on an invoice we
+    // issued, the vendor (payee) on a bill, the receipt number on a receipt
+    const hinted = MODE_PATTERNS[this.mode] || {};
+    for (const [field, { pattern, rule }] of Object.entries(hinted)) {
+      const match = text.match(pattern);
+      if (match) {
+        result[field] = match[1].replace(/\s{2,}.*$/, '').trim();
+        result.provenance[field] = fromMatch(rule, CONFIDENCE.LABELED, match);
+      }
+    }
+
+    // Try to find payment number (various patterns, strongest first)
+    const paymentPatterns = [
+      { pattern: /Payment\s+(?:Number|#)[\s:]+([A-Z0-9-]+)/i, rule: '"Payment Number" label', confidence: CONFIDENCE.LABELED },
+      { pattern: /Check\s+(?:Number|#)[\s:]+([A-Z0-9-]+)/i, rule: '"Check Number" label', confidence: CONFIDENCE.LABELED },
+      { pattern: /EFT[\s#]*(\d+)/i, rule: 'EFT number', confidence: CONFIDENCE.PATTERN },
+      { pattern: /Reference[\s:]+([A-Z0-9-]+)/i, rule: '"Reference" label', confidence: CONFIDENCE.HEURISTIC }
+    ];
+
+    for (const { pattern, rule, confidence } of result.paymentNumber ? [] : paymentPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        result.paymentNumber = match[1];
+        result.provenance.paymentNumber = fromMatch(rule, confidence, match);
+        break;
+      }
     }
 
-    // Extract date
-    const dateMatch = text.match(/Date\s+(\d{2}\/\d{2}\/\d{4})/);
+    // Try to find date
+    const dateMatch = text.match(/(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})/);
     if (dateMatch) {
       result.paymentDate = this.normalizeDate(dateMatch[1]);
+      result.provenance.paymentDate = fromMatch('first date in document', CONFIDENCE.FALLBACK, dateMatch);
     }
 
-    // Extract customer
-    const customerMatch = text.match(/Vendor\s+([A-Za-z0-9\s&,.'-]+?)(?=\s+Vendor ID)/);
-    if (customerMatch) {
-      result.customer = customerMatch[1].trim();
+    // Prefer a real table when the layout has one with recognizable headers
+    if (layout) {
+      result.invoices = this.parseLayoutTable(layout);
     }
 
-    // Extract invoice data
-    // Format: Invoice Number, Date, Amount, Discount, Paid Amount
-    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{4})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})\s+\$?([\d,]+\.\d{2})/g;
-    let match;
-    
-    while ((match = invoicePattern.exec(text)) !== null) {
-      const [_, invoiceNum, invoiceDate, amount, discount, paidAmount] = match;
-      
-      result.invoices.push({
-        invoice: invoiceNum,
-        date: this.normalizeDate(invoiceDate),
-        amount: this.parseMoney(amount),
-        discount: this.parseMoney(discount),
-        paidAmount: this.parseMoney(paidAmount)
-      });
+    // Try to extract invoices (look for invoice numbers followed by amounts)
+    if (result.invoices.length === 0) {
+      const invoicePattern = /(?:Invoice|Inv)[\s#:]*(\d{4,})[^\d]*?([\d,]+\.\d{2})/gi;
+
+      for (const match of matchLines(invoicePattern, text, layout)) {
+        result.invoices.push({
+          invoice: match[1],
+          amount: this.parseMoney(match[2]),
+          paidAmount: this.parseMoney(match[2]),
+          provenance: fromMatch('"Invoice" followed by an amount', CONFIDENCE.PATTERN, match, 0)
+        });
+      }
     }
 
     return result;
   }
 
   /**
-   * Parse ORW USA format
-   * Key features: Check on letterhead, account number format
+   * Read invoice rows from a table in the PDF layout grid, using the same
+   * header matching as the spreadsheet parsers
    */
-  parseORWPDF(text) {
-    const result = {
-      paymentNumber: '',
-      paymentDate: '',
-      vendor: 'ORW USA, INC.',
-      customer: '',
-      invoices: []
-    };
+  parseLayoutTable(layout) {
+    const header = findHeaderRow(layout, ['invoice']);
+    if (!header) return [];
 
-    // Extract check/account number (26616)
-    const checkMatch = text.match(/(\d{5})\s+09\/15\/25/);
-    if (checkMatch) {
-      result.paymentNumber = checkMatch[1];
-    }
+    const colMap = this.mapTableColumns(header.headers);
+    if (!colMap) return [];
 
-    // Extract date (might be in short format 09/15/25)
-    const dateMatch = text.match(/(\d{2}\/\d{2}\/\d{2,4})/);
-    if (dateMatch) {
-      result.paymentDate = this.normalizeDate(dateMatch[1]);
-    }
+    const invoices = [];
+    const grid = header.page.grid;
 
-    // Extract customer from "PAY TO THE ORDER OF" section
-    const customerMatch = text.match(/(?:PAY TO THE ORDER OF|ARTEC INDUSTRIES)/i);
-    if (customerMatch) {
-      result.customer = 'ARTEC INDUSTRIES';
-    }
+    for (let i = header.lineIndex + 1; i < grid.length; i++) {
+      // Stop at totals; wrapped description lines are skipped by readTableRow
+      if (/^total/i.test(grid[i].join(' ').trim())) break;
 
-    // Extract invoice data from table
-    // Format: Invoice #, Inv Date, Invoice Amount, Discounts, Deductions, Net Amount
-    const invoicePattern = /(\d{5})\s+(\d{2}\/\d{2}\/\d{2})\s+([\d,]+\.\d{2})\s+([\d.]+)\s+([\d.]+)\s+([\d,]+\.\d{2})/g;
-    let match;
-    
-    while ((match = invoicePattern.exec(text)) !== null) {
-      const [_, invoiceNum, invoiceDate, amount, discounts, deductions, netAmount] = match;
-      
-      result.invoices.push({
-        invoice: invoiceNum,
-        date: this.normalizeDate(invoiceDate),
-        amount: this.parseMoney(amount),
-        discount: this.parseMoney(discounts),
-        paidAmount: this.parseMoney(netAmount)
-      });
+      const invoice = this.readTableRow(grid[i], colMap, fromLine('PDF table columns', CONFIDENCE.TABLE, header.page.lines[i]));
+      if (invoice) invoices.push(invoice);
     }
 
-    return result;
+    return invoices;
   }
 
   /**
-   * Generic PDF parser for unknown formats
+   * Map invoice table headers (lower-cased) to column indexes.
+   * Returns null unless there is an invoice column and an amount or paid column.
    */
-  parseGenericPDF(text) {
-    const result = {
-      paymentNumber: '',
-      paymentDate: '',
-      vendor: '',
-      customer: '',
-      invoices: []
+  mapTableColumns(headers) {
+    const colMap = {
+      invoice: this.findColumn(headers, ['invoice', 'inv', 'document']),
+      date: this.findColumn(headers, ['invoice date', 'inv date', 'date']),
+      amount: this.findColumn(headers, ['invoice amount', 'gross', 'amount']),
+      discount: this.findColumn(headers, ['discount', 'disc']),
+      deduction: this.findColumn(headers, DEDUCTION_COLUMNS),
+      reason: this.findColumn(headers, REASON_COLUMNS),
+      paid: this.findColumn(headers, ['net amount', 'paid', 'payment', 'net'])
     };
 
-    // Try to find payment number (various patterns)
-    const paymentPatterns = [
-      /Payment\s+(?:Number|#)[\s:]+([A-Z0-9-]+)/i,
-      /Check\s+(?:Number|#)[\s:]+([A-Z0-9-]+)/i,
-      /EFT[\s#]*(\d+)/i,
-      /Reference[\s:]+([A-Z0-9-]+)/i
-    ];
-
-    for (const pattern of paymentPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        result.paymentNumber = match[1];
-        break;
-      }
-    }
-
-    // Try to find date
-    const dateMatch = text.match(/(\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4})/);
-    if (dateMatch) {
-      result.paymentDate = this.normalizeDate(dateMatch[1]);
-    }
-
-    // Try to extract invoices (look for invoice numbers followed by amounts)
-    const invoicePattern = /(?:Invoice|Inv)[\s#:]*(\d{4,})[^\d]*?([\d,]+\.\d{2})/gi;
-    let match;
-    
-    while ((match = invoicePattern.exec(text)) !== null) {
-      result.invoices.push({
-        invoice: match[1],
-        amount: this.parseMoney(match[2]),
-        paidAmount: this.parseMoney(match[2])
-      });
-    }
+    if (colMap.invoice < 0 || (colMap.amount < 0 && colMap.paid < 0)) return null;
+    return colMap;
+  }
 
-    return result;
+  /**
+   * Read one invoice table row; null when the row isn't an invoice line
+   * @param {Array<string>} cells - Row cells, in header column order
+   * @param {Object} colMap - From mapTableColumns()
+   * @param {Object} rowProvenance - Provenance record for the row
+   */
+  readTableRow(cells, colMap, rowProvenance) {
+    const invoiceNum = (cells[colMap.invoice] || '').trim();
+    if (!/\d/.test(invoiceNum)) return null;
+
+    const invoice = { invoice: invoiceNum, provenance: rowProvenance };
+    if (colMap.date >= 0 && cells[colMap.date]) invoice.date = this.normalizeDate(cells[colMap.date]);
+    if (colMap.amount >= 0) invoice.amount = this.parseMoney(cells[colMap.amount]);
+    if (colMap.discount >= 0) invoice.discount = this.parseMoney(cells[colMap.discount]);
+    invoice.deductions = this.readDeductions(cells, colMap);
+    invoice.paidAmount = colMap.paid >= 0
+      ? this.parseMoney(cells[colMap.paid])
+      : (invoice.amount || 0) - (invoice.discount || 0) - (invoice.deductions[0]?.amount || 0);
+
+    if (!invoice.amount && !invoice.paidAmount) return null;
+    return invoice;
   }
 
   /**
-   * Parse XLSX file
+   * Parse XLSX file. Every sheet is read, and a sheet may hold several payments (see
+   * parseXLSXData); the first payment is the result and the rest are in `otherPayments`.
    */
   async parseXLSX(file) {
     if (!this.XLSX) {
@@ -458,87 +864,157 @@ class RemittanceParser {
 
     const arrayBuffer = await file.arrayBuffer();
     const workbook = this.XLSX.read(arrayBuffer, { type: 'array' });
-    
-    // Get first sheet
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Convert to JSON
-    const data = this.XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-    
-    return this.parseXLSXData(data);
+
+    const sheets = workbook.SheetNames.map(sheetName => ({
+      sheetName,
+      data: this.XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 })
+    }));
+
+    // Some payers send a sheet per check
+    const payments = sheets.flatMap(({ data, sheetName }) => this.parseXLSXData(data, sheetName));
+
+    if (!payments.length) {
+      const sheet = sheets.find(({ data }) => data.length);
+      return this.unmappedResult(sheet?.data, sheet?.sheetName);
+    }
+    return this.firstPayment(payments);
   }
 
   /**
-   * Parse XLSX data array
+   * Empty result for a table whose columns weren't recognized. Its first rows are
+   * kept in `unmappedTable` for the user to map the columns (see column-mappings.js)
    */
-  parseXLSXData(data) {
-    const result = {
+  unmappedResult(rows = [], sheet = null) {
+    return {
       paymentNumber: '',
       paymentDate: '',
       vendor: '',
       customer: '',
-      invoices: []
+      invoices: [],
+      provenance: {},
+      unmappedTable: rows.length ? { rows: rows.slice(0, SHEET_HEADER_ROWS), sheet } : null
     };
+  }
 
-    if (data.length === 0) return result;
+  /**
+   * Map spreadsheet columns; null without an invoice column and an amount or paid column.
+   * Payment number and payment date columns are claimed first, so "Payment Number" isn't
+   * taken for the paid column or "Payment Date" for the invoice date.
+   */
+  mapSheetColumns(headers) {
+    const paymentNumber = this.findColumn(headers, PAYMENT_NUMBER_COLUMNS);
+    const paymentDate = this.findColumn(headers, ['payment date', 'check date', 'pay date']);
+    const rest = headers.map((h, idx) => (idx === paymentNumber || idx === paymentDate ? '' : h));
 
-    // Find header row
-    let headerRow = -1;
-    let headers = [];
-    
-    for (let i = 0; i < Math.min(10, data.length); i++) {
-      const row = data[i];
-      const rowStr = row.join('').toLowerCase();
-      
-      if (rowStr.includes('invoice') || rowStr.includes('payment')) {
-        headerRow = i;
-        headers = row.map(h => String(h || '').toLowerCase().trim());
-        break;
-      }
+    const colMap = {
+      paymentNumber,
+      paymentDate,
+      invoice: this.findColumn(rest, ['invoice', 'inv', 'document', 'inv ref']),
+      date: this.findColumn(rest, ['date', 'invoice date', 'inv date']),
+      amount: this.findColumn(rest, ['amount', 'invoice amount', 'total']),
+      discount: this.findColumn(rest, ['discount', 'discount $', 'disc']),
+      deduction: this.findColumn(rest, DEDUCTION_COLUMNS),
+      reason: this.findColumn(rest, REASON_COLUMNS),
+      paid: this.findColumn(rest, ['paid', 'paid amount', 'payment'])
+    };
+
+    if (colMap.invoice < 0 || (colMap.amount < 0 && colMap.paid < 0)) return null;
+    return colMap;
+  }
+
+  /**
+   * Read the payments on one sheet (or a CSV file read into rows).
+   * The header row is one whose columns the user mapped (see column-mappings.js), or else
+   * the first with recognized invoice and amount columns. A payment/check number column groups the rows into payments (a blank cell continues
+   * the payment above it, as merged cells read); without one the sheet is one payment,
+   * with its number and date taken from rows above the table.
+   * @param {Array<Array>} data - Sheet rows
+   * @param {string} [sheetName] - Recorded in provenance
+   * @param {Array<Array>} [written] - The rows as written, for currency symbols (a
+   *   decimal-comma CSV's amounts are numbers in `data`)
+   * @returns {Array<Object>} Payments with invoice rows, in sheet order
+   */
+  parseXLSXData(data, sheetName = null, written = data) {
+    const at = (rule, confidence, i) => fromRow(rule, confidence, i + 1, sheetName);
+
+    if (!this.locale.dateOrder) this.locale.dateOrder = dateOrderOf(data);
+
+    // Find header row (below any title block)
+    let { headerRow, colMap } = findSavedMapping(data, SHEET_HEADER_ROWS) || { headerRow: -1, colMap: null };
+
+    for (let i = 0; headerRow === -1 && i < Math.min(SHEET_HEADER_ROWS, data.length); i++) {
+      colMap = this.mapSheetColumns((data[i] || []).map(h => String(h ?? '').toLowerCase().trim()));
+      if (colMap) headerRow = i;
     }
 
     if (headerRow === -1) {
-      logger.warn('Could not find header row in XLSX');
-      return result;
+      logger.warn(`Could not find header row in ${sheetName ? `sheet "${sheetName}"` : 'XLSX'}`);
+      return [];
     }
 
-    // Map column indices
-    const colMap = {
-      invoice: this.findColumn(headers, ['invoice', 'inv', 'document', 'inv ref']),
-      date: this.findColumn(headers, ['date', 'invoice date', 'inv date']),
-      amount: this.findColumn(headers, ['amount', 'invoice amount', 'total']),
-      discount: this.findColumn(headers, ['discount', 'discount $', 'disc']),
-      paid: this.findColumn(headers, ['paid', 'paid amount', 'payment'])
-    };
-
-    // Check for payment metadata in first few rows
-    for (let i = 0; i < Math.min(headerRow, data.length); i++) {
-      const row = data[i];
+    // Check for payment metadata in the rows above the table
+    const sheetPayment = { paymentNumber: '', paymentDate: '', provenance: {} };
+    for (let i = 0; i < headerRow; i++) {
+      const row = data[i] || [];
       const rowStr = row.join(' ').toLowerCase();
-      
+
       if (rowStr.includes('payment') && row.length >= 2) {
-        result.paymentNumber = String(row[1] || '');
+        sheetPayment.paymentNumber = String(row[1] || '');
+        sheetPayment.provenance.paymentNumber = at('"payment" row above the table', CONFIDENCE.HEURISTIC, i);
       }
       if (rowStr.includes('date') && row.length >= 2) {
         const dateVal = row[1];
         if (dateVal) {
-          result.paymentDate = this.normalizeDate(dateVal);
+          sheetPayment.paymentDate = this.normalizeDate(dateVal);
+          sheetPayment.provenance.paymentDate = at('"date" row above the table', CONFIDENCE.PATTERN, i);
         }
       }
     }
 
-    // Parse invoice rows
+    // The sheet's currency (a title such as "Amounts in EUR", or a currency column)
+    const currency = detectCurrency(written);
+
+    // Payments by number, in the order they first appear
+    const payments = new Map();
+    const dated = new Set();
+    let key = sheetPayment.paymentNumber;
+
     for (let i = headerRow + 1; i < data.length; i++) {
       const row = data[i];
-      
+
       if (!row || row.length === 0) continue;
-      
-      const invoiceNum = row[colMap.invoice];
-      if (!invoiceNum) continue;
+
+      const number = colMap.paymentNumber >= 0 ? String(row[colMap.paymentNumber] ?? '').trim() : '';
+      if (number) key = number;
+
+      const invoiceNum = String(row[colMap.invoice] ?? '').trim();
+      if (!invoiceNum || /total/i.test(invoiceNum)) continue;
+
+      if (!payments.has(key)) {
+        payments.set(key, {
+          paymentNumber: key,
+          paymentDate: sheetPayment.paymentDate,
+          vendor: '',
+          customer: '',
+          currency,
+          invoices: [],
+          provenance: number
+            ? { ...sheetPayment.provenance, paymentNumber: at('payment number column', CONFIDENCE.TABLE, i) }
+            : { ...sheetPayment.provenance }
+        });
+      }
+      const result = payments.get(key);
+
+      // The first payment date on a payment's rows is its date
+      if (colMap.paymentDate >= 0 && row[colMap.paymentDate] && !dated.has(key)) {
+        dated.add(key);
+        result.paymentDate = this.normalizeDate(row[colMap.paymentDate]);
+        result.provenance.paymentDate = at('payment date column', CONFIDENCE.TABLE, i);
+      }
 
       const invoice = {
-        invoice: String(invoiceNum).trim()
+        invoice: invoiceNum,
+        provenance: at('spreadsheet columns', CONFIDENCE.TABLE, i)
       };
 
       if (colMap.date >= 0 && row[colMap.date]) {
@@ -552,32 +1028,53 @@ class RemittanceParser {
       if (colMap.discount >= 0) {
         invoice.discount = this.parseMoney(row[colMap.discount]);
       }
-      
+
+      const rowCurrency = detectCurrency(written[i] || row);
+      if (rowCurrency) invoice.currency = rowCurrency;
+
+      invoice.deductions = this.readDeductions(row, colMap);
+      const deducted = invoice.deductions[0]?.amount || 0;
+
       if (colMap.paid >= 0) {
         invoice.paidAmount = this.parseMoney(row[colMap.paid]);
-      } else if (invoice.amount && invoice.discount) {
-        invoice.paidAmount = invoice.amount - invoice.discount;
+      } else if (invoice.amount && (invoice.discount || deducted)) {
+        invoice.paidAmount = invoice.amount - (invoice.discount || 0) - deducted;
       }
 
       result.invoices.push(invoice);
     }
 
-    return result;
+    if (payments.size > 1) {
+      logger.info(`${sheetName ? `Sheet "${sheetName}"` : 'XLSX'}: ${payments.size} payments`);
+    }
+    return Array.from(payments.values());
   }
 
   /**
-   * Parse CSV file
+   * Parse CSV file (any delimiter and encoding - see csv-reader.js)
    */
   async parseCSV(file) {
-    const text = await file.text();
-    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
-    
+    // Currency symbols are read from the cells as written: decimal-comma amounts
+    // come back from readCSV as numbers
+    const { rows, cells: written } = await readCSV(file);
+    const lines = rows.map(row => row.join(' '));
+
+    if (!this.locale.dateOrder) this.locale.dateOrder = dateOrderOf(rows);
+
+    // A layout whose columns the user mapped is read like a spreadsheet
+    if (findSavedMapping(rows, SHEET_HEADER_ROWS)) {
+      const payments = this.parseXLSXData(rows, null, written);
+      return payments.length ? this.firstPayment(payments) : this.unmappedResult(rows);
+    }
+
     const result = {
       paymentNumber: '',
       paymentDate: '',
       vendor: '',
       customer: '',
-      invoices: []
+      currency: detectCurrency(written),
+      invoices: [],
+      provenance: {}
     };
 
     // Check for account number in first few lines
@@ -586,6 +1083,7 @@ class RemittanceParser {
       const accountMatch = line.match(/Account\s+Number[\s:]+(\d+)/i);
       if (accountMatch) {
         result.paymentNumber = accountMatch[1];
+        result.provenance.paymentNumber = fromRow('"Account Number" line', CONFIDENCE.PATTERN, i + 1);
       }
     }
 
@@ -597,13 +1095,14 @@ class RemittanceParser {
       const line = lines[i].toLowerCase();
       if (line.includes('invoice') && (line.includes('amount') || line.includes('payment'))) {
         headerRow = i;
-        headers = this.parseCSVLine(lines[i]).map(h => h.toLowerCase().trim());
+        headers = rows[i].map(h => String(h).toLowerCase().trim());
         break;
       }
     }
 
     if (headerRow === -1) {
       logger.warn('Could not find header row in CSV');
+      result.unmappedTable = this.unmappedResult(rows).unmappedTable;
       return result;
     }
 
@@ -613,18 +1112,21 @@ class RemittanceParser {
       date: this.findColumn(headers, ['invoice date', 'date', 'inv date']),
       amount: this.findColumn(headers, ['invoice amount', 'amount']),
       discount: this.findColumn(headers, ['discount', 'cash discount']),
+      deduction: this.findColumn(headers, DEDUCTION_COLUMNS),
+      reason: this.findColumn(headers, REASON_COLUMNS),
       paid: this.findColumn(headers, ['payment amount', 'paid', 'paid amount']),
       paymentDate: this.findColumn(headers, ['payment date'])
     };
 
     // Parse data rows
     for (let i = headerRow + 1; i < lines.length; i++) {
-      const cells = this.parseCSVLine(lines[i]);
+      const cells = rows[i];
       
       if (cells.length === 0 || !cells[colMap.invoice]) continue;
 
       const invoice = {
-        invoice: String(cells[colMap.invoice]).trim()
+        invoice: String(cells[colMap.invoice]).trim(),
+        provenance: fromRow('CSV columns', CONFIDENCE.TABLE, i + 1)
       };
 
       if (colMap.date >= 0 && cells[colMap.date]) {
@@ -638,50 +1140,41 @@ class RemittanceParser {
       if (colMap.discount >= 0) {
         invoice.discount = this.parseMoney(cells[colMap.discount]);
       }
-      
+
+      invoice.deductions = this.readDeductions(cells, colMap);
+
       if (colMap.paid >= 0) {
         invoice.paidAmount = this.parseMoney(cells[colMap.paid]);
       }
 
+      const rowCurrency = detectCurrency(written[i]);
+      if (rowCurrency) invoice.currency = rowCurrency;
+
       // Use payment date if available
       if (colMap.paymentDate >= 0 && cells[colMap.paymentDate]) {
         result.paymentDate = this.normalizeDate(cells[colMap.paymentDate]);
+        result.provenance.paymentDate = fromRow('"Payment Date" column', CONFIDENCE.TABLE, i + 1);
       }
 
       result.invoices.push(invoice);
     }
 
+    // Headers were found but not the invoice column: let the user map them
+    if (!result.invoices.length) result.unmappedTable = this.unmappedResult(rows).unmappedTable;
+
     return result;
   }
 
   /**
-   * Parse a CSV line handling quoted fields
+   * Read a deduction from the deduction/reason columns of a table row
+   * @returns {Array} Zero or one deduction records
    */
-  parseCSVLine(line) {
-    const cells = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        cells.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    cells.push(current.trim());
-    return cells;
+  readDeductions(cells, colMap) {
+    const amount = colMap.deduction >= 0 ? this.parseMoney(cells[colMap.deduction]) : 0;
+    if (!amount) return [];
+
+    const reason = colMap.reason >= 0 ? String(cells[colMap.reason] ?? '').trim() : '';
+    return [deduction(amount, reason)];
   }
 
   /**
@@ -696,63 +1189,18 @@ class RemittanceParser {
   }
 
   /**
-   * Parse money string to number
+   * Parse money string to number ("1.234,56 €", "(150.00)" - see locale.js)
    */
   parseMoney(value) {
-    if (typeof value === 'number') return value;
-    if (!value) return 0;
-    
-    const str = String(value).replace(/[$,]/g, '').trim();
-    const num = parseFloat(str);
-    
-    return isNaN(num) ? 0 : num;
+    return parseAmount(value);
   }
 
   /**
-   * Normalize date to YYYY-MM-DD format
+   * Normalize date to YYYY-MM-DD format, reading numeric dates in the document's order
    */
   normalizeDate(value) {
-    if (!value) return '';
-    
-    // Handle Excel date numbers
-    if (typeof value === 'number' && value > 40000) {
-      const date = new Date((value - 25569) * 86400 * 1000);
-      return date.toISOString().split('T')[0];
-    }
-
-    const str = String(value).trim();
-    
-    // Try MM/DD/YYYY or MM/DD/YY
-    const mdy = str.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/);
-    if (mdy) {
-      let [_, month, day, year] = mdy;
-      
-      // Handle 2-digit year
-      if (year.length === 2) {
-        year = parseInt(year) > 50 ? '19' + year : '20' + year;
-      }
-      
-      return `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-
-    // Try YYYY-MM-DD
-    const ymd = str.match(/(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})/);
-    if (ymd) {
-      const [_, year, month, day] = ymd;
-      return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-    }
-
-    // Try parsing as date string
-    try {
-      const date = new Date(str);
-      if (!isNaN(date.getTime())) {
-        return date.toISOString().split('T')[0];
-      }
-    } catch (e) {
-      // Ignore
-    }
-
-    return '';
+    if (!this.locale.dateOrder && isAmbiguousDate(value)) this.locale.ambiguous = true;
+    return parseDate(value, { dateOrder: this.locale.dateOrder || this.locale.defaultOrder });
   }
 
   /**
@@ -773,6 +1221,7 @@ class RemittanceParser {
       if (inv.discount) console.log(`    Discount: $${inv.discount.toFixed(2)}`);
       if (inv.paidAmount) console.log(`    Paid: $${inv.paidAmount.toFixed(2)}`);
       if (inv.coopDiscount) console.log(`    Co-op Discount: $${inv.coopDiscount.toFixed(2)}`);
+      (inv.deductions || []).forEach(d => console.log(`    Deduction (${d.reason}): $${d.amount.toFixed(2)}${d.text ? ' - ' + d.text : ''}`));
       if (inv.originalAmount) console.log(`    Original Amount: $${inv.originalAmount.toFixed(2)}`);
       if (inv.notes) console.log(`    Notes: ${inv.notes}`);
     });
@@ -0,0 +1,320 @@
+/**
+ * Remittance Templates
+ * Declarative (JSON) payer layouts that can be built in the UI without writing JavaScript.
+ *
+ * Template shape:
+ *   {
+ *     id: 'tpl_1700000000000',
+ *     name: 'Acme Supply',
+ *     vendor: 'Acme Supply',                 // payer name written to the result
+ *     anchors: ['Acme Supply', 'Remittance'], // all must appear for the template to match
+ *     fields: {
+ *       paymentNumber: { label: 'Check Number' },
+ *       paymentDate:   { label: 'Payment Date' },
+ *       customer:      { label: 'Vendor Name', until: 'Vendor ID' }
+ *     },
+ *     row: { columns: ['invoice', 'date', 'text', 'amount', 'discount', 'deduction', 'paid'] }
+ *   }
+ *
+ * Any field or the row may use `regex` instead of labels/columns for layouts the
+ * simple form can't describe. Field regexes capture the value in group 1; a row
+ * regex captures one group per entry in `columns`.
+ */
+
+import logger from './logger.js';
+import { matchLines } from './pdf-layout.js';
+import { CONFIDENCE, fromMatch } from './provenance.js';
+import { deduction } from './deductions.js';
+import { saveRemittanceTemplates, loadRemittanceTemplates } from './data-persistence.js';
+
+// Registry ids of saved templates are prefixed so they never clash with built-in formats
+export const TEMPLATE_PREFIX = 'template:';
+
+// Value patterns used when a field is described by its label
+const FIELD_VALUE_PATTERNS = {
+  paymentNumber: '([A-Z0-9][A-Z0-9-]*)',
+  paymentDate: '(\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2})',
+  customer: "([A-Za-z0-9&,.'\\- ]+?)"
+};
+
+export const TEMPLATE_FIELDS = Object.keys(FIELD_VALUE_PATTERNS);
+
+// Cell patterns for each invoice-row column token
+const COLUMN_PATTERNS = {
+  invoice: '(?<![\\w\\-\\/])([A-Za-z0-9\\-\\/]*\\d[A-Za-z0-9\\-\\/]*)',
+  date: '(\\d{1,2}[\\/\\-]\\d{1,2}[\\/\\-]\\d{2,4})',
+  text: '(.{0,80}?)',
+  amount: '\\$?(-?[\\d,]+\\.\\d{2})',
+  discount: '\\$?(-?[\\d,]+\\.\\d{2})',
+  deduction: '\\$?(-?[\\d,]+\\.\\d{2})',
+  reason: '(.{0,80}?)',
+  paid: '\\$?(-?[\\d,]+\\.\\d{2})',
+  skip: '(\\S+)'
+};
+
+export const ROW_COLUMNS = Object.keys(COLUMN_PATTERNS);
+
+const escapeRegExp = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the regex source for a header field
+ */
+function fieldSource(name, spec) {
+  if (!spec) return null;
+  if (spec.regex) return spec.regex;
+  if (!spec.label) return null;
+
+  const label = escapeRegExp(spec.label.trim()).replace(/\s+/g, '\\s+');
+  const until = spec.until ? `(?=\\s+${escapeRegExp(spec.until.trim()).replace(/\s+/g, '\\s+')})` : '(?=\\s{2,}|\\n|$)';
+  const value = FIELD_VALUE_PATTERNS[name];
+
+  return name === 'customer'
+    ? `${label}[\\s:#]*${value}${until}`
+    : `${label}[\\s\\S]{0,40}?${value}`;
+}
+
+/**
+ * Build the regex source for an invoice row
+ */
+function rowSource(row) {
+  if (!row) return null;
+  if (row.regex) return row.regex;
+  if (!Array.isArray(row.columns) || row.columns.length === 0) return null;
+
+  return row.columns.map(col => COLUMN_PATTERNS[col]).join('\\s+');
+}
+
+/**
+ * Check a template for problems, returning a list of messages (empty when valid)
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return ['Template must be an object'];
+  }
+  if (!template.name || !String(template.name).trim()) {
+    errors.push('Template needs a name');
+  }
+
+  const anchors = (template.anchors || []).filter(a => String(a).trim());
+  if (anchors.length === 0) {
+    errors.push('Add at least one anchor text that always appears on this payer\'s remittance');
+  }
+
+  for (const name of TEMPLATE_FIELDS) {
+    const source = fieldSource(name, template.fields?.[name]);
+    if (!source) continue;
+    try {
+      new RegExp(source, 'i');
+    } catch (error) {
+      errors.push(`${name}: invalid pattern (${error.message})`);
+    }
+  }
+
+  const row = template.row || {};
+  const columns = row.columns || [];
+  const unknown = columns.filter(col => !COLUMN_PATTERNS[col]);
+  if (unknown.length) {
+    errors.push(`Unknown row column(s): ${unknown.join(', ')}. Use: ${ROW_COLUMNS.join(', ')}`);
+  }
+  if (!columns.includes('invoice')) {
+    errors.push('Invoice row columns must include "invoice"');
+  }
+
+  const source = rowSource(row);
+  if (!source) {
+    errors.push('Describe the invoice row with columns or a regex');
+  } else {
+    try {
+      new RegExp(source, 'g');
+    } catch (error) {
+      errors.push(`Invoice row: invalid pattern (${error.message})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a template into a format plugin for the remittance format registry
+ */
+export function compileTemplate(template) {
+  const errors = validateTemplate(template);
+  if (errors.length) {
+    throw new Error(`Invalid template "${template?.name || template?.id}": ${errors.join('; ')}`);
+  }
+
+  const anchors = template.anchors.map(a => String(a).trim().toLowerCase()).filter(Boolean);
+  const fieldPatterns = {};
+  for (const name of TEMPLATE_FIELDS) {
+    const source = fieldSource(name, template.fields?.[name]);
+    if (source) fieldPatterns[name] = new RegExp(source, 'i');
+  }
+  const rowPattern = rowSource(template.row);
+  const columns = template.row.columns;
+
+  return {
+    id: TEMPLATE_PREFIX + template.id,
+    name: template.name,
+    source: 'template',
+    template,
+
+    detect(text) {
+      const lower = text.toLowerCase();
+      if (!anchors.every(anchor => lower.includes(anchor))) return 0;
+
+      // Anchors matched; field hits raise confidence in the layout
+      const patterns = Object.values(fieldPatterns);
+      const hits = patterns.filter(pattern => pattern.test(text)).length;
+      return 0.75 + (patterns.length ? 0.2 * hits / patterns.length : 0);
+    },
+
+    parse(text, parser, layout = null) {
+      const result = {
+        paymentNumber: '',
+        paymentDate: '',
+        vendor: template.vendor || template.name,
+        customer: '',
+        invoices: [],
+        provenance: {}
+      };
+
+      for (const [name, pattern] of Object.entries(fieldPatterns)) {
+        const match = text.match(pattern);
+        if (!match || match[1] === undefined) continue;
+        const value = match[1].trim();
+        result[name] = name === 'paymentDate' ? parser.normalizeDate(value) : value;
+        result.provenance[name] = fromMatch(`template "${template.name}" ${name}`, CONFIDENCE.LABELED, match);
+      }
+
+      for (const match of matchLines(new RegExp(rowPattern, 'g'), text, layout)) {
+        // Skip empty matches from patterns that can match the empty string
+        if (match[0].length === 0) continue;
+
+        const invoice = {
+          provenance: fromMatch(`template "${template.name}" row`, CONFIDENCE.LABELED, match, 0)
+        };
+        let deducted = 0;
+        let reason = '';
+        columns.forEach((col, idx) => {
+          const value = (match[idx + 1] || '').trim();
+          switch (col) {
+            case 'invoice':
+              invoice.invoice = value;
+              break;
+            case 'date':
+              invoice.date = parser.normalizeDate(value);
+              break;
+            case 'text':
+              if (value) invoice.description = value;
+              break;
+            case 'amount':
+              invoice.amount = parser.parseMoney(value);
+              break;
+            case 'discount':
+              invoice.discount = parser.parseMoney(value);
+              break;
+            case 'deduction':
+              deducted = parser.parseMoney(value);
+              break;
+            case 'reason':
+              reason = value;
+              break;
+            case 'paid':
+              invoice.paidAmount = parser.parseMoney(value);
+              break;
+          }
+        });
+
+        if (!invoice.invoice) continue;
+        if (deducted) invoice.deductions = [deduction(deducted, reason)];
+        if (invoice.paidAmount === undefined && invoice.amount !== undefined) {
+          invoice.paidAmount = invoice.amount - (invoice.discount || 0) - deducted;
+        }
+        result.invoices.push(invoice);
+      }
+
+      return result;
+    }
+  };
+}
+
+/**
+ * Run a template against document text without saving it
+ */
+export function testTemplate(template, text, parser) {
+  const errors = validateTemplate(template);
+  if (errors.length) {
+    return { errors, confidence: 0, result: null };
+  }
+
+  const format = compileTemplate(template);
+  return {
+    errors: [],
+    confidence: format.detect(text),
+    result: format.parse(text, parser)
+  };
+}
+
+/**
+ * Saved templates
+ */
+export function getTemplates() {
+  return loadRemittanceTemplates();
+}
+
+export function saveTemplate(template) {
+  const errors = validateTemplate(template);
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const templates = getTemplates();
+  const saved = { ...template, id: template.id || `tpl_${Date.now()}`, updatedAt: new Date().toISOString() };
+  const idx = templates.findIndex(t => t.id === saved.id);
+
+  if (idx >= 0) {
+    templates[idx] = saved;
+  } else {
+    templates.push(saved);
+  }
+
+  saveRemittanceTemplates(templates);
+  logger.info(`Saved remittance template "${saved.name}"`);
+  return saved;
+}
+
+export function deleteTemplate(id) {
+  saveRemittanceTemplates(getTemplates().filter(t => t.id !== id));
+  logger.info(`Deleted remittance template ${id}`);
+}
+
+/**
+ * Sync saved templates into a format registry, replacing previously registered ones
+ */
+export function applySavedTemplates(registry) {
+  registry.list()
+    .filter(format => format.source === 'template')
+    .forEach(format => registry.unregister(format.id));
+
+  for (const template of getTemplates()) {
+    try {
+      registry.register(compileTemplate(template));
+    } catch (error) {
+      logger.warn('Skipping saved template:', error.message);
+    }
+  }
+}
+
+export default {
+  validateTemplate,
+  compileTemplate,
+  testTemplate,
+  getTemplates,
+  saveTemplate,
+  deleteTemplate,
+  applySavedTemplates,
+  TEMPLATE_FIELDS,
+  ROW_COLUMNS
+};
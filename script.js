@@ -4,6 +4,22 @@ import logger from './logger.js';
 import { showError, validateFile } from './error-handler.js';
 import ui from './ui-utils.js';
 import dataPersistence, { saveRemittanceState, loadRemittanceState, saveRemittanceRecord } from './data-persistence.js';
+import { initTemplateBuilder } from './template-builder.js';
+import { provenance, isLowConfidence, countLowConfidence, describe } from './provenance.js';
+import DocumentPreview from './document-preview.js';
+import ImportQueue, { STATUS, STATUS_LABELS, readDroppedFiles } from './import-queue.js';
+import { readLedgerFile, getLedger, saveLedger, clearLedger, applyLedger, confirmMatch, reconcile, summarize, LEDGER_STATUS } from './ar-ledger.js';
+import { InvoiceMatcher, getMatchRules } from './invoice-matcher.js';
+import { initMatchRulesDialog } from './match-rules-dialog.js';
+import { initColumnMappingDialog, openColumnMappingDialog } from './column-mapping-dialog.js';
+import { parseAmount, parseDate } from './locale.js';
+import { DEDUCTION_REASONS, REASON_LABELS, deduction, totalDeductions, deductionLines } from './deductions.js';
+import { remainingBalance, rowRate, paymentTotals, validatePayment, TOLERANCE } from './apply-payment.js';
+import {
+  CURRENCIES, parseRate, foreignCurrencies, applyRates, readRateFile, getRateTable, saveRateTable, clearRateTable
+} from './currency.js';
+import { assignRoles, getCompanyProfile, ourName } from './company-profile.js';
+import { initCompanyProfileDialog } from './company-profile-dialog.js';
 
 // Make logger and ui available globally for parser
 window.logger = logger;
@@ -15,16 +31,21 @@ const rowsEl = $('#rows');
 const statusEl = $('#status');
 const toastEl = $('#toast');
 
-const fmtMoney = (n, cur = ($('#currency').value || 'USD')) => {
+// Currency assumed for documents that don't state one
+const assumedCurrency = () => $('#currency').value || 'USD';
+
+// Currency of the payment in the form: as read from the document, else the assumed one
+const paymentCurrency = () => state.currency || assumedCurrency();
+
+// Amounts are in the payment currency unless another is given (an invoice row's)
+const fmtMoney = (n, cur) => {
   try {
-    return new Intl.NumberFormat('en-US', { style: 'currency', currency: cur }).format(Number(n || 0));
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: cur || paymentCurrency() }).format(Number(n || 0));
   } catch (e) {
     return `$${Number(n || 0).toFixed(2)}`;
   }
 };
 
-const parseMoney = (s) => Number(String(s || '').replace(/[^0-9.-]/g, '') || 0);
-
 const escapeHTML = (str) =>
   String(str ?? '')
     .replace(/&/g, '&amp;')
@@ -39,31 +60,67 @@ const toast = (msg, type = 'info', duration = 3000) => {
 
 const statusDefault = 'Review before you save.';
 
+// Form wording for a payment received from a customer (AR) and one sent to a vendor (AP)
+const LAYOUTS = {
+  AR: { title: 'Receive Payment', party: 'Customer', amount: 'Amount Received', account: 'Deposit To', rows: 'Outstanding Transactions', ours: 'Paid to' },
+  AP: { title: 'Pay Bills', party: 'Vendor', amount: 'Amount Paid', account: 'Paid From', rows: 'Bills Paid', ours: 'Paid by' }
+};
+
+// The other party of a payment: the customer who paid us, or the vendor we paid
+const partyRole = (payment) => (payment.direction === 'AP' ? 'payee' : 'payer');
+const partyOf = (payment) => payment[partyRole(payment)] || '';
+const layoutOf = (payment) => LAYOUTS[payment.direction] || LAYOUTS.AR;
+
 // State management
 const initialState = () => ({
+  direction: 'AR', // AR: received from a customer, AP: sent to a vendor (see company-profile.js)
   payer: '',
-  vendor: '',
+  payee: '',
   date: '',
   amountReceived: 0,
+  method: '', // ACH, Check, Wire... when the file states it
+  currency: '', // ISO code the payment was made in; '' for the assumed currency
+  fxRates: {}, // Payment currency per unit of each other invoice currency (see currency.js)
   invoices: [],
-  suggestions: []
+  suggestions: [],
+  provenance: {} // Extraction confidence for payer/payee/date/amountReceived (see provenance.js)
 });
 
 let state = initialState();
 
+// Rows whose deduction editor is open (by index)
+const openDeductions = new Set();
+
+// Text of the most recently parsed document (used by the template builder)
+let lastDocumentText = '';
+
+// Preview pane showing the uploaded document with each value's source outlined
+const preview = new DocumentPreview($('#previewPages'));
+let previewHidden = false;
+
+function setPreviewVisible(visible) {
+  $('#preview').classList.toggle('hidden', !visible);
+  $('.app').classList.toggle('with-preview', visible);
+  $('#btnPreview').textContent = visible ? 'Hide document' : 'Show document';
+}
+
 function resetState() {
   state = initialState();
+  openDeductions.clear();
+  activeEntryId = null;
   render();
+  renderQueue();
 }
 
 function render() {
   logger.debug('Rendering state with', state.invoices.length, 'invoices');
 
-  const payerInput = $('#payer');
+  const partyInput = $('#party');
   const paydateInput = $('#paydate');
   const amountInput = $('#amountReceived');
 
-  payerInput.value = state.payer || '';
+  renderDirection();
+  partyInput.value = partyOf(state);
 
   if (state.date) {
     paydateInput.value = state.date;
@@ -72,109 +129,358 @@ function render() {
   const formattedAmount = state.amountReceived ? fmtMoney(state.amountReceived) : '';
   amountInput.value = formattedAmount;
 
+  // Flag values that came from weak patterns so they get reviewed
+  markConfidence(partyInput, state.provenance?.[partyRole(state)]);
+  markConfidence(paydateInput, state.provenance?.date);
+  markConfidence(amountInput, state.provenance?.amountReceived);
+
+  $('#method').value = state.method || '';
+
   $('#displayAmount').textContent = state.amountReceived ? fmtMoney(state.amountReceived) : '$0.00';
-  $('#currencyDisplay').textContent = $('#currency').value || 'USD';
+  $('#currencyDisplay').textContent = paymentCurrency();
+  renderCurrencies();
 
   rowsEl.innerHTML = '';
-  let appliedSum = 0;
 
   state.invoices.forEach((row, idx) => {
     const appliedVal = Number(row.applied || 0);
-    appliedSum += appliedVal;
+    const discountVal = Number(row.discount || 0);
+    const deducted = totalDeductions(row);
     const originalAmount = row.original ?? row.open ?? appliedVal;
-    const openAmount = row.open ?? Math.max(0, originalAmount - appliedVal);
+    const remaining = remainingBalance(row);
     const metaParts = [];
     if (row.description) metaParts.push(`<div class="invoice-desc">${escapeHTML(row.description)}</div>`);
-    if (typeof row.discount === 'number' && row.discount) {
-      metaParts.push(`<div class="invoice-discount">Discount: ${fmtMoney(row.discount)}</div>`);
+    (row.aliases || []).forEach(alias => {
+      metaParts.push(`<div class="invoice-match">Also listed as ${escapeHTML(alias.invoice)} (${escapeHTML(alias.reason)})</div>`);
+    });
+    if (row.sameAs) {
+      metaParts.push(`<div class="invoice-match">Same invoice as ${escapeHTML(row.sameAs.invoice)}? (${escapeHTML(row.sameAs.reason)})
+        <button type="button" class="link-btn row-merge" data-idx="${idx}">Merge</button>
+        <button type="button" class="link-btn row-keep" data-idx="${idx}">Keep both</button></div>`);
     }
+    if (row.ledger?.matched && row.ledger.invoice !== row.invoice) {
+      metaParts.push(`<div class="invoice-match">Ledger invoice ${escapeHTML(row.ledger.invoice)} (${escapeHTML(row.ledger.reason)})</div>`);
+    }
+    if (row.ledger?.candidates) metaParts.push(matchSelect(row.ledger.candidates, idx));
 
+    const lowConfidence = isLowConfidence(row.provenance);
+    const foreign = rowRate(row, state) !== 1;
+    const check = reconcile(row);
     const tr = document.createElement('tr');
+    tr.dataset.idx = idx;
+    tr.classList.toggle('low-confidence', lowConfidence);
+    if (check && check.status !== LEDGER_STATUS.MATCHED) tr.classList.add(`ledger-${check.status}`);
+    tr.classList.toggle('has-source', !!row.provenance?.source?.boxes);
+    if (row.provenance) tr.title = describe(row.provenance);
     tr.innerHTML = `
       <td><input type="checkbox" ${appliedVal > 0 ? 'checked' : ''} data-idx="${idx}" class="chk"/></td>
       <td>
         <div class="invoice-cell">
-          <div class="invoice-number">${escapeHTML(row.invoice || '')}</div>
+          <div class="invoice-number">${escapeHTML(row.invoice || '')}${foreign ? `<span class="currency-badge">${escapeHTML(row.currency)}</span>` : ''}${lowConfidence ? '<span class="confidence-badge">Review</span>' : ''}${ledgerBadge(check)}</div>
           ${metaParts.length ? `<div class="invoice-meta">${metaParts.join('')}</div>` : ''}
         </div>
       </td>
       <td>
         <div class="invoice-date">${escapeHTML(row.date || '')}</div>
       </td>
-      <td>${fmtMoney(originalAmount)}</td>
-      <td>${fmtMoney(openAmount)}</td>
+      <td>${fmtMoney(originalAmount, row.currency)}</td>
+      <td>${fmtMoney(row.open || 0, row.currency)}</td>
+      <td>
+        <input data-idx="${idx}" class="disc amount-input" value="${discountVal ? fmtMoney(discountVal, row.currency) : ''}"/>
+      </td>
+      <td>${deductionCell(row, deducted, idx)}</td>
       <td>
-        <input data-idx="${idx}" class="amt amount-input" value="${appliedVal ? fmtMoney(appliedVal) : ''}"/>
-      </td>`;
+        <input data-idx="${idx}" class="amt amount-input" value="${appliedVal ? fmtMoney(appliedVal, row.currency) : ''}"/>
+      </td>
+      <td class="${remaining < -TOLERANCE ? 'remaining-over' : ''}">${fmtMoney(remaining, row.currency)}</td>`;
     rowsEl.appendChild(tr);
+    if (openDeductions.has(idx)) rowsEl.appendChild(deductionEditor(row, idx));
   });
 
-  $('#appliedTotal').textContent = fmtMoney(appliedSum);
-  const credit = Math.max(0, (state.amountReceived || 0) - appliedSum);
-  $('#applyTotal').textContent = fmtMoney(appliedSum);
-  $('#creditTotal').textContent = fmtMoney(credit);
+  // Outline where each value came from in the preview
+  preview.setHighlights([
+    { key: 'party', label: layoutOf(state).party, record: state.provenance?.[partyRole(state)] },
+    { key: 'date', label: 'Payment date', record: state.provenance?.date },
+    ...state.invoices.map((row, idx) => ({ key: `row:${idx}`, label: `Invoice ${row.invoice}`, record: row.provenance }))
+  ]);
+
+  // Column totals are in the invoices' currency (the payment's when they're mixed)
+  const totals = paymentTotals(state);
+  const invoiceCurrency = invoiceCurrencyOf(state);
+  const fmtInvoice = (n) => fmtMoney(n, invoiceCurrency);
+  $('#openTotal').textContent = fmtInvoice(totals.open);
+  $('#discountTotal').textContent = fmtInvoice(totals.discounts);
+  $('#deductionTotal').textContent = fmtInvoice(totals.deductions);
+  $('#appliedTotal').textContent = fmtInvoice(totals.applied);
+  $('#remainingTotal').textContent = fmtInvoice(totals.remaining);
+
+  $('#applyTotal').textContent = fmtInvoice(totals.applied);
+  $('#discountSummary').textContent = fmtInvoice(totals.discounts);
+  $('#deductionSummary').textContent = fmtInvoice(totals.deductions);
+  $('#creditTotal').textContent = fmtMoney(totals.unapplied);
+  $('#creditTotal').closest('.status-item').classList.toggle('warning', totals.unapplied < -TOLERANCE);
+  renderFxTotals(totals, invoiceCurrency);
+  renderReconcileStatus();
 
   // Auto-save state to localStorage
   saveRemittanceState(state);
 
-  logger.debug('Render complete - Applied:', appliedSum, 'Credit:', credit);
+  logger.debug('Render complete - Applied:', totals.applied, 'Unapplied:', totals.unapplied);
+}
+
+/**
+ * Lay the form out for a payment received (AR) or sent (AP), with our side shown
+ * under the other party
+ */
+function renderDirection() {
+  const layout = layoutOf(state);
+  const ours = state.direction === 'AP' ? state.payer : state.payee;
+
+  $('#direction').value = state.direction === 'AP' ? 'AP' : 'AR';
+  $('#reportTitle').textContent = layout.title;
+  $('#amountLabel').textContent = layout.amount;
+  $('#partyTitle').textContent = layout.party;
+  $('#party').placeholder = `${layout.party} name`;
+  $('#ourParty').textContent = `${layout.ours} ${ours || 'your company (set up your company profile)'}`;
+  $('#accountLabel').textContent = layout.account;
+  $('#rowsTitle').textContent = layout.rows;
+}
+
+/**
+ * The currency all invoice rows are in; the payment currency when they're mixed
+ */
+function invoiceCurrencyOf(payment) {
+  const currencies = new Set(payment.invoices.map(row => row.currency || paymentCurrency()));
+  return currencies.size === 1 ? [...currencies][0] : paymentCurrency();
+}
+
+/**
+ * Payment and invoice currency selects, and an exchange rate input for each invoice
+ * currency that isn't the payment's
+ */
+function renderCurrencies() {
+  const options = (selected, extra = '') => extra + CURRENCIES
+    .map(code => `<option value="${code}" ${code === selected ? 'selected' : ''}>${code}</option>`)
+    .join('');
+
+  const invoiceCurrencies = new Set(state.invoices.map(row => row.currency || paymentCurrency()));
+  $('#payCurrency').innerHTML = options(paymentCurrency());
+  $('#invoiceCurrency').innerHTML = invoiceCurrencies.size > 1
+    ? options('', '<option value="" selected disabled>Mixed</option>')
+    : options(invoiceCurrencyOf(state));
+
+  const box = $('#fxRates');
+  const currencies = foreignCurrencies(state);
+  box.classList.toggle('hidden', !currencies.length);
+  box.innerHTML = currencies.map(code => `
+    <label class="fx-rate">1 ${code} =
+      <input class="fx-rate-input" data-currency="${code}" value="${state.fxRates?.[code] || ''}" placeholder="Exchange rate"/>
+      ${escapeHTML(state.currency)}
+    </label>`).join('');
 }
 
-function upsertInvoice(partial) {
+/**
+ * Cash applied and unapplied in both currencies, and the realized FX difference,
+ * when invoices are in another currency than the payment
+ */
+function renderFxTotals(totals, invoiceCurrency) {
+  const fx = totals.fx;
+  $('#fxStatus').classList.toggle('hidden', !fx);
+  if (!fx) return;
+
+  const inBoth = (invoiceAmount, paymentAmount) => (invoiceCurrency !== paymentCurrency()
+    ? `${fmtMoney(invoiceAmount, invoiceCurrency)} = ${fmtMoney(paymentAmount)}`
+    : fmtMoney(paymentAmount));
+
+  $('#applyTotal').textContent = inBoth(totals.applied, fx.applied);
+  if (fx.invoiceUnapplied !== null) $('#creditTotal').textContent = inBoth(fx.invoiceUnapplied, fx.unapplied);
+
+  // Against the rates on the invoice dates (from the rate table)
+  const fxTotal = $('#fxTotal');
+  fxTotal.textContent = fx.missingRates.length ? 'Rate needed' : fmtMoney(fx.realized);
+  fxTotal.title = fx.unbooked
+    ? `${fx.unbooked} invoice(s) have no rate on their invoice date - import a rate table that covers them`
+    : 'Cash applied at the payment rate less the same amounts at the invoice-date rates';
+}
+
+/**
+ * One line under the totals saying whether cash + discounts + deductions
+ * account for the invoices being paid
+ */
+function renderReconcileStatus() {
+  const el = $('#reconcileStatus');
+  const issues = validatePayment(state, (n, cur) => fmtMoney(n, cur));
+  el.classList.toggle('warning', issues.length > 0);
+  el.title = '';
+
+  if (!state.invoices.length) {
+    el.textContent = '';
+  } else if (!issues.length) {
+    el.textContent = 'Cash, discounts and deductions reconcile to the invoices paid.';
+  } else {
+    el.textContent = issues.length === 1 ? issues[0].message : `${issues[0].message} (+${issues.length - 1} more)`;
+    el.title = issues.map(issue => issue.message).join('\n');
+  }
+}
+
+/**
+ * Deduction total and reasons for a row, with a toggle for the editor
+ */
+function deductionCell(row, deducted, idx) {
+  const reasons = [...new Set((row.deductions || []).map(d => REASON_LABELS[d.reason]))].join(', ');
+  return `
+    <button type="button" class="link-btn deduction-toggle" data-idx="${idx}">${deducted ? fmtMoney(deducted, row.currency) : 'Add'}</button>
+    ${reasons ? `<div class="deduction-reasons">${escapeHTML(reasons)}</div>` : ''}`;
+}
+
+/**
+ * Editor row listing a row's deductions (amount, reason code, payer's note)
+ */
+function deductionEditor(row, idx) {
+  const reasonOptions = (selected) => Object.entries(REASON_LABELS)
+    .map(([code, label]) => `<option value="${code}" ${code === selected ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
+  const lines = (row.deductions || []).map((d, di) => `
+    <div class="deduction-line">
+      <input class="ded-amount" data-idx="${idx}" data-d="${di}" value="${d.amount ? fmtMoney(d.amount, row.currency) : ''}" placeholder="Amount"/>
+      <select class="ded-reason" data-idx="${idx}" data-d="${di}">${reasonOptions(d.reason)}</select>
+      <input class="ded-text" data-idx="${idx}" data-d="${di}" value="${escapeHTML(d.text)}" placeholder="Payer's note or dispute details"/>
+      <button type="button" class="btn ded-remove" data-idx="${idx}" data-d="${di}">Remove</button>
+    </div>`);
+
+  const tr = document.createElement('tr');
+  tr.className = 'deduction-editor';
+  tr.innerHTML = `
+    <td></td>
+    <td colspan="8">
+      ${lines.join('') || '<div class="deduction-empty">No deductions on this invoice.</div>'}
+      <button type="button" class="btn ded-add" data-idx="${idx}">+ Add deduction</button>
+    </td>`;
+  return tr;
+}
+
+/**
+ * Badge for rows that don't reconcile with the AR ledger
+ */
+function ledgerBadge(check) {
+  switch (check?.status) {
+    case LEDGER_STATUS.UNKNOWN:
+      return '<span class="ledger-badge">Not in ledger</span>';
+    case LEDGER_STATUS.AMBIGUOUS:
+      return '<span class="ledger-badge">Confirm match</span>';
+    case LEDGER_STATUS.SHORT:
+      return `<span class="ledger-badge">Short ${fmtMoney(-check.difference)}</span>`;
+    case LEDGER_STATUS.OVER:
+      return `<span class="ledger-badge">Over ${fmtMoney(check.difference)}</span>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Picker for a row whose ledger match needs confirming
+ */
+function matchSelect(candidates, idx) {
+  const options = candidates.map(c =>
+    `<option value="${escapeHTML(c.invoice)}">${escapeHTML(c.invoice)} - ${escapeHTML(c.reason)}</option>`
+  );
+  return `
+    <select class="match-select" data-idx="${idx}">
+      <option value="" selected disabled>Confirm ledger match…</option>
+      ${options.join('')}
+      <option value="none">Not in ledger</option>
+    </select>`;
+}
+
+/**
+ * Describe ledger problems in a list of rows, e.g. "1 not in ledger, 2 short-paid"
+ */
+function ledgerSummary(rows) {
+  const counts = summarize(rows);
+  return [
+    counts.ambiguous && `${counts.ambiguous} to confirm`,
+    counts.unknown && `${counts.unknown} not in ledger`,
+    counts.short && `${counts.short} short-paid`,
+    counts.over && `${counts.over} overpaid`
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Highlight an input whose value was extracted with low confidence
+ */
+function markConfidence(el, record) {
+  el.classList.toggle('low-confidence', isLowConfidence(record));
+  el.title = record ? describe(record) : '';
+}
+
+function upsertInvoice(partial, target = state) {
   const id = partial.invoice?.toString().trim();
   if (!id) return;
   const normalized = {
     invoice: id,
-    applied: Number.isFinite(partial.applied) ? partial.applied : parseMoney(partial.applied),
-    open: Number.isFinite(partial.open) ? partial.open : parseMoney(partial.open),
+    applied: Number.isFinite(partial.applied) ? partial.applied : parseAmount(partial.applied),
+    open: Number.isFinite(partial.open) ? partial.open : parseAmount(partial.open),
     original: Number.isFinite(partial.original) ? partial.original : undefined,
-    date: partial.date ? normalizeDate(partial.date) : ''
+    date: partial.date ? parseDate(partial.date) : ''
   };
-  if ('discount' in partial) normalized.discount = Number.isFinite(partial.discount) ? partial.discount : parseMoney(partial.discount);
+  if ('discount' in partial) normalized.discount = Number.isFinite(partial.discount) ? partial.discount : parseAmount(partial.discount);
   if (partial.description) normalized.description = partial.description;
+  if (partial.currency) normalized.currency = partial.currency;
+  if (partial.provenance) normalized.provenance = partial.provenance;
+  if (partial.deductions?.length) normalized.deductions = partial.deductions;
 
   if (!normalized.original && (normalized.open || normalized.applied)) {
     normalized.original = Math.max(normalized.open || 0, normalized.applied || 0);
   }
   if (!normalized.open && normalized.applied) normalized.open = normalized.applied;
 
-  const existing = state.invoices.find(r => r.invoice === id);
+  const existing = target.invoices.find(r => r.invoice === id);
   if (existing) {
     Object.assign(existing, normalized);
   } else {
-    state.invoices.push({
+    // The same invoice printed differently ("INV-0042" and "42") stays a row of its own
+    // until the user merges it: both rows may carry cash
+    const duplicate = new InvoiceMatcher(target.invoices, getMatchRules(partyOf(target))).match(id, { sameInvoice: true });
+    const sameAs = duplicate && !duplicate.ambiguous ? { invoice: duplicate.entry.invoice, reason: duplicate.reason } : undefined;
+    target.invoices.push({
       invoice: id,
       open: normalized.open ?? normalized.applied ?? 0,
       applied: normalized.applied ?? 0,
       original: normalized.original ?? normalized.open ?? normalized.applied ?? 0,
       discount: normalized.discount,
       description: normalized.description,
-      date: normalized.date
+      date: normalized.date,
+      currency: normalized.currency,
+      deductions: normalized.deductions || [],
+      provenance: normalized.provenance,
+      sameAs
     });
   }
 }
 
-function normalizeDate(v) {
-  if (!v) return '';
-  if (v instanceof Date && !isNaN(v)) return v.toISOString().slice(0, 10);
-  const s = String(v).trim();
-
-  const mdy = s.match(/(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})/);
-  if (mdy) {
-    const [_, m, d, y] = mdy;
-    const yyyy = y.length === 2 ? (Number(y) > 50 ? '19' + y : '20' + y.padStart(2, '0')) : y;
-    return `${String(yyyy).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+/**
+ * Merge a row into the row it was suggested to duplicate (`sameAs`): cash, discount
+ * and deductions add up, and its number is kept as an alias
+ */
+function mergeInvoiceRow(idx) {
+  const row = state.invoices[idx];
+  const into = state.invoices.find(r => r !== row && r.invoice === row.sameAs?.invoice);
+  if (!into) {
+    delete row.sameAs;
+    return;
   }
 
-  const ymd = s.match(/(\d{4})[\-\/.](\d{1,2})[\-\/.](\d{1,2})/);
-  if (ymd) {
-    const [_, y, m, d] = ymd;
-    return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-  }
+  logger.info(`Invoice ${row.invoice} merged into ${into.invoice}: ${row.sameAs.reason}`);
+  into.applied = Math.round(((into.applied || 0) + (row.applied || 0)) * 100) / 100;
+  if (row.discount || into.discount) into.discount = Math.round(((into.discount || 0) + (row.discount || 0)) * 100) / 100;
+  into.deductions = [...(into.deductions || []), ...(row.deductions || [])];
+  into.open = Math.max(into.open || 0, row.open || 0);
+  into.original = Math.max(into.original || 0, row.original || 0);
+  into.aliases = [...(into.aliases || []), { invoice: row.invoice, reason: row.sameAs.reason }];
 
-  const long = new Date(s);
-  if (!isNaN(long)) return long.toISOString().slice(0, 10);
-  return '';
+  state.invoices.splice(idx, 1);
+  openDeductions.clear();
 }
 
 // Global updateStatus function for parser to call
@@ -188,7 +494,7 @@ function updateStatus(msg) {
 
 // Data validation functions
 function validateAmount(amount) {
-  const num = parseMoney(amount);
+  const num = parseAmount(amount);
   if (isNaN(num) || num < 0) {
     return { valid: false, message: 'Amount must be a positive number' };
   }
@@ -222,15 +528,15 @@ function validateDate(dateStr) {
   return { valid: true };
 }
 
-function validateCustomerName(name) {
+function validatePartyName(name, label = 'Customer') {
   if (!name || name.trim().length === 0) {
-    return { valid: false, message: 'Customer name is required' };
+    return { valid: false, message: `${label} name is required` };
   }
   if (name.length < 2) {
-    return { valid: false, message: 'Customer name is too short' };
+    return { valid: false, message: `${label} name is too short` };
   }
   if (name.length > 200) {
-    return { valid: false, message: 'Customer name is too long' };
+    return { valid: false, message: `${label} name is too long` };
   }
   return { valid: true };
 }
@@ -251,46 +557,88 @@ function exportCSV() {
     return;
   }
 
-  const header = ['Customer', 'PaymentDate', 'Invoice', 'DueDate', 'AmountApplied', 'Description', 'Discount', 'OpenBalance'];
+  const header = [layoutOf(state).party, 'PaymentDate', 'Invoice', 'DueDate', 'AmountApplied', 'Description', 'Discount', 'Deductions', 'OpenBalance', 'Remaining', 'Currency', 'PaymentCurrency', 'ExchangeRate', 'Direction', 'Payer', 'Payee'];
   const rows = [header.join(',')];
 
   state.invoices.forEach(row => {
     rows.push([
-      csvEscape(state.payer || ''),
+      csvEscape(partyOf(state)),
       csvEscape(state.date || ''),
       csvEscape(row.invoice || ''),
       csvEscape(row.date || ''),
       csvEscape(Number(row.applied || 0).toFixed(2)),
       csvEscape(row.description || ''),
       csvEscape(Number(row.discount || 0).toFixed(2)),
-      csvEscape(Number(row.open || 0).toFixed(2))
+      csvEscape(totalDeductions(row).toFixed(2)),
+      csvEscape(Number(row.open || 0).toFixed(2)),
+      csvEscape(remainingBalance(row).toFixed(2)),
+      csvEscape(row.currency || paymentCurrency()),
+      csvEscape(paymentCurrency()),
+      csvEscape(rowRate(row, state) ?? ''),
+      csvEscape(state.direction === 'AP' ? 'AP' : 'AR'),
+      csvEscape(state.payer || ''),
+      csvEscape(state.payee || '')
     ].join(','));
   });
 
+  downloadCSV(rows, `remittance_capture_${Date.now()}.csv`);
+  toast('Exported CSV');
+}
+
+/**
+ * One line per deduction, for the collections team to dispute
+ */
+function exportDeductionsCSV() {
+  const lines = deductionLines(state.invoices);
+  if (!lines.length) {
+    toast('No deductions on this payment.');
+    return;
+  }
+
+  const header = [layoutOf(state).party, 'PaymentDate', 'Invoice', 'Amount', 'ReasonCode', 'Reason', 'Notes'];
+  const rows = [header.join(',')];
+
+  lines.forEach(line => {
+    rows.push([
+      csvEscape(partyOf(state)),
+      csvEscape(state.date || ''),
+      csvEscape(line.invoice),
+      csvEscape(line.amount.toFixed(2)),
+      csvEscape(line.reason),
+      csvEscape(REASON_LABELS[line.reason]),
+      csvEscape(line.text)
+    ].join(','));
+  });
+
+  downloadCSV(rows, `remittance_deductions_${Date.now()}.csv`);
+  toast(`Exported ${lines.length} deduction(s)`);
+}
+
+function downloadCSV(rows, filename) {
   const blob = new Blob([rows.join('\n')], { type: 'text/csv;charset=utf-8;' });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
-  link.download = `remittance_capture_${Date.now()}.csv`;
+  link.download = filename;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
   URL.revokeObjectURL(url);
-  toast('Exported CSV');
 }
 
 // Button handlers
 $('#btnExportCSV').onclick = exportCSV;
+$('#btnExportDeductions').onclick = exportDeductionsCSV;
 $('#btnPrint').onclick = () => window.print();
 $('#btnSave').onclick = async () => {
   try {
     // Clear previous validation errors
     ui.clearValidationErrors();
 
-    // Validate customer name
-    const nameValidation = validateCustomerName(state.payer);
+    // Validate the customer (or vendor) name
+    const nameValidation = validatePartyName(partyOf(state), layoutOf(state).party);
     if (!nameValidation.valid) {
-      ui.showValidationError('payer', nameValidation.message);
+      ui.showValidationError('party', nameValidation.message);
       toast(nameValidation.message, 'warning');
       return;
     }
@@ -319,9 +667,19 @@ $('#btnSave').onclick = async () => {
       return;
     }
 
+    // Cash can't be applied twice; invoices left open or overpaid need a second look
+    const issues = validatePayment(state, (n, cur) => fmtMoney(n, cur));
+    const error = issues.find(issue => issue.level === 'error');
+    if (error) {
+      toast(error.message, 'warning');
+      return;
+    }
+    const warnings = issues.map(issue => `- ${issue.message}`).join('\n');
+
     // Confirm save
     const confirmed = await ui.confirm(
-      `Save payment record for ${state.payer}?\nAmount: ${fmtMoney(state.amountReceived)}`,
+      `Save payment record for ${partyOf(state)}?\nAmount: ${fmtMoney(state.amountReceived)}` +
+        (warnings ? `\n\nThese invoices don't reconcile:\n${warnings}` : ''),
       'Record Payment'
     );
 
@@ -337,6 +695,17 @@ $('#btnSave').onclick = async () => {
     toast('Payment recorded successfully!', 'success');
     logger.success('Payment recorded with ID:', recordId);
 
+    // Working through an import queue: move on to the next file that needs attention
+    if (activeEntryId) {
+      queue.markRecorded(activeEntryId);
+      const next = queue.nextOpen(activeEntryId);
+      if (next) {
+        openEntry(next);
+        toast(`Payment recorded. Next: ${next.name}`, 'success');
+        return;
+      }
+    }
+
     // Ask if user wants to clear and start new
     const startNew = await ui.confirm(
       'Payment saved! Start a new payment entry?',
@@ -355,40 +724,152 @@ $('#btnSave').onclick = async () => {
 };
 $('#currency').onchange = () => render();
 
-$('#payer').oninput = e => { state.payer = e.target.value; render(); };
-$('#paydate').oninput = e => { state.date = e.target.value; render(); };
+// The payment currency, and the currency of every invoice row; rates come from the
+// rate table when it has them, else they're typed in
+$('#payCurrency').onchange = e => {
+  state.currency = e.target.value;
+  applyRates(state);
+  render();
+};
+$('#invoiceCurrency').onchange = e => {
+  if (!state.currency) state.currency = paymentCurrency();
+  state.invoices.forEach(row => {
+    row.currency = e.target.value;
+    delete row.bookedRate;
+  });
+  applyRates(state);
+  render();
+};
+$('#fxRates').addEventListener('change', e => {
+  if (!e.target.classList.contains('fx-rate-input')) return;
+  state.fxRates = { ...state.fxRates, [e.target.dataset.currency]: parseRate(e.target.value) };
+  render();
+});
+
+// Editing a field by hand means its extracted value has been reviewed
+const markReviewed = (field) => {
+  if (state.provenance?.[field]) state.provenance[field].reviewed = true;
+};
+
+$('#party').oninput = e => {
+  state[partyRole(state)] = e.target.value;
+  markReviewed(partyRole(state));
+  render();
+};
+
+// Switching between a payment received and one sent keeps the other party, in its new role
+$('#direction').onchange = e => {
+  const party = partyOf(state);
+  const source = state.provenance?.[partyRole(state)];
+  const ours = (state.direction === 'AP' ? state.payer : state.payee) || ourName();
+
+  state.direction = e.target.value;
+  [state.payer, state.payee] = state.direction === 'AP' ? [ours, party] : [party, ours];
+  state.provenance = { ...state.provenance, payer: undefined, payee: undefined, [partyRole(state)]: source };
+  render();
+};
+$('#paydate').oninput = e => { state.date = e.target.value; markReviewed('date'); render(); };
+$('#method').onchange = e => { state.method = e.target.value; };
 $('#amountReceived').oninput = e => {
-  state.amountReceived = parseMoney(e.target.value);
+  state.amountReceived = parseAmount(e.target.value);
+  markReviewed('amountReceived');
   render();
 };
 
 rowsEl.addEventListener('input', (e) => {
   if (e.target.classList.contains('amt')) {
     const idx = Number(e.target.dataset.idx);
-    state.invoices[idx].applied = parseMoney(e.target.value);
+    state.invoices[idx].applied = parseAmount(e.target.value);
+    if (state.invoices[idx].provenance) state.invoices[idx].provenance.reviewed = true;
     render();
   }
 });
 
+// Deduction editor and row merge buttons
+rowsEl.addEventListener('click', (e) => {
+  const btn = e.target.closest('button');
+  if (!btn) return;
+  const idx = Number(btn.dataset.idx);
+  const row = state.invoices[idx];
+
+  if (btn.classList.contains('deduction-toggle')) {
+    if (!openDeductions.delete(idx)) openDeductions.add(idx);
+  } else if (btn.classList.contains('ded-add')) {
+    row.deductions = [...(row.deductions || []), deduction(0, '', DEDUCTION_REASONS.UNKNOWN)];
+  } else if (btn.classList.contains('ded-remove')) {
+    row.deductions.splice(Number(btn.dataset.d), 1);
+  } else if (btn.classList.contains('row-merge')) {
+    mergeInvoiceRow(idx);
+  } else if (btn.classList.contains('row-keep')) {
+    delete row.sameAs;
+  } else {
+    return;
+  }
+  render();
+});
+
+// Clicking an invoice row scrolls the preview to the text it was read from
+rowsEl.addEventListener('click', (e) => {
+  if (e.target.closest('input, select, button')) return;
+  const tr = e.target.closest('tr');
+  if (tr?.dataset.idx !== undefined) preview.focus(`row:${tr.dataset.idx}`);
+});
+
+$('#party').addEventListener('focus', () => preview.focus('party'));
+$('#paydate').addEventListener('focus', () => preview.focus('date'));
+
+$('#btnPreview').onclick = () => {
+  previewHidden = !$('#preview').classList.contains('hidden');
+  setPreviewVisible(!previewHidden);
+};
+
 rowsEl.addEventListener('change', (e) => {
   if (e.target.classList.contains('chk')) {
     const idx = Number(e.target.dataset.idx);
     const r = state.invoices[idx];
-    r.applied = e.target.checked ? (r.open || r.original || 0) : 0;
+    // Cash closes what the discount and deductions leave open
+    const due = (r.open || r.original || 0) - Number(r.discount || 0) - totalDeductions(r);
+    r.applied = e.target.checked ? Math.max(0, Math.round(due * 100) / 100) : 0;
+    render();
+  }
+
+  if (e.target.classList.contains('disc')) {
+    const r = state.invoices[Number(e.target.dataset.idx)];
+    r.discount = Math.abs(parseAmount(e.target.value));
+    if (r.provenance) r.provenance.reviewed = true;
+    render();
+  }
+
+  const dedIdx = e.target.dataset.d;
+  if (dedIdx !== undefined && !e.target.classList.contains('ded-remove')) {
+    const d = state.invoices[Number(e.target.dataset.idx)].deductions[Number(dedIdx)];
+    if (e.target.classList.contains('ded-amount')) d.amount = Math.abs(parseAmount(e.target.value));
+    if (e.target.classList.contains('ded-reason')) d.reason = e.target.value;
+    if (e.target.classList.contains('ded-text')) d.text = e.target.value.trim();
+    render();
+  }
+
+  if (e.target.classList.contains('match-select')) {
+    const row = state.invoices[Number(e.target.dataset.idx)];
+    confirmMatch(row, e.target.value === 'none' ? null : e.target.value);
     render();
   }
 });
 
 $('#btnClear').onclick = () => {
   resetState();
+  preview.clear('Upload a document to preview it here');
   updateStatus(statusDefault);
   toast('Cleared');
 };
 
 $('#btnSample').onclick = () => {
+  activeEntryId = null;
+  openDeductions.clear();
   state = {
+    direction: 'AR',
     payer: 'Expedition Trailers',
-    vendor: 'Summit Manufacturing',
+    payee: 'Summit Manufacturing',
     date: new Date().toISOString().slice(0, 10),
     amountReceived: 4990.08,
     invoices: [
@@ -409,9 +890,11 @@ $('#btnSample').onclick = () => {
         description: 'Balance due on invoice 2085-34'
       }
     ],
-    suggestions: ['Professional Services', 'Software & Subscriptions']
+    suggestions: ['Professional Services', 'Software & Subscriptions'],
+    provenance: {}
   };
   render();
+  renderQueue();
   updateStatus('Sample data loaded. Suggested categories: Professional Services, Software & Subscriptions');
   toast('Sample data loaded');
 };
@@ -439,12 +922,29 @@ pick.onclick = () => fileInput.click();
   })
 );
 
+// Outlook only hands the browser attachment metadata, never the file itself
+const OUTLOOK_DRAG_HELP = '⚠️ Cannot drag files directly from Outlook\n\nPlease:\n' +
+  '1. Drag the message (or the attachment) to your desktop first - Outlook saves messages as .msg files\n' +
+  '2. Then drag that file here or use the file picker button';
+
 drop.addEventListener('drop', async (e) => {
   e.preventDefault();
   e.stopPropagation();
 
   logger.debug('Drop event triggered');
 
+  // Several files or a whole folder go straight to the import queue
+  const dropped = readDroppedFiles(e.dataTransfer);
+  if (dropped.hasFolder || dropped.count > 1) {
+    const files = await dropped.files;
+    if (files.length) {
+      enqueueFiles(files);
+    } else {
+      toast('No files found in the dropped folder', 'warning');
+    }
+    return;
+  }
+
   let file = null;
   let outlookErrorShown = false; // Track if we've shown the Outlook-specific error
 
@@ -492,7 +992,7 @@ drop.addEventListener('drop', async (e) => {
                 // Check for Outlook attachment format
                 if (jsonData.itemType === 'attachment' && jsonData.attachmentFiles) {
                   logger.error('Outlook attachments cannot be accessed directly from drag-and-drop due to browser security restrictions');
-                  toast('⚠️ Cannot drag files directly from Outlook\n\nPlease:\n1. Save the attachment to your computer first\n2. Then drag it here or use the file picker button', 'error', 10000);
+                  toast(OUTLOOK_DRAG_HELP, 'error', 10000);
                   outlookErrorShown = true;
                   resolve();
                   return;
@@ -660,7 +1160,7 @@ drop.addEventListener('drop', async (e) => {
             // Check for Outlook attachment format (shouldn't get here if Strategy 1 worked, but just in case)
             if (jsonData.itemType === 'attachment' && jsonData.attachmentFiles) {
               logger.error('Outlook attachments cannot be accessed directly from drag-and-drop');
-              toast('⚠️ Cannot drag files directly from Outlook\n\nPlease:\n1. Save the attachment to your computer first\n2. Then drag it here or use the file picker button', 'error', 10000);
+              toast(OUTLOOK_DRAG_HELP, 'error', 10000);
               outlookErrorShown = true;
               break; // Exit the loop
             }
@@ -713,7 +1213,9 @@ drop.addEventListener('drop', async (e) => {
         'application/vnd.ms-excel': '.xls',
         'text/csv': '.csv',
         'image/png': '.png',
-        'image/jpeg': '.jpg'
+        'image/jpeg': '.jpg',
+        'message/rfc822': '.eml',
+        'application/vnd.ms-outlook': '.msg'
       };
 
       if (typeMap[file.type]) {
@@ -725,7 +1227,7 @@ drop.addEventListener('drop', async (e) => {
       }
     }
 
-    handleFile(file);
+    enqueueFiles([file]);
   } else {
     logger.error('No file found in drop event');
 
@@ -740,124 +1242,461 @@ drop.addEventListener('drop', async (e) => {
 });
 
 fileInput.onchange = (e) => {
-  const f = e.target.files?.[0];
-  if (f) handleFile(f);
+  const files = Array.from(e.target.files || []);
+  if (files.length) enqueueFiles(files);
+  fileInput.value = ''; // Allow picking the same files again
 };
 
-// Main file handler
-async function handleFile(f) {
-  try {
-    // Validate file first
-    validateFile(f);
+// Shared parser for every queued file
+const parser = new RemittanceParser();
 
-    // Show loading indicator
-    ui.loading.show(`Processing ${f.name}...`);
-    updateStatus(`Processing ${f.name}...`);
+// Batch import: files are parsed one after another, each into its own pending payment
+const queue = new ImportQueue({
+  parse: parseQueueEntry,
+  needsReview: (value) => countLowConfidence(value.result) > 0 || !!value.notice || !!ledgerSummary(value.payment.invoices),
+  onChange: () => renderQueue(),
+  onEntryDone: handleEntryDone
+});
 
-    // Use parser
-    const parser = new RemittanceParser();
+// Queue entry shown in the form (null when the form isn't tied to a queued file)
+let activeEntryId = null;
+// Entry of a single-file upload, which keeps the full-screen progress indicator
+let progressEntryId = null;
 
-    // Parse the file
-    ui.loading.updateProgress(20, 'Reading file...');
-    const result = await parser.parseFile(f);
+/**
+ * Add uploaded/dropped files to the import queue
+ */
+function enqueueFiles(files) {
+  const single = files.length === 1 && !queue.isBusy();
+  if (single) ui.loading.show(`Processing ${files[0].name}...`);
 
-    ui.loading.updateProgress(80, 'Extracting data...');
+  const added = queue.add(files);
+  progressEntryId = single ? added[0].id : null;
 
-    logger.info('Parse result:', result.invoices.length, 'invoices found');
+  if (!single) {
+    updateStatus(`Importing ${files.length} file(s)...`);
+    toast(`Added ${files.length} file(s) to the import queue`);
+  }
+}
 
-    // Validate we got some data
-    if (!result.invoices || result.invoices.length === 0) {
-      throw new Error('No invoice data found in this file');
+/**
+ * Parse one queued file into a pending payment
+ */
+async function parseQueueEntry(entry) {
+  const f = entry.file;
+
+  // Validate file first
+  validateFile(f);
+  updateStatus(`Processing ${f.name}...`);
+
+  // Parse the file, with the sidebar's document type hint
+  ui.loading.updateProgress(20, 'Reading file...');
+  const result = await parser.parseFile(f, { mode: $('#mode').value });
+
+  ui.loading.updateProgress(80, 'Extracting data...');
+  logger.info('Parse result:', result.invoices.length, 'invoices found');
+
+  // An email with several remittance attachments: each one becomes its own payment
+  const others = result.email?.otherRemittances || [];
+  if (others.length) {
+    others.forEach(file => { file.relativePath = `${entry.name}/${file.name}`; });
+    queue.add(others);
+    toast(`${others.length} more remittance attachment(s) in ${f.name} added to the import queue`);
+  }
+
+  // A bank file or workbook holds several payments: each further one is queued as its own entry
+  const payments = [result, ...(result.otherPayments || [])];
+  if (payments.length > 1) {
+    // Date, payer (or check number) and amount tell the payments of a statement apart
+    const label = (r, idx) => [
+      `${entry.name} · ${idx + 1}/${payments.length}`,
+      r.paymentDate,
+      assignRoles(r).counterparty || (r.paymentNumber && `#${r.paymentNumber}`),
+      r.paymentAmount && fmtMoney(r.paymentAmount, r.currency)
+    ].filter(Boolean).join(' · ');
+    entry.name = label(result, 0);
+    queue.addParsed(result.otherPayments.map((r, idx) => ({
+      file: f,
+      name: label(r, idx + 1),
+      value: { result: r, ...paymentFromResult(r) }
+    })));
+    toast(`${payments.length} payments in ${f.name} added to the import queue`);
+  }
+
+  // Validate we got some data (a bank payment without remittance detail is still a payment)
+  if (!result.invoices?.length && !result.paymentAmount) {
+    const error = new Error('No invoice data found in this file');
+    error.result = result; // Keep the text so a template can be built from it
+    throw error;
+  }
+
+  return { result, ...paymentFromResult(result) };
+}
+
+/**
+ * Build the payment state (plus memo/notice) for a parse result
+ */
+function paymentFromResult(result) {
+  const payment = initialState();
+  const fields = result.provenance || {};
+  let memo = '';
+  let notice = '';
+
+  // Received from a customer (AR) or sent to a vendor (AP): the company profile tells
+  // which party is us, else the document type hint and the parties named decide
+  const roles = assignRoles(result);
+  payment.direction = roles.direction;
+  payment.payer = roles.payer;
+  payment.payee = roles.payee;
+  payment.provenance.payer = roles.provenance.payer;
+  payment.provenance.payee = roles.provenance.payee;
+
+  if (roles.direction === 'AP' && !roles.payee) {
+    notice = '⚠️ Please enter the vendor this payment was sent to';
+  } else if (roles.direction === 'AP' && !roles.payer) {
+    notice = `⚠️ Payment sent to ${roles.payee}: set up your company profile so your company is recorded as the payer`;
+  } else if (getCompanyProfile() && !roles.recognized && roles.payer && roles.payee) {
+    notice = `⚠️ Neither ${roles.payer} nor ${roles.payee} is in your company profile - check whether this payment was received or sent`;
+  }
+
+  payment.date = result.paymentDate || '';
+  payment.provenance.date = fields.paymentDate;
+
+  // Bank and EDI files state the amount paid and how; remittance documents only list the rows
+  if (result.paymentAmount) {
+    payment.amountReceived = result.paymentAmount;
+    payment.provenance.amountReceived = fields.paymentAmount;
+  }
+  payment.method = result.paymentMethod || '';
+  if (result.memo) memo = result.memo;
+
+  // Documents that don't name a currency are in the assumed one
+  payment.currency = result.currency || assumedCurrency();
+
+  // Process invoices
+  result.invoices.forEach((inv) => {
+    const invoice = {
+      invoice: inv.invoice,
+      date: inv.date || '',
+      applied: inv.paidAmount || inv.amount || 0,
+      // The payment closes the invoice with cash plus discount plus deductions
+      open: inv.originalAmount || inv.amount || inv.paidAmount || 0,
+      original: inv.originalAmount || inv.amount || 0,
+      currency: inv.currency || payment.currency
+    };
+
+    if (inv.discount) {
+      invoice.discount = inv.discount;
     }
 
-    // Clear existing state
-    state = initialState();
-
-    // Apply payment info
-    // For AP (Accounts Payable) exports like SAP:
-    //   - "customer" field (BP number) = VENDOR receiving payment
-    //   - Payer = whoever ran the report (not in the file, user must fill in)
-    // For AR (Accounts Receivable) exports:
-    //   - "customer" field = CUSTOMER making payment
-    //   - Vendor = us (recipient)
-
-    // Check if this looks like an AP report (has BP number and payment to vendor)
-    const isAccountsPayable = result.customer && !result.vendor;
-
-    if (isAccountsPayable) {
-      // AP report: Leave payer blank (user's company), put BP in memo
-      state.payer = '';  // User needs to fill this in
-      state.vendor = result.customer;  // BP number = vendor receiving payment
-      // Add note about the vendor
-      if (result.customer) {
-        const memoEl = $('#memo');
-        if (memoEl) {
-          memoEl.value = `Payment to vendor: ${result.customer}`;
-        }
-      }
-      // Update status to inform user
-      updateStatus(`⚠️ Please enter who sent this payment (this is an AP report showing payment to ${result.customer})`);
-    } else {
-      // AR report or other: Use whichever fields are available
-      state.payer = result.customer || result.vendor || '';
-      state.vendor = result.vendor || '';
+    if (inv.notes || inv.description) {
+      invoice.description = inv.notes || inv.description;
+    }
+
+    if (inv.deductions?.length) {
+      invoice.deductions = inv.deductions;
     }
 
-    state.date = result.paymentDate || '';
+    if (inv.provenance) {
+      invoice.provenance = inv.provenance;
+    }
 
-    // Process invoices
-    result.invoices.forEach((inv, idx) => {
-      const invoice = {
-        invoice: inv.invoice,
-        date: inv.date || '',
-        applied: inv.paidAmount || inv.amount || 0,
-        open: inv.paidAmount || inv.amount || 0,
-        original: inv.originalAmount || inv.amount || 0
-      };
+    upsertInvoice(invoice, payment);
+  });
 
-      if (inv.discount) {
-        invoice.discount = inv.discount;
-      }
+  // Real original/open amounts come from the AR ledger, when one is loaded
+  if (payment.direction === 'AR') applyLedger(payment.invoices, getMatchRules(payment.payer));
 
-      if (inv.notes || inv.description) {
-        invoice.description = inv.notes || inv.description;
-      }
+  // Rates for invoices in another currency, from the rate table when one is loaded
+  applyRates(payment);
+  const currencies = foreignCurrencies(payment);
+  if (currencies.some(code => !payment.fxRates[code])) {
+    notice = notice || `Invoices are in ${currencies.join(', ')} and the payment in ${payment.currency}: enter the exchange rate`;
+  }
 
-      upsertInvoice(invoice);
-    });
+  // Calculate total amount received (in the payment currency, where the rate is known)
+  if (!payment.amountReceived && payment.invoices.length) {
+    payment.amountReceived = payment.invoices.reduce(
+      (sum, inv) => sum + (inv.applied || 0) * (rowRate(inv, payment) || 1),
+      0
+    );
 
-    // Calculate total amount received
-    if (!state.amountReceived && state.invoices.length) {
-      state.amountReceived = state.invoices.reduce(
-        (sum, inv) => sum + (inv.applied || 0),
-        0
-      );
-    }
+    // A total is only as trustworthy as the weakest row it adds up
+    const rowConfidence = payment.invoices.map(inv => inv.provenance?.confidence ?? 1);
+    payment.provenance.amountReceived = provenance('sum of invoice rows', Math.min(...rowConfidence));
+  }
+
+  return { payment, memo, notice };
+}
+
+/**
+ * A queued file finished parsing (or failed)
+ */
+function handleEntryDone(entry) {
+  const single = entry.id === progressEntryId;
 
+  if (single) {
     ui.loading.updateProgress(100, 'Complete!');
+    ui.loading.hide();
+    progressEntryId = null;
+  }
 
-    render();
+  if (entry.status === STATUS.FAILED) {
+    logger.error('Capture failed:', entry.error);
+    if (single) showError(entry.error, toastEl);
+  } else if (single) {
+    toast('Document captured successfully!', 'success');
+    logger.success('File processed successfully');
+  }
 
-    const summary = `✓ Extracted ${result.invoices.length} invoice(s) from ${result.vendor || 'remittance'}`;
+  // Open the first finished file right away (or the one read again); the rest wait in the list
+  if (!activeEntryId || entry.id === activeEntryId) {
+    openEntry(entry);
+  } else if (!queue.isBusy()) {
+    const counts = queue.counts();
+    updateStatus(`Import finished: ${counts.parsed} parsed, ${counts.review} need review, ${counts.failed} failed`);
+  }
+}
+
+/**
+ * Show a queued file's pending payment in the form
+ */
+function openEntry(entry) {
+  // Keep the memo typed for the file we're leaving
+  const previous = queue.get(activeEntryId);
+  if (previous) previous.memo = $('#memo').value;
+
+  activeEntryId = entry.id;
+  openDeductions.clear();
+  const result = entry.value?.result || entry.error?.result;
+  lastDocumentText = result?.rawText || '';
+
+  // Show the document alongside the form (renders in the background);
+  // for an email, that's the attachment the payment was read from
+  preview.show(result?.email?.attachment || entry.file, parser.pdfjsLib);
+  if (!previewHidden) setPreviewVisible(true);
+
+  // The entry owns its payment state, so edits survive switching between files
+  if (!entry.payment) entry.payment = entry.value?.payment || initialState();
+  if (entry.memo === undefined) entry.memo = entry.value?.memo || '';
+  state = entry.payment;
+  $('#memo').value = entry.memo;
+
+  render();
+  renderQueue();
+
+  if (entry.status === STATUS.FAILED && entry.error.result?.unmappedTable) {
+    // A spreadsheet whose columns weren't recognized: ask which column is which, then read it again
+    updateStatus(`Columns not recognized in ${entry.name}. Map them to read the file, or enter the data manually.`);
+    openColumnMappingDialog(entry.error.result.unmappedTable, {
+      name: entry.file.name,
+      onSave: () => {
+        delete entry.payment;
+        delete entry.memo;
+        queue.retry(entry.id);
+      }
+    });
+  } else if (entry.status === STATUS.FAILED) {
+    updateStatus(`Capture failed for ${entry.name}: ${entry.error.message}. Enter the data manually or build a template.`);
+  } else if (entry.value?.notice) {
+    updateStatus(entry.value.notice);
+  } else {
+    const toReview = Object.values(state.provenance).filter(isLowConfidence).length +
+      state.invoices.filter(inv => isLowConfidence(inv.provenance)).length;
+    const ledgerIssues = ledgerSummary(state.invoices);
+    const source = partyOf(state) ? `${state.direction === 'AP' ? 'paid to' : 'from'} ${partyOf(state)}` : 'from remittance';
+    const summary = `✓ Extracted ${result.invoices.length} invoice(s) ${source}` +
+      (toReview ? ` - ${toReview} highlighted value(s) need review` : '') +
+      (ledgerIssues ? ` - ledger: ${ledgerIssues}` : '');
     updateStatus(summary);
-    toast('Document captured successfully!', 'success');
+  }
+}
 
-    logger.success('File processed successfully');
+function renderQueue() {
+  const box = $('#queue');
+  box.classList.toggle('hidden', queue.entries.length === 0);
+
+  const counts = queue.counts();
+  const pending = counts.queued + counts.parsing;
+  $('#queueSummary').textContent = [
+    pending && `${pending} pending`,
+    counts.review && `${counts.review} to review`,
+    counts.failed && `${counts.failed} failed`,
+    counts.recorded && `${counts.recorded} recorded`
+  ].filter(Boolean).join(' · ');
+
+  const list = $('#queueList');
+  list.innerHTML = '';
+
+  queue.entries.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = `queue-item status-${entry.status}` + (entry.id === activeEntryId ? ' active' : '');
+    li.dataset.id = entry.id;
+    // The memo carries a bank payment's remittance text
+    li.title = entry.error ? entry.error.message : [entry.name, entry.value?.memo].filter(Boolean).join('\n');
+    li.innerHTML = `
+      <span class="queue-name">${escapeHTML(entry.name)}</span>
+      <span class="queue-status">${STATUS_LABELS[entry.status]}</span>`;
+    list.appendChild(li);
+  });
+}
 
+$('#queueList').addEventListener('click', (e) => {
+  const entry = queue.get(e.target.closest('.queue-item')?.dataset.id);
+  if (entry && ![STATUS.QUEUED, STATUS.PARSING].includes(entry.status)) openEntry(entry);
+});
+
+$('#btnQueueNext').onclick = () => {
+  const next = queue.nextOpen(activeEntryId);
+  if (next) {
+    openEntry(next);
+  } else {
+    toast(queue.isBusy() ? 'Remaining files are still being parsed' : 'No more files to review');
+  }
+};
+
+$('#btnQueueClear').onclick = () => {
+  queue.clearRecorded();
+};
+
+// AR ledger: open-invoice aging report used to check remittance rows
+function renderLedgerInfo() {
+  const ledger = getLedger();
+  $('#ledgerInfo').textContent = ledger
+    ? `${ledger.invoices.length} open invoice(s) from ${ledger.source} (${new Date(ledger.importedAt).toLocaleDateString()})`
+    : 'No ledger loaded - open balances are taken from the remittance';
+  $('#btnLedgerClear').disabled = !ledger;
+}
+
+// Re-check the current payment and every pending queued payment against the ledger
+// (after a new ledger or new matching rules); confirmed matches survive unless the ledger is gone
+function reapplyLedger() {
+  const hasLedger = !!getLedger();
+  const payments = new Set([state, ...queue.entries.map(entry => entry.payment || entry.value?.payment)]);
+  payments.forEach(payment => {
+    // The AR ledger holds our customers' invoices, not the bills we pay
+    if (!payment || payment.direction === 'AP') return;
+    payment.invoices.forEach(row => {
+      if (!hasLedger || !row.ledger?.confirmed) delete row.ledger;
+    });
+    applyLedger(payment.invoices, getMatchRules(payment.payer));
+  });
+  render();
+}
+
+$('#btnLedgerImport').onclick = () => $('#ledgerFile').click();
+
+$('#ledgerFile').onchange = async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    validateFile(file);
+    ui.loading.show(`Importing ${file.name}...`);
+    const ledger = saveLedger(await readLedgerFile(file, parser));
+    reapplyLedger();
+    renderLedgerInfo();
+    toast(`Imported ${ledger.invoices.length} open invoice(s)`, 'success');
   } catch (err) {
-    logger.error('Capture failed:', err);
+    logger.error('Ledger import failed:', err);
     showError(err, toastEl);
-    updateStatus('Capture failed. Please try again or enter data manually.');
   } finally {
-    // Always hide loading indicator
     ui.loading.hide();
   }
+};
+
+$('#btnLedgerClear').onclick = async () => {
+  const confirmed = await ui.confirm('Remove the imported AR ledger?', 'Clear ledger');
+  if (!confirmed) return;
+
+  clearLedger();
+  reapplyLedger();
+  renderLedgerInfo();
+  toast('Ledger cleared');
+};
+
+// Company profile: our own names, which tell payments received from payments sent
+function renderCompanyInfo() {
+  const profile = getCompanyProfile();
+  $('#companyInfo').textContent = profile
+    ? `${profile.name}${profile.aliases.length ? ` (+${profile.aliases.length} other name(s))` : ''}`
+    : 'No company profile - payments received and sent are told apart by the document type hint';
+}
+
+// Our side of the current payment and every pending queued payment, where it's blank
+function reapplyProfile() {
+  const name = ourName();
+  const payments = new Set([state, ...queue.entries.map(entry => entry.payment || entry.value?.payment)]);
+  payments.forEach(payment => {
+    const ours = payment?.direction === 'AP' ? 'payer' : 'payee';
+    if (payment && !payment[ours]) payment[ours] = name;
+  });
+  renderCompanyInfo();
+  render();
 }
 
+// Exchange rates: a table of published rates, used for invoices in another currency
+function renderFxInfo() {
+  const table = getRateTable();
+  $('#fxInfo').textContent = table
+    ? `${table.rates.length} rate(s) from ${table.source} (${new Date(table.importedAt).toLocaleDateString()})`
+    : 'No rate table loaded - enter exchange rates by hand';
+  $('#btnFxClear').disabled = !table;
+}
+
+// Fill missing rates on the current payment and every pending queued payment
+function reapplyRates() {
+  const payments = new Set([state, ...queue.entries.map(entry => entry.payment || entry.value?.payment)]);
+  payments.forEach(payment => {
+    if (payment) applyRates(payment);
+  });
+  render();
+}
+
+$('#btnFxImport').onclick = () => $('#fxFile').click();
+
+$('#fxFile').onchange = async (e) => {
+  const file = e.target.files?.[0];
+  e.target.value = '';
+  if (!file) return;
+
+  try {
+    validateFile(file);
+    ui.loading.show(`Importing ${file.name}...`);
+    const table = saveRateTable(await readRateFile(file, parser));
+    reapplyRates();
+    renderFxInfo();
+    toast(`Imported ${table.rates.length} exchange rate(s)`, 'success');
+  } catch (err) {
+    logger.error('Rate table import failed:', err);
+    showError(err, toastEl);
+  } finally {
+    ui.loading.hide();
+  }
+};
+
+$('#btnFxClear').onclick = async () => {
+  const confirmed = await ui.confirm('Remove the imported exchange rates? Rates already on payments are kept.', 'Clear rates');
+  if (!confirmed) return;
+
+  clearRateTable();
+  renderFxInfo();
+  toast('Exchange rates cleared');
+};
+
 // Initialize
 window.addEventListener('load', () => {
   logger.info('Application loaded');
 
+  initTemplateBuilder({ getDocumentText: () => lastDocumentText });
+  initMatchRulesDialog({ getPayer: () => partyOf(state), onSave: reapplyLedger });
+  initCompanyProfileDialog({ onSave: reapplyProfile });
+  renderCompanyInfo();
+  initColumnMappingDialog();
+  renderLedgerInfo();
+  renderFxInfo();
+
   // Check for unsaved data and prompt to restore
   dataPersistence.promptRestoreData('remittance_current_state', (savedState) => {
     state = savedState;
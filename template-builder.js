@@ -0,0 +1,151 @@
+/**
+ * Template Builder - UI for creating, testing and saving remittance templates
+ * Lets AR clerks describe a payer layout by labels and columns instead of code
+ */
+
+import RemittanceParser from './remittance-parser.js';
+import logger from './logger.js';
+import ui from './ui-utils.js';
+import { getTemplates, saveTemplate, deleteTemplate, testTemplate } from './remittance-templates.js';
+
+const $ = (q) => document.querySelector(q);
+
+const splitList = (value, separator) =>
+  String(value || '').split(separator).map(s => s.trim()).filter(Boolean);
+
+/**
+ * Read the dialog form into a template object
+ */
+function readForm(id) {
+  const field = (labelId, regexId, untilId) => {
+    const spec = {};
+    const label = $(labelId).value.trim();
+    const regex = $(regexId).value.trim();
+    if (label) spec.label = label;
+    if (regex) spec.regex = regex;
+    if (untilId && $(untilId).value.trim()) spec.until = $(untilId).value.trim();
+    return Object.keys(spec).length ? spec : undefined;
+  };
+
+  const row = { columns: splitList($('#tplColumns').value, ',').map(c => c.toLowerCase()) };
+  if ($('#tplRowRegex').value.trim()) row.regex = $('#tplRowRegex').value.trim();
+
+  return {
+    id: id || undefined,
+    name: $('#tplName').value.trim(),
+    vendor: $('#tplVendor').value.trim(),
+    anchors: splitList($('#tplAnchors').value, /\r?\n/),
+    fields: {
+      paymentNumber: field('#tplPaymentLabel', '#tplPaymentRegex'),
+      paymentDate: field('#tplDateLabel', '#tplDateRegex'),
+      customer: field('#tplCustomerLabel', '#tplCustomerRegex', '#tplCustomerUntil')
+    },
+    row
+  };
+}
+
+/**
+ * Fill the dialog form from a template (or clear it)
+ */
+function fillForm(template = {}) {
+  const fields = template.fields || {};
+  $('#tplName').value = template.name || '';
+  $('#tplVendor').value = template.vendor || '';
+  $('#tplAnchors').value = (template.anchors || []).join('\n');
+  $('#tplPaymentLabel').value = fields.paymentNumber?.label || '';
+  $('#tplPaymentRegex').value = fields.paymentNumber?.regex || '';
+  $('#tplDateLabel').value = fields.paymentDate?.label || '';
+  $('#tplDateRegex').value = fields.paymentDate?.regex || '';
+  $('#tplCustomerLabel').value = fields.customer?.label || '';
+  $('#tplCustomerUntil').value = fields.customer?.until || '';
+  $('#tplCustomerRegex').value = fields.customer?.regex || '';
+  $('#tplColumns').value = (template.row?.columns || []).join(', ');
+  $('#tplRowRegex').value = template.row?.regex || '';
+  $('#tplResult').textContent = 'Press "Test" to try the template on the current document.';
+}
+
+function refreshTemplateList(selectedId = '') {
+  const select = $('#tplSelect');
+  select.innerHTML = '<option value="">New template</option>';
+
+  getTemplates().forEach(template => {
+    const option = document.createElement('option');
+    option.value = template.id;
+    option.textContent = template.name;
+    select.appendChild(option);
+  });
+
+  select.value = selectedId;
+}
+
+/**
+ * Wire up the template dialog
+ * @param {Object} options
+ * @param {Function} options.getDocumentText - Returns the text of the currently loaded document
+ */
+export function initTemplateBuilder({ getDocumentText }) {
+  const dialog = $('#templateDialog');
+  if (!dialog) return;
+
+  const parser = new RemittanceParser();
+  const selectedId = () => $('#tplSelect').value;
+
+  $('#btnTemplates').onclick = () => {
+    refreshTemplateList(selectedId());
+    $('#tplSourceText').value = getDocumentText() || '';
+    dialog.showModal();
+  };
+
+  $('#tplSelect').onchange = () => {
+    const template = getTemplates().find(t => t.id === selectedId());
+    fillForm(template);
+  };
+
+  $('#tplTest').onclick = () => {
+    const text = getDocumentText();
+    if (!text) {
+      $('#tplResult').textContent = 'No document loaded yet. Upload a remittance PDF first.';
+      return;
+    }
+
+    const { errors, confidence, result } = testTemplate(readForm(selectedId()), text, parser);
+    if (errors.length) {
+      $('#tplResult').textContent = '⚠️ ' + errors.join('\n⚠️ ');
+      return;
+    }
+
+    const summary = confidence > 0
+      ? `Template matches this document (confidence ${confidence.toFixed(2)})`
+      : 'Anchor text not found - this template will not be used for this document';
+    $('#tplResult').textContent = `${summary}\n\n${JSON.stringify(result, null, 2)}`;
+  };
+
+  $('#tplSave').onclick = () => {
+    try {
+      const saved = saveTemplate(readForm(selectedId()));
+      refreshTemplateList(saved.id);
+      ui.toast(`Template "${saved.name}" saved`, 'success');
+    } catch (error) {
+      logger.warn('Template not saved:', error.message);
+      $('#tplResult').textContent = '⚠️ ' + error.message.split('\n').join('\n⚠️ ');
+    }
+  };
+
+  $('#tplDelete').onclick = async () => {
+    const id = selectedId();
+    if (!id) {
+      fillForm();
+      return;
+    }
+
+    const confirmed = await ui.confirm('Delete this template?', 'Delete template');
+    if (!confirmed) return;
+
+    deleteTemplate(id);
+    refreshTemplateList();
+    fillForm();
+    ui.toast('Template deleted');
+  };
+}
+
+export default { initTemplateBuilder };
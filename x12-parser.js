@@ -0,0 +1,286 @@
+/**
+ * X12 Parser - reads EDI 820 Payment Order/Remittance Advice files
+ *
+ * Interchange shape:
+ *   {
+ *     sender, receiver, date,                 // ISA06, ISA08, ISA09
+ *     delimiters: { element, component, segment },
+ *     transactions: [{ type: '820', control, segments: [['RMR', 'IV', '10023', ...]], start }]
+ *   }
+ * Each segment is an array: the segment id, then its elements (so segment[1] is XX01).
+ * `start` is the 1-based number of the ST segment in the file.
+ *
+ * read820() reads one transaction's BPR (amount, date, method), TRN (trace number),
+ * N1 (payer/payee) and ENT/RMR/REF/DTM/ADX loops; x12Payments() turns every 820 in
+ * an interchange into a standard remittance result. nacha-parser.js uses the same
+ * readers for the 820 segments carried in CTX addenda.
+ */
+
+import logger from './logger.js';
+import { CONFIDENCE, fromRow } from './provenance.js';
+import { deduction, totalDeductions, DEDUCTION_REASONS } from './deductions.js';
+
+// The ISA segment has 16 elements, the last one being the component separator
+const ISA_ELEMENTS = 16;
+
+// BPR04 payment method codes -> payment methods in the form
+const PAYMENT_METHODS = {
+  ACH: 'ACH',
+  CHK: 'Check',
+  FWT: 'Wire',
+  FEW: 'Wire'
+};
+
+// Adjustment reason codes (ADX02) with an obvious deduction reason
+const ADJUSTMENT_REASONS = {
+  '01': DEDUCTION_REASONS.PRICING,   // Pricing error
+  '04': DEDUCTION_REASONS.DAMAGE,    // Item not accepted - damaged
+  '11': DEDUCTION_REASONS.DAMAGE     // Returns - damaged
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Does this text look like an X12 interchange? (ISA segment first)
+ */
+export function isX12(text) {
+  return /^\s*ISA[^A-Z0-9\s]/.test(String(text || '').replace(/^﻿/, ''));
+}
+
+/**
+ * Find the delimiters. An ISA segment defines them: the element separator follows
+ * "ISA", and the component separator and segment terminator follow its 16th element
+ * (so padding errors in the fixed-width ISA don't matter). Without an ISA (e.g. bare
+ * segments in ACH addenda), the separator follows the first segment id and segments
+ * end with "~", "\" (the NACHA convention) or a line break.
+ * @returns {{element: string, component: string, segment: string}|null}
+ */
+export function delimitersOf(text) {
+  const str = String(text || '').replace(/^﻿/, '').trimStart();
+
+  if (/^ISA[^A-Z0-9\s]/.test(str)) {
+    // The separator at index 3 opens ISA01; find the one opening ISA16
+    const element = str[3];
+    let pos = 3;
+    for (let i = 1; i < ISA_ELEMENTS && pos >= 0; i++) {
+      pos = str.indexOf(element, pos + 1);
+    }
+    if (pos >= 0 && pos + 2 < str.length) {
+      return { element, component: str[pos + 1], segment: str[pos + 2] };
+    }
+  }
+
+  const element = (str.match(/^[A-Z][A-Z0-9]{1,2}([^A-Z0-9\s])/) || [])[1];
+  if (!element) return null;
+
+  const segment = ['~', '\\'].find(ch => ch !== element && str.includes(ch)) || '\n';
+  return { element, component: '>', segment };
+}
+
+/**
+ * Split X12 text into segments (arrays of id + elements)
+ * @returns {Array<Array<string>>}
+ */
+export function splitSegments(text, delimiters = delimitersOf(text)) {
+  if (!delimiters) return [];
+
+  return String(text).replace(/^﻿/, '')
+    .split(delimiters.segment)
+    .map(segment => segment.replace(/[\r\n]+/g, '').trim())
+    .filter(Boolean)
+    .map(segment => segment.split(delimiters.element).map(value => value.trim()));
+}
+
+// CCYYMMDD (or YYMMDD) -> YYYY-MM-DD
+function x12Date(value) {
+  const m = String(value || '').match(/^(\d{2})?(\d{2})(\d{2})(\d{2})$/);
+  return m ? `${m[1] || '20'}${m[2]}-${m[3]}-${m[4]}` : '';
+}
+
+/**
+ * Read an interchange into its transactions
+ * @param {string} text - File contents
+ * @returns {Object} Interchange (see shape above)
+ */
+export function parseX12(text) {
+  const delimiters = delimitersOf(text);
+  const interchange = { sender: '', receiver: '', date: '', delimiters, transactions: [] };
+  let transaction = null;
+
+  splitSegments(text, delimiters).forEach((segment, idx) => {
+    switch (segment[0]) {
+      case 'ISA':
+        interchange.sender = segment[6] || '';
+        interchange.receiver = segment[8] || '';
+        interchange.date = x12Date(segment[9]);
+        break;
+      case 'ST':
+        transaction = { type: segment[1] || '', control: segment[2] || '', segments: [], start: idx + 1 };
+        interchange.transactions.push(transaction);
+        break;
+      case 'SE':
+        transaction = null;
+        break;
+      default:
+        if (transaction) transaction.segments.push(segment);
+        break;
+    }
+  });
+
+  return interchange;
+}
+
+/**
+ * Read a payment order/remittance advice from its segments.
+ * RMR opens an invoice row; REF adds a reference, DTM*003 the invoice date and ADX an
+ * adjustment to it: a negative ADX01 is a deduction, a positive one (interest, a credit
+ * given back) raised the payment and is noted on the row. An ADX right after ENT, before
+ * any RMR, is an adjustment to the whole remittance (e.g. a credit memo taken) and
+ * becomes its own row.
+ * @param {Array<Array<string>>} segments
+ * @param {Function} locate - (rule, segmentIndex) => provenance for a value read from that segment
+ * @returns {Object} { amount, date, method, trace, payer, payee, invoices, provenance }
+ */
+export function read820(segments, locate) {
+  const order = { amount: 0, date: '', method: '', trace: '', payer: '', payee: '', invoices: [], provenance: {} };
+  let row = null;
+  // Positive adjustments per row, added to what was paid for the invoice
+  const raised = new Map();
+
+  segments.forEach(([id, ...el], idx) => {
+    switch (id) {
+      case 'BPR':
+        order.amount = Number(el[1] || 0);
+        order.method = PAYMENT_METHODS[el[3]] || '';
+        order.date = x12Date(el[15]);
+        order.provenance.amount = locate('BPR payment amount', idx);
+        order.provenance.date = locate('BPR payment date', idx);
+        break;
+      case 'TRN':
+        order.trace = el[1] || '';
+        order.provenance.trace = locate('TRN trace number', idx);
+        break;
+      case 'N1':
+        if (el[0] === 'PR' && !order.payer) {
+          order.payer = el[1] || '';
+          order.provenance.payer = locate('N1*PR payer name', idx);
+        } else if (el[0] === 'PE' && !order.payee) {
+          order.payee = el[1] || '';
+          order.provenance.payee = locate('N1*PE payee name', idx);
+        }
+        break;
+      case 'ENT':
+        row = null;
+        break;
+      case 'RMR':
+        row = {
+          invoice: el[1] || '',
+          paidAmount: Number(el[3] || 0),
+          amount: Number(el[4] || 0),
+          discount: Number(el[5] || 0),
+          deductions: [],
+          provenance: locate('RMR remittance line', idx)
+        };
+        if (el[0] && el[0] !== 'IV') row.notes = `${el[0]} reference`;
+        order.invoices.push(row);
+        break;
+      case 'REF':
+        if (row && el[1]) row.notes = [row.notes, `${el[0]} ${el[1]}`].filter(Boolean).join(', ');
+        break;
+      case 'DTM':
+        if (row && el[0] === '003') row.date = x12Date(el[1]);
+        break;
+      case 'ADX': {
+        const code = el[1] || '';
+        const text = [`Adjustment ${code}`.trim(), el[3]].filter(Boolean).join(' - ');
+        const amount = Number(el[0] || 0);
+        if (row && amount < 0) {
+          row.deductions.push(deduction(amount, text, ADJUSTMENT_REASONS[code]));
+        } else if (row) {
+          raised.set(row, round2((raised.get(row) || 0) + amount));
+          row.notes = [row.notes, `${text} +${amount.toFixed(2)}`].filter(Boolean).join(', ');
+        } else {
+          order.invoices.push({
+            invoice: el[3] || `ADJ ${code}`.trim(),
+            paidAmount: amount,
+            amount,
+            notes: text,
+            provenance: locate('ADX remittance adjustment', idx)
+          });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  // Without a total invoice amount (RMR05), the invoice was what the payment settled
+  order.invoices.forEach(inv => {
+    if (!inv.amount) inv.amount = round2(inv.paidAmount + (inv.discount || 0) + totalDeductions(inv) - (raised.get(inv) || 0));
+  });
+  order.invoices = order.invoices.filter(inv => inv.invoice);
+
+  return order;
+}
+
+/**
+ * Turn every 820 transaction of an interchange into a remittance result.
+ * The payer (N1*PR) is also the customer and the payee (N1*PE) the vendor, as in AR exports.
+ * @param {Object} interchange - From parseX12()
+ * @returns {Array<Object>} Remittance results, in file order
+ */
+export function x12Payments(interchange) {
+  const results = [];
+
+  for (const transaction of interchange.transactions) {
+    if (transaction.type !== '820') {
+      logger.warn(`X12: skipping transaction set ${transaction.type} ${transaction.control}`);
+      continue;
+    }
+
+    // Segment numbers count from the start of the file
+    const locate = (rule, idx) => fromRow(rule, CONFIDENCE.FORMAT, transaction.start + idx + 1);
+    const order = read820(transaction.segments, locate);
+    const { element, segment } = interchange.delimiters;
+
+    // Without N1*PE, the interchange receiver is the payee
+    const payee = order.payee || interchange.receiver;
+
+    results.push({
+      paymentNumber: order.trace,
+      paymentDate: order.date,
+      payer: order.payer,
+      payee,
+      customer: order.payer,
+      vendor: payee,
+      paymentAmount: order.amount,
+      paymentMethod: order.method,
+      invoices: order.invoices,
+      format: 'x12-820',
+      rawText: transaction.segments.map(s => s.join(element)).join(`${segment}\n`),
+      memo: [`EDI 820 trace ${order.trace}`, order.method].filter(Boolean).join(' · '),
+      provenance: {
+        paymentNumber: order.provenance.trace,
+        paymentDate: order.provenance.date,
+        payer: order.provenance.payer,
+        payee: order.provenance.payee,
+        customer: order.provenance.payer,
+        vendor: order.provenance.payee,
+        paymentAmount: order.provenance.amount
+      }
+    });
+  }
+
+  logger.info(`X12 file: ${results.length} payment order(s) from ${interchange.sender || 'unknown sender'}`);
+  return results;
+}
+
+export default {
+  isX12,
+  delimitersOf,
+  splitSegments,
+  parseX12,
+  read820,
+  x12Payments
+};